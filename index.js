@@ -13,25 +13,76 @@ const NFTManager = require('./src/NFTManager');
 const FaucetManager = require('./src/FaucetManager');
 const ContractTesterManager = require('./src/ContractTesterManager');
 const BatchOperationManager = require('./src/BatchOperationManager');
+const PipelineRunner = require('./src/PipelineRunner');
+const TransactionManager = require('./utils/TransactionManager');
+const TransactionJournal = require('./utils/TransactionJournal');
+const CycleProgress = require('./utils/CycleProgress');
+const SpendBudget = require('./utils/SpendBudget');
+const CycleReport = require('./utils/CycleReport');
+const Scheduler = require('./utils/Scheduler');
+const { createWalletConnection } = require('./utils/walletConnection');
+const { LocalSigner, RemoteSigner, getSignerSettings } = require('./utils/signers');
+const { loadManifest, resolveWallets, selectWallets } = require('./utils/walletManifest');
+const { getPassphrase, loadKeystores, importPrivateKeys } = require('./utils/keystore');
+const { verifyChain } = require('./utils/chainGuard');
 const constants = require('./utils/constants');
-const { addRandomDelay, getTimestamp } = require('./utils/delayUtils');
+const { selectNetwork, getActiveNetwork, getTxUrl } = require('./utils/network');
+const { addRandomDelay, getTimestamp, setWalletLabel } = require('./utils/delayUtils');
+const { summarizePlan } = require('./utils/dryRunPlan');
+const { installRedaction, registerSecret, redactValue } = require('./utils/redact');
+const { loadPlugins, createPluginContext } = require('./utils/plugins');
+const { getWorkerSettings, runWorkerPool } = require('./utils/workerPool');
+const { runWithWalletOutput } = require('./utils/walletOutput');
+const { collectOperationResult, recordOperationError } = require('./utils/operationResult');
+const { isShutdownRequested, getShutdownState, requestShutdown, sleep, configureShutdown, installShutdownHandlers } = require('./utils/shutdown');
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    // Don't crash the process
+// Scrub private keys, passphrases and API keys from everything printed from here on
+installRedaction();
+
+// Ctrl-C or SIGTERM stops new operations and waits for transactions already sent
+installShutdownHandlers({
+    onRequest: (reason, inFlight) => {
+        const waiting = inFlight.length > 0 ? `, waiting for ${inFlight.length} transaction(s) already sent` : '';
+        console.log(chalk.yellow(`\n${getTimestamp()} ⚠ Shutting down (${reason})${waiting}. Press Ctrl-C again to quit at once`));
+    },
+    onTimeout: inFlight => {
+        for (const tx of inFlight) {
+            console.log(chalk.yellow(`${getTimestamp(tx.walletNum)} ⚠ Still pending: ${tx.label} ${tx.hash}`));
+        }
+        console.log(chalk.red(`${getTimestamp()} ✗ Gave up waiting for ${inFlight.length} transaction(s), "status" lists the ones still pending`));
+        process.exit(getShutdownState().exitCode ?? constants.EXIT_CODES.INTERRUPTED);
+    },
+    onForce: signal => {
+        console.log(chalk.red(`\n${getTimestamp()} ✗ ${signal} received again, quitting without waiting`));
+        process.exit(constants.EXIT_CODES.INTERRUPTED);
+    }
 });
 
+// An unhandled rejection means something is in an unknown state, so stop as if interrupted
+process.on('unhandledRejection', (reason) => {
+    console.error(chalk.red(`${getTimestamp()} ✗ Unhandled rejection: ${redactValue(reason)}`));
+    requestShutdown('unhandled rejection', constants.EXIT_CODES.ERROR);
+});
+
+// Configuration file, config.json unless another one is given with --config
+const DEFAULT_CONFIG_FILE = 'config.json';
+let configFile = DEFAULT_CONFIG_FILE;
+
 // Load configuration from JSON
 async function loadConfig() {
     try {
-        const jsonExists = await fs.access('config.json').then(() => true).catch(() => false);
+        const jsonExists = await fs.access(configFile).then(() => true).catch(() => false);
         if (jsonExists) {
-            console.log(chalk.green(`${getTimestamp()} ✓ Found config.json`));
-            const jsonContent = await fs.readFile('config.json', 'utf8');
+            console.log(chalk.green(`${getTimestamp()} ✓ Found ${configFile}`));
+            const jsonContent = await fs.readFile(configFile, 'utf8');
             return JSON.parse(jsonContent);
         }
         
+        // A config file asked for by name must exist, defaults would silently run something else
+        if (configFile !== DEFAULT_CONFIG_FILE) {
+            throw usageError(`Config file ${configFile} not found`);
+        }
+        
         console.log(chalk.yellow(`${getTimestamp()} ⚠ No configuration file found, using defaults`));
         // Return a default configuration
         return {
@@ -53,6 +104,9 @@ async function loadConfig() {
             transfer_amount_percentage: constants.TRANSFER.AMOUNT_PERCENTAGE
         };
     } catch (error) {
+        if (error.exitCode !== undefined) {
+            throw error;
+        }
         console.log(chalk.red(`${getTimestamp()} ✗ Error loading configuration: ${error.message}`));
         return {
             enable_transfer: true,
@@ -88,37 +142,98 @@ async function loadProxies() {
     }
 }
 
-// Countdown timer for waiting between batches
-async function countdownTimer(hours = 8) {
-    const totalSeconds = hours * 3600;
-    let remainingSeconds = totalSeconds;
+// Read private keys from a plain text file, one per line
+async function readPrivateKeyFile(file = 'pk.txt') {
+    const privateKeys = (await fs.readFile(file, 'utf8'))
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line);
+    privateKeys.forEach(registerSecret);
+    return privateKeys;
+}
+
+// Keys decrypted from the keystores, kept for the life of the process so the passphrase is only needed once
+let keystoreKeys = null;
 
-    while (remainingSeconds > 0) {
-        const hours = Math.floor(remainingSeconds / 3600);
-        const minutes = Math.floor((remainingSeconds % 3600) / 60);
-        const seconds = remainingSeconds % 60;
+// Load private keys from the encrypted keystores when enabled, otherwise from pk.txt
+async function loadPrivateKeys(config = {}) {
+    if (!config.keystore || !config.keystore.enabled) {
+        return await readPrivateKeyFile();
+    }
+
+    if (!keystoreKeys) {
+        const passphrase = await getPassphrase();
+        keystoreKeys = await loadKeystores(config, passphrase);
+        console.log(chalk.green(`${getTimestamp()} ✓ Decrypted ${keystoreKeys.length} keystores`));
+    }
+    return keystoreKeys;
+}
 
-        // Clear previous line and update countdown
-        process.stdout.clearLine(0);
-        process.stdout.cursorTo(0);
-        process.stdout.write(
-            chalk.blue(`${getTimestamp()} Next cycle in: `) + 
-            chalk.yellow(`${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`)
-        );
+// One signer per wallet: the accounts of a remote signer, or the loaded private keys
+async function loadSigners(config = {}) {
+    const { type, url } = getSignerSettings(config);
 
-        await new Promise(resolve => setTimeout(resolve, 1000));
-        remainingSeconds--;
+    if (type === 'remote') {
+        const signers = await RemoteSigner.listSigners(config);
+        console.log(chalk.green(`${getTimestamp()} ✓ Remote signer at ${url} holds ${signers.length} accounts`));
+        return signers;
+    }
+    if (type !== 'local') {
+        throw new Error(`Unknown signer type "${type}", expected "local" or "remote"`);
     }
 
-    // Clear the countdown line
-    process.stdout.clearLine(0);
-    process.stdout.cursorTo(0);
-    console.log(chalk.green(`${getTimestamp()} ✓ Countdown completed!`));
+    const privateKeys = await loadPrivateKeys(config);
+    return privateKeys.map(privateKey => new LocalSigner(privateKey));
 }
 
+/**
+ * Load every wallet with its manifest entry and keep the ones selected on the command line
+ * @param {Object} config - Root configuration object
+ * @param {Object} [filters] - { wallet, label, tag } from --wallet, --label and --tag
+ * @returns {Promise<Object>} - { wallets: selected wallets, all: every loaded wallet, total: number of loaded wallets }
+ */
+async function loadWallets(config = {}, filters = {}) {
+    const signers = await loadSigners(config);
+    const manifest = await loadManifest(config);
+    const { wallets, unmatched } = resolveWallets(signers, manifest);
+    
+    if (manifest) {
+        console.log(chalk.green(`${getTimestamp()} ✓ Wallet manifest: ${manifest.length} entries`));
+    }
+    for (const entry of unmatched) {
+        console.log(chalk.yellow(`${getTimestamp()} ⚠ Wallet manifest entry ${entry.label || entry.address || `for wallet ${entry.walletNum}`} matches no loaded wallet`));
+    }
+    
+    for (const wallet of wallets) {
+        setWalletLabel(wallet.walletNum, wallet.label);
+    }
+    
+    const selected = selectWallets(wallets, filters);
+    if (selected.length === 0) {
+        const given = Object.entries(filters).filter(([, value]) => value !== undefined).map(([name, value]) => `--${name}=${value}`);
+        throw new Error(`No wallets match ${given.join(' ')}`);
+    }
+    
+    return { wallets: selected, all: wallets, total: wallets.length };
+}
+
+// "Wallet 3" or "Wallet 3 (deployer)" for headings
+function describeWallet(wallet) {
+    return `Wallet ${wallet.walletNum}${wallet.label ? ` (${wallet.label})` : ''}`;
+}
+
+// Every execute*Operation function returns true on success, false on failure
+// and null when the operation is disabled or skipped
+
 // Execute faucet operations
 async function executeFaucetOperation(faucetManager, walletAddress, config, walletNum) {
     if (config.faucet && config.faucet.enable_faucet) {
+        // Faucet claims are real requests, not transactions that can be simulated
+        if (config.dry_run) {
+            console.log(chalk.yellow(`${getTimestamp(walletNum)} ⚠ Skipping faucet operations in dry run`));
+            return null;
+        }
+        
         try {
             console.log(chalk.blue.bold(`\n=== Running Faucet Operations for Wallet ${walletNum} ===\n`));
             
@@ -126,18 +241,19 @@ async function executeFaucetOperation(faucetManager, walletAddress, config, wall
             faucetManager.setWalletNum(walletNum);
             
             // Execute faucet operations - note we're not passing discordToken anymore
-            await faucetManager.executeFaucetOperations(walletAddress);
+            const success = await faucetManager.executeFaucetOperations(walletAddress);
             
             // Add random delay after faucet operations
             await addRandomDelay(config, walletNum, "next operation");
             
-            return true;
+            return success;
         } catch (error) {
             console.log(chalk.red(`${getTimestamp(walletNum)} ✗ Error in faucet operations: ${error.message}`));
+            recordOperationError(error);
             return false;
         }
     }
-    return false;
+    return null;
 }
 
 // Execute transfer operations
@@ -156,7 +272,9 @@ async function executeTransferOperation(tokenTransfer, pk, config, walletNum) {
                 if (attempt < config.max_retries) {
                     const waitTime = Math.min(300, config.base_wait_time * (2 ** attempt));
                     console.log(chalk.yellow(`${getTimestamp(walletNum)} Waiting ${waitTime} seconds before retry...`));
-                    await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
+                    if (!(await sleep(waitTime * 1000))) {
+                        break;
+                    }
                 }
             }
         }
@@ -165,132 +283,250 @@ async function executeTransferOperation(tokenTransfer, pk, config, walletNum) {
         await addRandomDelay(config, walletNum, "next operation");
         return success;
     }
-    return false;
+    return null;
 }
 
 // Execute contract deployment operations
-async function executeContractOperation(pk, config, walletNum) {
+async function executeContractOperation(pk, config, walletNum, connection) {
     if (config.enable_contract_deploy) {
         try {
             console.log(chalk.blue.bold(`\n=== Running Contract Operations for Wallet ${walletNum} ===\n`));
             
-            // Initialize contract deployer with wallet's private key and current config
-            const contractDeployer = new ContractDeployer(pk, config);
+            // Initialize contract deployer with the wallet's connection and current config
+            const contractDeployer = new ContractDeployer(pk, config, connection);
             contractDeployer.setWalletNum(walletNum);
             
             // Execute contract operations (compile, deploy, interact)
-            await contractDeployer.executeContractOperations();
+            const success = await contractDeployer.executeContractOperations();
             
             // Add random delay after contract operations
             await addRandomDelay(config, walletNum, "next operation");
             
-            return true;
+            return success;
         } catch (error) {
             console.log(chalk.red(`${getTimestamp(walletNum)} ✗ Error in contract operations: ${error.message}`));
+            recordOperationError(error);
             return false;
         }
     }
-    return false;
+    return null;
 }
 
 // Execute ERC20 token operations
-async function executeERC20Operation(pk, config, walletNum) {
+async function executeERC20Operation(pk, config, walletNum, connection) {
     if (config.erc20 && config.erc20.enable_erc20) {
         try {
             console.log(chalk.blue.bold(`\n=== Running ERC20 Token Operations for Wallet ${walletNum} ===\n`));
             
-            // Initialize ERC20 token deployer with wallet's private key and current config
-            const erc20Deployer = new ERC20TokenDeployer(pk, config);
+            // Initialize ERC20 token deployer with the wallet's connection and current config
+            const erc20Deployer = new ERC20TokenDeployer(pk, config, connection);
             erc20Deployer.setWalletNum(walletNum);
             
             // Execute ERC20 token operations (compile, deploy, mint, burn)
-            await erc20Deployer.executeTokenOperations();
+            const success = await erc20Deployer.executeTokenOperations();
             
             // Add random delay after ERC20 operations
             await addRandomDelay(config, walletNum, "next operation");
             
-            return true;
+            return success;
         } catch (error) {
             console.log(chalk.red(`${getTimestamp(walletNum)} ✗ Error in ERC20 token operations: ${error.message}`));
+            recordOperationError(error);
             return false;
         }
     }
-    return false;
+    return null;
 }
 
 // Execute NFT operations
-async function executeNFTOperation(pk, config, walletNum) {
+async function executeNFTOperation(pk, config, walletNum, connection) {
     if (config.nft && config.nft.enable_nft) {
         try {
             console.log(chalk.blue.bold(`\n=== Running NFT Operations for Wallet ${walletNum} ===\n`));
             
-            // Initialize NFT manager with wallet's private key and current config
-            const nftManager = new NFTManager(pk, config);
+            // Initialize NFT manager with the wallet's connection and current config
+            const nftManager = new NFTManager(pk, config, connection);
             nftManager.setWalletNum(walletNum);
             
             // Execute NFT operations (compile, deploy, mint, burn)
-            await nftManager.executeNFTOperations();
+            const success = await nftManager.executeNFTOperations();
             
             // Add random delay after NFT operations
             await addRandomDelay(config, walletNum, "completing wallet operations");
             
-            return true;
+            return success;
         } catch (error) {
             console.log(chalk.red(`${getTimestamp(walletNum)} ✗ Error in NFT operations: ${error.message}`));
+            recordOperationError(error);
             return false;
         }
     }
-    return false;
+    return null;
 }
 
 // Execute contract testing operations
-async function executeContractTestingOperation(pk, config, walletNum) {
+async function executeContractTestingOperation(pk, config, walletNum, connection) {
     if (config.contract_testing && config.contract_testing.enable_contract_testing) {
         try {
             console.log(chalk.blue.bold(`\n=== Running Contract Testing Operations for Wallet ${walletNum} ===\n`));
             
-            // Initialize contract tester manager with wallet's private key and current config
-            const contractTesterManager = new ContractTesterManager(pk, config);
+            // Initialize contract tester manager with the wallet's connection and current config
+            const contractTesterManager = new ContractTesterManager(pk, config, connection);
             contractTesterManager.setWalletNum(walletNum);
             
             // Execute contract testing operations
-            await contractTesterManager.executeContractTestingOperations();
+            const success = await contractTesterManager.executeContractTestingOperations();
             
             // Add random delay after contract testing operations
             await addRandomDelay(config, walletNum, "next operation");
             
-            return true;
+            return success;
         } catch (error) {
             console.log(chalk.red(`${getTimestamp(walletNum)} ✗ Error in contract testing operations: ${error.message}`));
+            recordOperationError(error);
             return false;
         }
     }
-    return false;
+    return null;
 }
 
 // Execute batch operations
-async function executeBatchOperation(pk, config, walletNum) {
+async function executeBatchOperation(pk, config, walletNum, connection) {
     if (config.batch_operations && config.batch_operations.enable_batch_operations) {
         try {
             console.log(chalk.blue.bold(`\n=== Running Batch Operations for Wallet ${walletNum} ===\n`));
             
-            // Initialize batch operation manager with wallet's private key and current config
-            const batchOperationManager = new BatchOperationManager(pk, config);
+            // Initialize batch operation manager with the wallet's connection and current config
+            const batchOperationManager = new BatchOperationManager(pk, config, connection);
             batchOperationManager.setWalletNum(walletNum);
             
             // Execute batch operations
-            await batchOperationManager.executeBatchOperationOperations();
+            const success = await batchOperationManager.executeBatchOperationOperations();
             
             // Add random delay after batch operations
             await addRandomDelay(config, walletNum, "next operation");
             
-            return true;
+            return success;
         } catch (error) {
             console.log(chalk.red(`${getTimestamp(walletNum)} ✗ Error in batch operations: ${error.message}`));
+            recordOperationError(error);
             return false;
         }
     }
-    return false;
+    return null;
+}
+
+// Execute a pipeline defined in config.json
+async function executePipelineOperation(pipeline, config, walletNum, connection) {
+    if (pipeline.enabled) {
+        try {
+            console.log(chalk.blue.bold(`\n=== Running Pipeline ${pipeline.name} for Wallet ${walletNum} ===\n`));
+            
+            // Initialize pipeline runner with the wallet's connection and current config
+            const pipelineRunner = new PipelineRunner(pipeline, config, connection);
+            pipelineRunner.setWalletNum(walletNum);
+            
+            // Execute the pipeline's steps
+            const success = await pipelineRunner.run();
+            
+            // Add random delay after the pipeline
+            await addRandomDelay(config, walletNum, "next operation");
+            
+            return success;
+        } catch (error) {
+            console.log(chalk.red(`${getTimestamp(walletNum)} ✗ Error in pipeline ${pipeline.name}: ${error.message}`));
+            recordOperationError(error);
+            return false;
+        }
+    }
+    return null;
+}
+
+// Pipelines from config.json as operations named "pipeline:<name>"
+function getPipelineOperations(config) {
+    return PipelineRunner.getPipelines(config).map(pipeline => ({
+        name: pipeline.operation,
+        pipeline,
+        fn: context => executePipelineOperation(pipeline, context.config, context.walletNum, context.connection)
+    }));
+}
+
+// Execute an operation from the plugins directory
+async function executePluginOperation(plugin, { config, wallet, walletNum, connection }) {
+    if (plugin.settings.enabled) {
+        try {
+            console.log(chalk.blue.bold(`\n=== Running Plugin ${plugin.name} for Wallet ${walletNum} ===\n`));
+            
+            // Hand the plugin its settings, the wallet's signer, a transaction manager and a logger
+            const success = await plugin.execute(createPluginContext(plugin, config, wallet, connection));
+            
+            // Add random delay after the plugin
+            await addRandomDelay(config, walletNum, "next operation");
+            
+            return success === undefined ? true : success;
+        } catch (error) {
+            console.log(chalk.red(`${getTimestamp(walletNum)} ✗ Error in plugin ${plugin.name}: ${error.message}`));
+            recordOperationError(error);
+            return false;
+        }
+    }
+    return null;
+}
+
+// Built-in operations; each one is called with the wallet's operation context (see runCycle)
+const BUILT_IN_OPERATIONS = [
+    { name: "faucet", fn: context => executeFaucetOperation(context.faucetManager, context.walletAddress, context.config, context.walletNum) },
+    { name: "transfer", fn: context => executeTransferOperation(context.tokenTransfer, null, context.config, context.walletNum) },
+    { name: "contract_deploy", fn: context => executeContractOperation(null, context.config, context.walletNum, context.connection) },
+    { name: "contract_testing", fn: context => executeContractTestingOperation(null, context.config, context.walletNum, context.connection) },
+    { name: "erc20", fn: context => executeERC20Operation(null, context.config, context.walletNum, context.connection) },
+    { name: "nft", fn: context => executeNFTOperation(null, context.config, context.walletNum, context.connection) },
+    { name: "batch_operations", fn: context => executeBatchOperation(null, context.config, context.walletNum, context.connection) }
+];
+
+// Plugins with their settings, loaded by usePlugins for the commands that run operations
+let plugins = [];
+
+// Load the plugins and their settings from config.json; a malformed plugin or setting throws
+function usePlugins(config) {
+    plugins = loadPlugins(config, BUILT_IN_OPERATIONS.map(op => op.name));
+}
+
+// Plugins from the plugins directory, as operations under their own names
+function getPluginOperations() {
+    return plugins.map(plugin => ({
+        name: plugin.name,
+        plugin,
+        fn: context => executePluginOperation(plugin, context)
+    }));
+}
+
+// Define all operations: built-ins, pipelines from config.json and the loaded plugins
+function getAllOperations(config = {}) {
+    return [
+        ...BUILT_IN_OPERATIONS,
+        ...getPipelineOperations(config),
+        ...getPluginOperations()
+    ];
+}
+
+// Operations named in the wallet manifest must exist
+function checkWalletOperations(wallets, config) {
+    const operationNames = getAllOperations(config).map(op => op.name);
+    for (const wallet of wallets) {
+        const unknown = (wallet.operations || []).filter(name => !operationNames.includes(name));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown operation(s) ${unknown.join(', ')} for wallet ${wallet.walletNum} in the wallet manifest, expected ${operationNames.join(', ')}`);
+        }
+    }
+}
+
+// Look up operations by name, keeping the given order (used to resume a saved sequence)
+function getOperationsByName(names, config) {
+    const allOperations = getAllOperations(config);
+    return names
+        .map(name => allOperations.find(op => op.name === name))
+        .filter(op => op);
 }
 
 // Randomize operations order
@@ -301,22 +537,14 @@ function getRandomizedOperations(config) {
         operations_to_run: ["faucet", "transfer", "contract_deploy", "contract_testing", "erc20", "nft", "batch_operations"]
     };
     
-    // Define all operations
-    const allOperations = [
-        { name: "faucet", fn: executeFaucetOperation },
-        { name: "transfer", fn: executeTransferOperation },
-        { name: "contract_deploy", fn: executeContractOperation },
-        { name: "contract_testing", fn: executeContractTestingOperation },
-        { name: "erc20", fn: executeERC20Operation },
-        { name: "nft", fn: executeNFTOperation },
-        { name: "batch_operations", fn: executeBatchOperation }
-    ];
+    const allOperations = getAllOperations(config);
     
     // Filter operations based on operations_to_run config
     const operationsToRun = randomizationConfig.operations_to_run || 
         ["faucet", "transfer", "contract_deploy", "contract_testing", "erc20", "nft", "batch_operations"];
     
-    const filteredOperations = allOperations.filter(op => operationsToRun.includes(op.name));
+    // Built-in and plugin operations run when listed; enabled pipelines are added at the end
+    const filteredOperations = allOperations.filter(op => !op.pipeline && operationsToRun.includes(op.name));
     
     // Split operations into fixed and randomizable based on excluded_operations
     const excludedOps = randomizationConfig.excluded_operations || [];
@@ -332,97 +560,900 @@ function getRandomizedOperations(config) {
         }
     }
     
-    // Return operations in order: fixed operations first, then randomized operations
-    return [...fixedOps, ...randomizableOps];
+    // Return operations in order: fixed operations first, then randomized operations, then enabled pipelines
+    const pipelineOps = getPipelineOperations(config).filter(op => op.pipeline.enabled);
+    return [...fixedOps, ...randomizableOps, ...pipelineOps];
 }
 
-async function main() {
-    while (true) {
-        console.log(chalk.blue.bold('\n=== Zenchain Testnet Automation Tool ===\n'));
+// Print the transactions a dry run would have sent, with gas and projected cost per wallet
+function printDryRunPlan() {
+    const { Web3 } = require('web3');
+    const toEther = wei => Web3.utils.fromWei(wei.toString(), 'ether');
+    const toGwei = wei => Web3.utils.fromWei(wei.toString(), 'gwei');
+    const wallets = summarizePlan();
+    
+    console.log(chalk.blue.bold('\n=== Dry Run Plan ===\n'));
+    
+    if (wallets.length === 0) {
+        console.log(chalk.yellow(`${getTimestamp()} ⚠ No transactions were planned`));
+        return;
+    }
+    
+    for (const wallet of wallets) {
+        console.log(chalk.blue.bold(`Wallet ${wallet.walletNum} (${wallet.address})`));
+        
+        for (const entry of wallet.transactions) {
+            const target = entry.to ? `-> ${entry.to}` : `-> new contract${entry.contractAddress ? ` ${entry.contractAddress}` : ''}`;
+            
+            if (entry.overBudget) {
+                console.log(chalk.yellow(`  ⚠ #${entry.nonce} ${entry.label} ${target} | skipped: ${entry.error}`));
+                continue;
+            }
+            
+            if (entry.error) {
+                console.log(chalk.red(`  ✗ #${entry.nonce} ${entry.label} ${target} | would revert: ${entry.error}`));
+                continue;
+            }
+            
+            const value = entry.value > BigInt(0) ? ` | value ${toEther(entry.value)} ${getActiveNetwork().currency}` : '';
+            const approximate = entry.approximate ? ' (approximate, contract only deployed in dry run)' : '';
+            console.log(chalk.cyan(
+                `  #${entry.nonce} ${entry.label} ${target} | gas ${entry.gas}${approximate} | ` +
+                `max fee ${toGwei(entry.maxFeePerGas)} gwei | max cost ${toEther(entry.maxCost)} ${getActiveNetwork().currency}${value}`
+            ));
+        }
+        
+        const planned = wallet.transactions.length - wallet.failed - wallet.overBudget;
+        console.log(chalk.green(
+            `  Total: ${planned} transactions, ${wallet.totalGas} gas, ` +
+            `projected cost up to ${toEther(wallet.totalCost)} ${getActiveNetwork().currency}` +
+            (wallet.failed > 0 ? chalk.red(`, ${wallet.failed} would revert`) : '') +
+            (wallet.overBudget > 0 ? chalk.yellow(`, ${wallet.overBudget} over budget`) : '')
+        ));
+        console.log('');
+    }
+}
+
+// Select the network profile named by --network, NETWORK_PROFILE or config.json
+function useNetwork(config, networkName) {
+    const network = selectNetwork(config, networkName);
+    console.log(chalk.green(`${getTimestamp()} ✓ Network: ${network.displayName} (chainId ${network.chainId})`));
+    return network;
+}
+
+// Error for a command used the wrong way, exits with EXIT_CODES.USAGE
+function usageError(message) {
+    const error = new Error(message);
+    error.exitCode = constants.EXIT_CODES.USAGE;
+    return error;
+}
+
+// Refuse to sign anything before the RPC is known to serve the selected chain
+async function checkChain(config, network, allowMainnet) {
+    try {
+        await verifyChain(useNetwork(config, network), { allowMainnet });
+    } catch (error) {
+        error.exitCode = error.exitCode ?? constants.EXIT_CODES.CHAIN_CHECK_FAILED;
+        throw error;
+    }
+}
+
+// Override workers.concurrency from config.json with --concurrency
+function setConcurrency(config, concurrency) {
+    if (concurrency !== undefined) {
+        config.workers = { ...config.workers, concurrency };
+    }
+}
+
+// Turn on an operation that config.json leaves disabled, for commands that ask for it by name
+function enableOperation(config, name) {
+    switch (name) {
+        case 'transfer':
+            config.enable_transfer = true;
+            break;
+        case 'contract_deploy':
+            config.enable_contract_deploy = true;
+            break;
+        case 'erc20':
+            config.erc20 = { ...config.erc20, enable_erc20: true };
+            break;
+        case 'nft':
+            config.nft = { ...config.nft, enable_nft: true };
+            break;
+        case 'contract_testing':
+            config.contract_testing = { ...config.contract_testing, enable_contract_testing: true };
+            break;
+        case 'batch_operations':
+            config.batch_operations = { ...config.batch_operations, enable_batch_operations: true };
+            break;
+        case 'faucet':
+            config.faucet = { ...config.faucet, enable_faucet: true };
+            break;
+        default: {
+            const operation = getAllOperations(config).find(op => op.name === name);
+            if (operation && operation.pipeline) {
+                config.pipelines[operation.pipeline.name] = { ...config.pipelines[operation.pipeline.name], enabled: true };
+            } else if (operation && operation.plugin) {
+                operation.plugin.settings = { ...operation.plugin.settings, enabled: true };
+            }
+        }
+    }
+}
+
+/**
+ * Run one pass over the selected wallets
+ * @param {Object} config - Root configuration object
+ * @param {Object[]} wallets - Wallets from loadWallets
+ * @param {Object} [options]
+ * @param {string[]} [options.operationNames] - Only run these operations, in this order, instead of the configured sequence
+ * @param {Object[]} [options.allWallets] - Every loaded wallet when only some were selected; the cycle's
+ *   progress is kept until all of them completed it
+ * @returns {Promise<Object>} - { succeeded, failed, skipped, interrupted, operations }: operation counts, interrupted
+ *   if a shutdown stopped the pass before every operation ran, and the result of every operation run
+ *   (see collectOperationResult)
+ */
+async function runCycle(config, wallets, { operationNames = null, allWallets = wallets } = {}) {
+    const results = { succeeded: 0, failed: 0, skipped: 0, interrupted: false, operations: [] };
+    const startedAt = new Date();
+    checkWalletOperations(wallets, config);
+    
+    // Load proxies
+    const proxies = await loadProxies();
+    
+    console.log(chalk.blue.bold(`${getTimestamp()} Initializing automation...`));
+
+    // Pick up where an interrupted cycle stopped; single operations run outside the cycle
+    const progress = operationNames ? null : CycleProgress.fromConfig(config);
+    if (progress && progress.resumeOrStart()) {
+        console.log(chalk.yellow(`${getTimestamp()} ⚠ Resuming interrupted cycle started at ${progress.state.startedAt}`));
+    }
+
+    // Fee spend limits for this cycle
+    const budget = SpendBudget.fromConfig(config);
+    
+    // Summary file written once the cycle ends
+    const report = CycleReport.fromConfig(config);
+
+    // Process wallets, several at once when workers.concurrency allows it
+    const { concurrency, output } = getWorkerSettings(config);
+    const workers = Math.min(concurrency, wallets.length);
+    console.log(chalk.blue.bold(`\nProcessing ${wallets.length} wallets${workers > 1 ? ` with ${workers} workers` : ''}...\n`));
+
+    // Each worker owns one wallet's whole operation sequence at a time; with a single
+    // worker the output is left alone so spinners keep working
+    await runWorkerPool(wallets, concurrency, (wallet, i) => runWithWalletOutput(wallet.walletNum, workers > 1 ? output : null, async () => {
+        const walletNum = wallet.walletNum;
+        
+        // One Web3 instance and signer per wallet, shared by every manager so they agree on nonces and the RPC endpoint.
+        // Managers sign through the connection, so they never need the private key itself
+        const connection = createWalletConnection(config, null, { signer: wallet.signer });
+        const walletAddress = connection.signer.address;
+        
+        if (isShutdownRequested()) {
+            console.log(chalk.yellow(`${getTimestamp(walletNum)} ⚠ Shutting down, skipping ${describeWallet(wallet)}`));
+            results.interrupted = true;
+            return;
+        }
+        
+        if (progress && progress.isWalletComplete(walletNum, walletAddress)) {
+            console.log(chalk.cyan(`${getTimestamp(walletNum)} ℹ ${describeWallet(wallet)} already completed in this cycle, skipping`));
+            return;
+        }
+        
+        if (budget && budget.isCycleExhausted()) {
+            console.log(chalk.yellow(`${getTimestamp(walletNum)} ⚠ Cycle fee budget exhausted, skipping ${describeWallet(wallet)}`));
+            return;
+        }
+        
+        console.log(chalk.blue.bold(`\n=== Processing ${describeWallet(wallet)} (${i + 1}/${wallets.length}) ===\n`));
+
+        // Get random proxy if available
+        const proxy = proxies.length > 0 ? 
+            proxies[Math.floor(Math.random() * proxies.length)] : null;
+        
+        if (proxy) {
+            console.log(chalk.cyan(`${getTimestamp(walletNum)} ℹ Using proxy: ${proxy}`));
+        }
+        
+        // Reuse the saved operation order when resuming, otherwise randomize a new one
+        const savedOperations = progress ? progress.getWalletOperations(walletNum, walletAddress) : null;
+        let operations = operationNames ? getOperationsByName(operationNames, config) :
+            savedOperations ? getOperationsByName(savedOperations, config) : getRandomizedOperations(config);
+        
+        // The manifest can narrow a wallet down to some of the enabled operations
+        if (wallet.operations && !savedOperations) {
+            operations = operations.filter(op => wallet.operations.includes(op.name));
+        }
+        
+        if (progress && !savedOperations) {
+            progress.setWalletOperations(walletNum, walletAddress, operations.map(op => op.name));
+        }
+        
+        // Everything an operation may need for this wallet, including a fresh FaucetManager with the selected proxy
+        const context = {
+            config,
+            wallet,
+            walletNum,
+            walletAddress,
+            connection,
+            faucetManager: new FaucetManager(config, proxy, { web3: connection.web3 }),
+            tokenTransfer: new TokenTransfer(config, connection)
+        };
+        
+        // Log the operation sequence
+        console.log(chalk.cyan(`${getTimestamp(walletNum)} ℹ Operations sequence: ${operations.map(op => op.name).join(' -> ')}`));
+        
+        // Execute operations in the determined order
+        let stopped = false;
+        for (const operation of operations) {
+            if (isShutdownRequested()) {
+                console.log(chalk.yellow(`${getTimestamp(walletNum)} ⚠ Shutting down, skipping remaining operations`));
+                stopped = true;
+                break;
+            }
+            
+            if (progress && progress.isOperationComplete(walletNum, walletAddress, operation.name)) {
+                console.log(chalk.cyan(`${getTimestamp(walletNum)} ℹ Skipping ${operation.name}, already completed in this cycle`));
+                continue;
+            }
+            
+            if (budget && (budget.isWalletExhausted(walletAddress) || budget.isCycleExhausted())) {
+                const limit = budget.isCycleExhausted() ? 'Cycle' : 'Wallet';
+                console.log(chalk.yellow(`${getTimestamp(walletNum)} ⚠ ${limit} fee budget exhausted, skipping remaining operations`));
+                break;
+            }
+            
+            // Transactions sent by the operation are collected into its result for the cycle report;
+            // an operation that throws counts as failed and the wallet moves on to the next one
+            const result = await collectOperationResult(
+                { operation: operation.name, walletNum, address: walletAddress, walletLabel: wallet.label || null },
+                () => operation.fn(context)
+            );
+            results.operations.push(result);
+            results[result.status]++;
+            
+            // An operation cut short by a shutdown stays open, so the next run resumes its sent steps
+            if (isShutdownRequested()) {
+                stopped = true;
+                break;
+            }
+            
+            if (progress) {
+                progress.completeOperation(walletNum, walletAddress, operation.name);
+            }
+        }
+        
+        if (stopped) {
+            results.interrupted = true;
+            return;
+        }
+        
+        if (progress) {
+            progress.completeWallet(walletNum, walletAddress);
+        }
+
+        // Wait before this worker takes the next wallet
+        if (i + workers < wallets.length && !config.dry_run) {
+            const waitTime = Math.floor(Math.random() * 11) + 5; // 5-15 seconds
+            console.log(chalk.yellow(`\n${getTimestamp(walletNum)} Waiting ${waitTime} seconds before next wallet...\n`));
+            await sleep(waitTime * 1000);
+        }
+    }));
+
+    if (budget) {
+        console.log(chalk.cyan(`${getTimestamp()} ℹ Fees spent this cycle: ${budget.describeCycleSpend()}`));
+    }
+
+    // An interrupted cycle keeps its progress so the next run picks it up, and so does a cycle
+    // run for some of the wallets until the others completed it too
+    if (progress && !results.interrupted) {
+        if (progress.isCycleComplete(allWallets)) {
+            progress.finishCycle();
+        } else {
+            console.log(chalk.cyan(`${getTimestamp()} ℹ Keeping the cycle progress of wallets not selected in this run`));
+        }
+    }
+
+    console.log(chalk.cyan(`${getTimestamp()} ℹ Operations: ${results.succeeded} succeeded, ${results.failed} failed, ${results.skipped} skipped`));
+    if (results.interrupted) {
+        console.log(chalk.yellow(`${getTimestamp()} ⚠ Stopped before every operation ran${progress ? ', the next run resumes the cycle' : ''}`));
+    }
 
+    // A report that cannot be written never fails the cycle
+    if (report) {
         try {
-            // Load configuration
-            const config = await loadConfig();
-            console.log(chalk.green(`${getTimestamp()} ✓ Configuration loaded`));
-            
-            // Load proxies
-            const proxies = await loadProxies();
-            
-            // Load private keys
-            const privateKeys = (await fs.readFile('pk.txt', 'utf8'))
-                .split('\n')
-                .map(line => line.trim())
-                .filter(line => line);
-
-            console.log(chalk.green(`${getTimestamp()} ✓ Found ${privateKeys.length} private keys`));
-            
-            console.log(chalk.blue.bold(`${getTimestamp()} Initializing automation...`));
-
-            // Create instances of our modules
-            const tokenTransfer = new TokenTransfer(config);
-            const faucetManager = new FaucetManager(config);
-
-            // Process wallets
-            console.log(chalk.blue.bold(`\nProcessing ${privateKeys.length} wallets...\n`));
-
-            for (let i = 0; i < privateKeys.length; i++) {
-                const walletNum = i + 1;
-                const pk = privateKeys[i];
-                
-                console.log(chalk.blue.bold(`\n=== Processing Wallet ${walletNum}/${privateKeys.length} ===\n`));
-
-                // Get random proxy if available
-                const proxy = proxies.length > 0 ? 
-                    proxies[Math.floor(Math.random() * proxies.length)] : null;
-                
-                if (proxy) {
-                    console.log(chalk.cyan(`${getTimestamp(walletNum)} ℹ Using proxy: ${proxy}`));
-                }
-                
-                // Create a Web3 account from the private key to get the address
-                const { Web3 } = require('web3');
-                const web3 = new Web3();
-                const account = web3.eth.accounts.privateKeyToAccount(pk.startsWith('0x') ? pk : '0x' + pk);
-                const walletAddress = account.address;
-                
-                // Get randomized operations
-                const operations = getRandomizedOperations(config);
-                
-                // Create a fresh FaucetManager instance with the selected proxy
-                const walletFaucetManager = new FaucetManager(config, proxy);
-                
-                // Log the operation sequence
-                console.log(chalk.cyan(`${getTimestamp(walletNum)} ℹ Operations sequence: ${operations.map(op => op.name).join(' -> ')}`));
-                
-                // Execute operations in the determined order
-                for (const operation of operations) {
-                    if (operation.name === "faucet") {
-                        await operation.fn(walletFaucetManager, walletAddress, config, walletNum);
-                    } else if (operation.name === "transfer") {
-                        await operation.fn(tokenTransfer, pk, config, walletNum);
-                    } else {
-                        await operation.fn(pk, config, walletNum);
-                    }
-                }
+            const reportFile = report.write(CycleReport.build(results.operations, { startedAt, interrupted: results.interrupted }));
+            console.log(chalk.green(`${getTimestamp()} ✓ Cycle report written to ${path.relative(process.cwd(), reportFile)}`));
+        } catch (error) {
+            console.log(chalk.yellow(`${getTimestamp()} ⚠ Could not write cycle report: ${error.message}`));
+        }
+    }
+    return results;
+}
 
-                // Wait between wallets
-                if (i < privateKeys.length - 1) {
-                    const waitTime = Math.floor(Math.random() * 11) + 5; // 5-15 seconds
-                    console.log(chalk.yellow(`\n${getTimestamp(walletNum)} Waiting ${waitTime} seconds before next wallet...\n`));
-                    await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
-                }
+// Exit code for a pass, or for the shutdown that cut it short
+function getRunExitCode(results) {
+    const { exitCode } = getShutdownState();
+    if (exitCode !== null) {
+        return exitCode;
+    }
+    if (results.interrupted) {
+        return constants.EXIT_CODES.INTERRUPTED;
+    }
+    return results.failed > 0 ? constants.EXIT_CODES.OPERATIONS_FAILED : constants.EXIT_CODES.SUCCESS;
+}
+
+/**
+ * "run": process every selected wallet, then wait for the next scheduled cycle.
+ * With --once or --dry-run it makes a single pass and returns its exit code.
+ * Without them it runs as a daemon, starting cycles when the schedule in config.json says so.
+ * @param {Object} options - { once, dryRun, network, allowMainnet, concurrency, filters }
+ * @returns {Promise<number>} - Exit code
+ */
+async function runAutomation({ once = false, dryRun = false, network = undefined, allowMainnet = false, concurrency = undefined, filters = {} } = {}) {
+    const daemon = !once && !dryRun;
+    
+    while (true) {
+        console.log(chalk.blue.bold('\n=== Zenchain Testnet Automation Tool ===\n'));
+
+        // Load configuration
+        let config = await loadConfig();
+        configureShutdown(config);
+        
+        // Wait for the next scheduled cycle; a restarted daemon keeps to the schedule of the last run
+        const scheduler = Scheduler.fromConfig(config);
+        if (daemon && await scheduler.waitForNextRun()) {
+            // Stopped while idle, so there is nothing left unfinished
+            if (isShutdownRequested()) {
+                return getShutdownState().exitCode ?? constants.EXIT_CODES.SUCCESS;
             }
+            
+            // Pick up changes made to the config while waiting, plugin settings included
+            config = await loadConfig();
+            configureShutdown(config);
+            usePlugins(config);
+        }
+        console.log(chalk.green(`${getTimestamp()} ✓ Configuration loaded`));
+        
+        await checkChain(config, network, allowMainnet);
+        
+        if (dryRun) {
+            config.dry_run = true;
+            console.log(chalk.yellow(`${getTimestamp()} ⚠ Dry run: transactions are estimated and simulated with eth_call, nothing is sent`));
+        }
+        
+        setConcurrency(config, concurrency);
+        
+        // Load a signer for every wallet and keep the ones selected with --wallet, --label or --tag
+        const { wallets, all, total } = await loadWallets(config, filters);
+
+        console.log(chalk.green(`${getTimestamp()} ✓ Found ${total} wallets${wallets.length < total ? `, ${wallets.length} selected` : ''}`));
+        
+        const startedAt = new Date();
+        const results = await runCycle(config, wallets, { allWallets: all });
+
+        // A dry run makes a single pass and reports the plan instead of waiting for the next cycle
+        if (config.dry_run) {
+            printDryRunPlan();
+            return getRunExitCode(results);
+        }
+
+        // An interrupted cycle is not recorded, so a restarted daemon resumes it at once
+        if (results.interrupted) {
+            return getRunExitCode(results);
+        }
+
+        // Runs started by hand or by an external scheduler count towards the schedule too
+        scheduler.recordRun(startedAt);
+        console.log(chalk.green.bold('\nWallet processing completed!\n'));
 
-            console.log(chalk.green.bold('\nWallet processing completed! Starting 8-hour countdown...\n'));
+        if (once || isShutdownRequested()) {
+            return getRunExitCode(results);
+        }
+    }
+}
+
+// Commands that run operations or list plugins, the only ones that load the plugins
+const PLUGIN_COMMANDS = ['run', 'deploy', 'test', 'pipeline', 'plugin', 'plugins'];
+
+// Contract types "deploy" accepts, with the operation each one runs
+const DEPLOY_TYPES = {
+    contract: 'contract_deploy',
+    erc20: 'erc20',
+    nft: 'nft'
+};
+
+/**
+ * "deploy <type>" and "test": run one operation once for the selected wallets,
+ * outside the cycle and even if config.json disables it
+ * @param {string} operationName - Operation to run
+ * @param {Object} options - { dryRun, network, allowMainnet, concurrency, filters }
+ * @returns {Promise<number>} - Exit code
+ */
+async function runOperation(operationName, { dryRun = false, network = undefined, allowMainnet = false, concurrency = undefined, filters = {} } = {}) {
+    const config = await loadConfig();
+    configureShutdown(config);
+    if (getOperationsByName([operationName], config).length === 0) {
+        throw usageError(`Unknown operation ${operationName}`);
+    }
+    await checkChain(config, network, allowMainnet);
+    
+    if (dryRun) {
+        config.dry_run = true;
+        console.log(chalk.yellow(`${getTimestamp()} ⚠ Dry run: transactions are estimated and simulated with eth_call, nothing is sent`));
+    }
+    enableOperation(config, operationName);
+    setConcurrency(config, concurrency);
+    
+    const { wallets } = await loadWallets(config, filters);
+    const results = await runCycle(config, wallets, { operationNames: [operationName] });
+    
+    if (config.dry_run) {
+        printDryRunPlan();
+    }
+    return getRunExitCode(results);
+}
+
+// Wallet numbers picked by --wallet, --label or --tag, or null for all of them.
+// Labels and tags need the wallets loaded; plain numbers do not.
+async function selectWalletNums(config, filters = {}) {
+    if (filters.label !== undefined || filters.tag !== undefined) {
+        const { wallets } = await loadWallets(config, filters);
+        return wallets.map(wallet => wallet.walletNum);
+    }
+    if (filters.wallet !== undefined) {
+        const walletNums = String(filters.wallet).split(',').map(value => Number(value.trim()));
+        if (walletNums.some(num => !Number.isInteger(num) || num < 1)) {
+            throw usageError(`Invalid --wallet "${filters.wallet}", expected wallet numbers such as 3 or 1,4`);
+        }
+        return walletNums;
+    }
+    return null;
+}
+
+// "status": cycle progress and transactions that have not settled yet, without touching the network
+async function showStatus({ network = undefined, filters = {} } = {}) {
+    const config = await loadConfig();
+    useNetwork(config, network);
+    const walletNums = await selectWalletNums(config, filters);
+    const isSelected = walletNum => !walletNums || walletNums.includes(Number(walletNum));
+    
+    console.log(chalk.blue.bold('\n=== Status ===\n'));
+    
+    const progress = CycleProgress.fromConfig(config);
+    const saved = progress ? progress.readSaved() : null;
+    
+    if (!progress) {
+        console.log(chalk.yellow(`${getTimestamp()} ⚠ Cycle progress is disabled in config`));
+    } else if (!saved) {
+        console.log(chalk.green(`${getTimestamp()} ✓ No cycle in progress`));
+    } else {
+        console.log(chalk.cyan(`${getTimestamp()} ℹ Cycle started at ${saved.startedAt}`));
+        for (const [walletNum, wallet] of Object.entries(saved.wallets).filter(([num]) => isSelected(num))) {
+            const operations = wallet.operations || [];
+            const state = wallet.completed ? chalk.green('done') :
+                chalk.yellow(`${wallet.completedOperations.length}/${operations.length} operations`);
+            console.log(`  Wallet ${walletNum} ${wallet.address}: ${state}${wallet.completedOperations.length > 0 ? ` (${wallet.completedOperations.join(', ')})` : ''}`);
+        }
+    }
+    
+    const { runAt, missed } = Scheduler.fromConfig(config).getNextRun();
+    const nextRun = runAt.getTime() <= Date.now() ? 'due now' : Scheduler.formatTime(runAt);
+    console.log(chalk.cyan(`${getTimestamp()} ℹ Next scheduled cycle: ${nextRun}${missed ? ' (a scheduled run was missed)' : ''}`));
+    
+    const journal = TransactionJournal.fromConfig(config);
+    if (journal) {
+        const unsettled = journal.getTransactions()
+            .filter(tx => ['pending', 'sent', 'replaced', 'stuck'].includes(tx.status) && isSelected(tx.wallet));
+        
+        if (unsettled.length === 0) {
+            console.log(chalk.green(`${getTimestamp()} ✓ No unsettled transactions`));
+        } else {
+            console.log(chalk.yellow(`${getTimestamp()} ⚠ ${unsettled.length} unsettled transaction(s):`));
+            for (const tx of unsettled) {
+                console.log(chalk.yellow(`  Wallet ${tx.wallet} ${tx.operation || '-'} ${tx.label} nonce ${tx.nonce} [${tx.status}]${tx.hash ? ` ${tx.hash}` : ''}`));
+            }
+        }
+    }
+    
+    return constants.EXIT_CODES.SUCCESS;
+}
 
-            // Start the countdown timer
-            await countdownTimer(8);
+// "plugins": plugins found in the plugins directory, with their settings
+async function showPlugins() {
+    const config = await loadConfig();
+    const operationsToRun = (config.operation_randomization || {}).operations_to_run || [];
+    
+    console.log(chalk.blue.bold(`\n=== Plugins (${plugins.length}) ===\n`));
+    
+    for (const plugin of plugins) {
+        const listed = operationsToRun.includes(plugin.name) ? chalk.green('listed in operations_to_run') : chalk.yellow('not listed in operations_to_run');
+        console.log(`${chalk.bold(plugin.name)}${plugin.description ? ` - ${plugin.description}` : ''}`);
+        console.log(`  ${path.relative(process.cwd(), plugin.file)}, ${listed}`);
+        for (const [key, setting] of Object.entries(plugin.configSchema)) {
+            const value = plugin.settings[key] === undefined ? chalk.yellow('not set') : JSON.stringify(plugin.settings[key]);
+            console.log(`  ${key} (${setting.type}): ${value}${setting.description ? chalk.gray(` - ${setting.description}`) : ''}`);
+        }
+    }
+    
+    return constants.EXIT_CODES.SUCCESS;
+}
 
+// "balances": native balance and nonces of the selected wallets
+async function showBalances({ network = undefined, filters = {} } = {}) {
+    const config = await loadConfig();
+    const activeNetwork = useNetwork(config, network);
+    const { wallets } = await loadWallets(config, filters);
+    const { Web3 } = require('web3');
+    
+    console.log(chalk.blue.bold(`\n=== Balances (${wallets.length}) ===\n`));
+    
+    let failed = 0;
+    for (const wallet of wallets) {
+        const { web3 } = createWalletConnection(config, null, { signer: wallet.signer });
+        try {
+            const [balance, nonce, pendingNonce] = await Promise.all([
+                web3.eth.getBalance(wallet.address),
+                web3.eth.getTransactionCount(wallet.address, 'latest'),
+                web3.eth.getTransactionCount(wallet.address, 'pending')
+            ]);
+            const pending = pendingNonce > nonce ? chalk.yellow(`, ${pendingNonce - nonce} pending`) : '';
+            console.log(`${describeWallet(wallet)} ${wallet.address}: ${chalk.green(`${Web3.utils.fromWei(balance, 'ether')} ${activeNetwork.currency}`)}, nonce ${nonce}${pending}`);
         } catch (error) {
-            console.error(chalk.red(`\nError: ${error.message}`));
-            process.exit(1);
+            failed++;
+            console.log(chalk.red(`${describeWallet(wallet)} ${wallet.address}: ✗ ${error.message}`));
+        }
+    }
+    
+    return failed > 0 ? constants.EXIT_CODES.ERROR : constants.EXIT_CODES.SUCCESS;
+}
+
+// "report": journaled transactions summed up per wallet and operation
+async function showReport({ network = undefined, filters = {} } = {}) {
+    const config = await loadConfig();
+    useNetwork(config, network);
+    const journal = TransactionJournal.fromConfig(config);
+    
+    if (!journal) {
+        console.log(chalk.yellow(`${getTimestamp()} ⚠ Transaction journal is disabled in config`));
+        return constants.EXIT_CODES.SUCCESS;
+    }
+    
+    const walletNums = await selectWalletNums(config, filters);
+    const transactions = journal.getTransactions().filter(tx => !walletNums || walletNums.includes(Number(tx.wallet)));
+    
+    if (transactions.length === 0) {
+        console.log(chalk.yellow(`${getTimestamp()} ⚠ No journaled transactions found in ${journal.filePath}`));
+        return constants.EXIT_CODES.SUCCESS;
+    }
+    
+    // wallet -> operation -> { statuses, gasUsed }
+    const summary = new Map();
+    for (const tx of transactions) {
+        if (!summary.has(tx.wallet)) {
+            summary.set(tx.wallet, new Map());
+        }
+        const operations = summary.get(tx.wallet);
+        const operation = tx.operation || '-';
+        if (!operations.has(operation)) {
+            operations.set(operation, { statuses: {}, gasUsed: BigInt(0) });
+        }
+        const entry = operations.get(operation);
+        entry.statuses[tx.status] = (entry.statuses[tx.status] || 0) + 1;
+        entry.gasUsed += tx.gasUsed ? BigInt(tx.gasUsed) : BigInt(0);
+    }
+    
+    console.log(chalk.blue.bold(`\n=== Report (${transactions.length} transactions) ===\n`));
+    
+    for (const [walletNum, operations] of [...summary.entries()].sort((a, b) => a[0] - b[0])) {
+        console.log(chalk.blue.bold(`Wallet ${walletNum}`));
+        for (const [operation, { statuses, gasUsed }] of operations) {
+            const counts = Object.entries(statuses).map(([status, count]) => `${count} ${status}`).join(', ');
+            console.log(chalk.cyan(`  ${operation}: ${counts} | gas used ${gasUsed}`));
+        }
+    }
+    
+    return constants.EXIT_CODES.SUCCESS;
+}
+
+// Cancel a stuck transaction by replacing it with a zero-value self-transfer
+async function cancelPendingTransaction(walletNum, nonce = null, { network = undefined, allowMainnet = false } = {}) {
+    const config = await loadConfig();
+    await checkChain(config, network, allowMainnet);
+    const { wallets, total } = await loadWallets(config);
+    
+    if (!Number.isInteger(walletNum) || walletNum < 1 || walletNum > total) {
+        throw usageError(`Invalid wallet number, expected 1-${total}`);
+    }
+    
+    const { web3, signer: account } = createWalletConnection(config, null, { signer: wallets[walletNum - 1].signer });
+    
+    const txManager = new TransactionManager(web3, account, config, { operation: 'cancel' });
+    txManager.setWalletNum(walletNum);
+    
+    console.log(chalk.blue.bold(`${getTimestamp(walletNum)} Cancelling ${nonce === null ? 'oldest pending transaction' : `nonce ${nonce}`} for ${account.address}...`));
+    
+    const receipt = await txManager.cancelTransaction(nonce);
+    if (receipt) {
+        console.log(chalk.green(`${getTimestamp(walletNum)} ✓ Transaction cancelled`));
+        console.log(chalk.green(`${getTimestamp(walletNum)} ✓ View transaction: ${getTxUrl(receipt.transactionHash)}`));
+    }
+}
+
+// Show journaled transactions, newest last
+async function showTransactionHistory({ operation, status, hash, limit = 20, network = undefined, filters = {} } = {}) {
+    const config = await loadConfig();
+    useNetwork(config, network);
+    const wallets = await selectWalletNums(config, filters);
+    const journal = TransactionJournal.fromConfig(config);
+    
+    if (!journal) {
+        console.log(chalk.yellow(`${getTimestamp()} ⚠ Transaction journal is disabled in config`));
+        return;
+    }
+    
+    const transactions = journal.query({ wallets, operation, status, hash, limit });
+    
+    if (transactions.length === 0) {
+        console.log(chalk.yellow(`${getTimestamp()} ⚠ No journaled transactions found in ${journal.filePath}`));
+        return;
+    }
+    
+    console.log(chalk.blue.bold(`\n=== Transaction History (${transactions.length}) ===\n`));
+    
+    for (const tx of transactions) {
+        const color = tx.status === 'confirmed' ? chalk.green :
+            ['reverted', 'failed', 'dropped', 'stuck'].includes(tx.status) ? chalk.red : chalk.yellow;
+        const call = tx.method ? `${tx.method}(${(tx.args || []).join(', ')})` : tx.label;
+        
+        console.log(color(`${tx.createdAt} Wallet ${tx.wallet} ${tx.operation || '-'} ${call} nonce ${tx.nonce} [${tx.status}]`));
+        if (tx.hash) {
+            console.log(chalk.cyan(`    ${getTxUrl(tx.hash)}${tx.gasUsed ? ` (gas used: ${tx.gasUsed})` : ''}`));
+        }
+        if (tx.contract) {
+            console.log(chalk.cyan(`    contract: ${tx.contract}`));
+        }
+        if (tx.error) {
+            console.log(chalk.red(`    error: ${tx.error}`));
+        }
+    }
+}
+
+// Encrypt the keys of a plain text key file into keystores
+async function importKeystores({ from = 'pk.txt' } = {}) {
+    const config = await loadConfig();
+    const privateKeys = await readPrivateKeyFile(from);
+    
+    if (privateKeys.length === 0) {
+        throw new Error(`No private keys found in ${from}`);
+    }
+    
+    const passphrase = await getPassphrase({ confirm: true });
+    const { written, skipped, dir } = await importPrivateKeys(config, privateKeys, passphrase);
+    
+    for (const address of written) {
+        console.log(chalk.green(`${getTimestamp()} ✓ Encrypted ${address}`));
+    }
+    if (skipped > 0) {
+        console.log(chalk.cyan(`${getTimestamp()} ℹ Skipped ${skipped} wallet(s) already in ${dir}`));
+    }
+    
+    console.log(chalk.green(`${getTimestamp()} ✓ ${written.length} keystore(s) written to ${dir}`));
+    console.log(chalk.yellow(`${getTimestamp()} ⚠ ${from} still holds the keys in plain text: delete it and set "keystore": { "enabled": true } in config.json`));
+}
+
+// Decrypt the keystores back into a plain text key file
+async function exportKeystores({ to = 'pk.txt' } = {}) {
+    const config = await loadConfig();
+    
+    const exists = await fs.access(to).then(() => true).catch(() => false);
+    if (exists) {
+        throw new Error(`${to} already exists, refusing to overwrite it`);
+    }
+    
+    const passphrase = await getPassphrase();
+    const privateKeys = await loadKeystores(config, passphrase);
+    
+    await fs.writeFile(to, privateKeys.join('\n') + '\n', { mode: 0o600 });
+    
+    console.log(chalk.green(`${getTimestamp()} ✓ Exported ${privateKeys.length} key(s) to ${to}`));
+    console.log(chalk.yellow(`${getTimestamp()} ⚠ ${to} holds the keys in plain text, delete it when you are done`));
+}
+
+// Value of a --name=value flag, or undefined if it was not given
+function getFlagValue(flags, name) {
+    const flag = flags.find(arg => arg.startsWith(`--${name}=`));
+    return flag ? flag.slice(name.length + 3) : undefined;
+}
+
+// Flags that take a value, accepted both as --name=value and as --name value
+const VALUE_FLAGS = ['config', 'network', 'wallet', 'label', 'tag', 'concurrency', 'operation', 'status', 'hash', 'limit', 'from', 'to'];
+
+// Join "--name value" pairs into "--name=value" so every flag has one form
+function normalizeFlags(args) {
+    const normalized = [];
+    for (let i = 0; i < args.length; i++) {
+        const name = args[i].startsWith('--') ? args[i].slice(2) : null;
+        if (VALUE_FLAGS.includes(name) && args[i + 1] !== undefined && !args[i + 1].startsWith('--')) {
+            normalized.push(`--${name}=${args[i + 1]}`);
+            i++;
+        } else {
+            normalized.push(args[i]);
+        }
+    }
+    return normalized;
+}
+
+// Optional integer flag; a value that is not a number is a usage error
+function getIntegerFlag(flags, name) {
+    const value = getFlagValue(flags, name);
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number)) {
+        throw usageError(`--${name} expects a number, got "${value}"`);
+    }
+    return number;
+}
+
+const USAGE = `Usage: node index.js <command> [options]
+
+Commands:
+  run [--once] [--dry-run]          Run every enabled operation, then again on the configured schedule (default command)
+  deploy <contract|erc20|nft>       Run one deployment operation once
+  test                              Run the contract testing operation once
+  pipeline <name>                   Run one pipeline from config.json once, even if it is disabled
+  plugin <name>                     Run one plugin once, even if it is not listed in operations_to_run
+  status                            Show cycle progress and unsettled transactions
+  balances                          Show balance and nonce of every wallet
+  plugins                           List plugins and their settings
+  history [--operation=name] [--status=status] [--hash=0x...] [--limit=N]
+                                    Show journaled transactions
+  report                            Sum up journaled transactions per wallet and operation
+  cancel <wallet number> [nonce]    Replace a stuck transaction with a zero-value self-transfer
+  import [--from=pk.txt]            Encrypt private keys into keystores
+  export [--to=pk.txt]              Decrypt keystores back into a key file
+
+Options:
+  --wallet=N[,N]                    Only these wallet numbers
+  --label=name[,name]               Only wallets with these manifest labels
+  --tag=tag[,tag]                   Only wallets with one of these manifest tags
+  --concurrency=N                   Process up to N wallets at once (run, deploy, test, pipeline, plugin)
+  --network=name                    Network profile from config.json
+  --config=path                     Config file to use instead of config.json
+  --allow-mainnet                   Allow sending on a known mainnet
+  --dry-run                         Estimate and simulate transactions without sending (run, deploy, test, pipeline, plugin)
+  --help                            Show this help
+
+Exit codes:
+  ${constants.EXIT_CODES.SUCCESS} success, ${constants.EXIT_CODES.ERROR} error, ${constants.EXIT_CODES.USAGE} invalid usage, ` +
+`${constants.EXIT_CODES.OPERATIONS_FAILED} some operations failed, ${constants.EXIT_CODES.CHAIN_CHECK_FAILED} chain check failed, ` +
+`${constants.EXIT_CODES.INTERRUPTED} interrupted`;
+
+/**
+ * Run the command given on the command line
+ * @param {string[]} argv - Arguments after "node index.js"
+ * @returns {Promise<number>} - Exit code
+ */
+async function runCli(argv) {
+    const cliArgs = normalizeFlags(argv);
+    const flags = cliArgs.filter(arg => arg.startsWith('--'));
+    const [command = 'run', ...commandArgs] = cliArgs.filter(arg => !arg.startsWith('--'));
+    
+    if (flags.includes('--help') || command === 'help') {
+        console.log(USAGE);
+        return constants.EXIT_CODES.SUCCESS;
+    }
+    
+    configFile = getFlagValue(flags, 'config') || DEFAULT_CONFIG_FILE;
+    
+    // Options shared by every command
+    const options = {
+        network: getFlagValue(flags, 'network'),
+        allowMainnet: flags.includes('--allow-mainnet'),
+        dryRun: flags.includes('--dry-run'),
+        concurrency: getIntegerFlag(flags, 'concurrency'),
+        filters: {
+            wallet: getFlagValue(flags, 'wallet'),
+            label: getFlagValue(flags, 'label'),
+            tag: getFlagValue(flags, 'tag')
+        }
+    };
+    
+    if (options.concurrency !== undefined && options.concurrency < 1) {
+        throw usageError('--concurrency must be at least 1');
+    }
+    
+    // Plugins are loaded once, and only for the commands that run them, so a broken plugin
+    // or plugin setting leaves status, balances, history and the other commands working
+    if (PLUGIN_COMMANDS.includes(command)) {
+        usePlugins(await loadConfig());
+    }
+    
+    switch (command) {
+        case 'run':
+            return await runAutomation({ ...options, once: flags.includes('--once') });
+        
+        case 'deploy': {
+            const operationName = Object.hasOwn(DEPLOY_TYPES, commandArgs[0]) ? DEPLOY_TYPES[commandArgs[0]] : null;
+            if (!operationName) {
+                throw usageError(`deploy expects one of ${Object.keys(DEPLOY_TYPES).join(', ')}`);
+            }
+            return await runOperation(operationName, options);
         }
+        
+        case 'test':
+            return await runOperation('contract_testing', options);
+        
+        case 'pipeline':
+            if (!commandArgs[0]) {
+                throw usageError('pipeline expects the name of a pipeline from config.json');
+            }
+            return await runOperation(`pipeline:${commandArgs[0]}`, options);
+        
+        case 'status':
+            return await showStatus(options);
+        
+        case 'balances':
+            return await showBalances(options);
+        
+        case 'plugins':
+            return await showPlugins();
+        
+        case 'plugin':
+            if (!commandArgs[0]) {
+                throw usageError('plugin expects the name of a plugin from the plugins directory');
+            }
+            return await runOperation(commandArgs[0], options);
+        
+        case 'report':
+            return await showReport(options);
+        
+        case 'history':
+            await showTransactionHistory({
+                operation: getFlagValue(flags, 'operation'),
+                status: getFlagValue(flags, 'status'),
+                hash: getFlagValue(flags, 'hash'),
+                limit: getIntegerFlag(flags, 'limit') ?? 20,
+                network: options.network,
+                filters: options.filters
+            });
+            return constants.EXIT_CODES.SUCCESS;
+        
+        case 'cancel': {
+            const walletNum = Number(commandArgs[0]);
+            if (!Number.isInteger(walletNum) || walletNum < 1) {
+                throw usageError(`cancel expects a wallet number, got "${commandArgs[0] ?? ''}"`);
+            }
+            const nonce = commandArgs[1] !== undefined ? parseInt(commandArgs[1], 10) : null;
+            if (Number.isNaN(nonce)) {
+                throw usageError(`Invalid nonce "${commandArgs[1]}"`);
+            }
+            await cancelPendingTransaction(walletNum, nonce, options);
+            return constants.EXIT_CODES.SUCCESS;
+        }
+        
+        case 'import':
+            // The passphrase is read from KEYSTORE_PASSPHRASE, or asked for on the terminal
+            await importKeystores({ from: getFlagValue(flags, 'from') });
+            return constants.EXIT_CODES.SUCCESS;
+        
+        case 'export':
+            await exportKeystores({ to: getFlagValue(flags, 'to') });
+            return constants.EXIT_CODES.SUCCESS;
+        
+        default:
+            throw usageError(`Unknown command "${command}"`);
     }
 }
 
-main().catch(console.error);
\ No newline at end of file
+runCli(process.argv.slice(2))
+    .then(exitCode => process.exit(exitCode))
+    .catch(error => {
+        console.error(chalk.red(`\nError: ${error.message}`));
+        if (error.exitCode === constants.EXIT_CODES.USAGE) {
+            console.error(`\n${USAGE}`);
+        }
+        process.exit(error.exitCode ?? constants.EXIT_CODES.ERROR);
+    });
\ No newline at end of file
@@ -0,0 +1,25 @@
+// Example plugin: sends the wallet a zero-value transaction carrying a short text note.
+// Add "note_to_self" to operation_randomization.operations_to_run to run it, and set
+// its options under plugins.settings.note_to_self in config.json.
+
+module.exports = {
+    name: 'note_to_self',
+    description: 'Send a zero-value self-transaction with a text note as its data',
+
+    configSchema: {
+        message: { type: 'string', default: 'gm', description: 'Text to put in the transaction data' }
+    },
+
+    async execute({ settings, wallet, web3, txManager, logger }) {
+        logger.info(`Sending note "${settings.message}" to self...`);
+
+        const receipt = await txManager.sendTransaction({
+            to: wallet.address,
+            data: web3.utils.utf8ToHex(settings.message),
+            value: '0'
+        }, 'note to self');
+
+        logger.success(`Note sent: ${receipt.transactionHash}`);
+        return true;
+    }
+};
\ No newline at end of file
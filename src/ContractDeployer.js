@@ -1,12 +1,20 @@
-const { Web3 } = require('web3');
 const chalk = require('chalk');
-const ora = require('ora');
 const solc = require('solc');
 const constants = require('../utils/constants');
+const { getTxUrl } = require('../utils/network');
 const { addRandomDelay, getTimestamp } = require('../utils/delayUtils');
+const { isShutdownRequested } = require('../utils/shutdown');
+const TransactionManager = require('../utils/TransactionManager');
+const { createWalletConnection } = require('../utils/walletConnection');
+const { createSpinner } = require('../utils/walletOutput');
 
 class ContractDeployer {
-    constructor(privateKey, config = {}) {
+    /**
+     * @param {string|null} privateKey - Wallet private key, may be null when a signer is injected
+     * @param {Object} config - Root configuration object
+     * @param {Object} [options] - Injected web3, provider and/or signer (see createWalletConnection)
+     */
+    constructor(privateKey, config = {}, options = {}) {
         // Default configuration
         this.defaultConfig = {
             enable_contract_deploy: true,
@@ -24,120 +32,24 @@ class ContractDeployer {
         // Load configuration, merging with defaults
         this.config = { ...this.defaultConfig, ...config };
         
-        // Setup web3 connection
-        this.rpcUrl = constants.NETWORK.RPC_URL;
-        this.web3 = new Web3(this.rpcUrl);
+        // Use the injected Web3 instance and signer, or connect this wallet through the RPC pool
+        const connection = createWalletConnection(config, privateKey, options);
+        this.web3 = connection.web3;
+        this.account = connection.signer;
         
-        // Setup account
-        if (!privateKey.startsWith('0x')) {
-            privateKey = '0x' + privateKey;
-        }
-        this.account = this.web3.eth.accounts.privateKeyToAccount(privateKey);
         this.walletNum = null;
         
-        // Add nonce tracking to avoid transaction issues
-        this.currentNonce = null;
+        // Shared transaction engine for nonce tracking, gas pricing and sending
+        this.txManager = new TransactionManager(this.web3, this.account, config, { operation: 'contract_deploy' });
     }
     
     setWalletNum(num) {
         this.walletNum = num;
-    }
-    
-    // Get the next nonce, considering pending transactions
-    async getNonce() {
-        if (this.currentNonce === null) {
-            // If this is the first transaction, get the nonce from the network
-            this.currentNonce = await this.web3.eth.getTransactionCount(this.account.address);
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Initial nonce from network: ${this.currentNonce}`));
-        } else {
-            // For subsequent transactions, use the tracked nonce
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Using tracked nonce: ${this.currentNonce}`));
-        }
-        
-        return this.currentNonce;
-    }
-    
-    // Update nonce after a transaction is sent
-    incrementNonce() {
-        if (this.currentNonce !== null) {
-            this.currentNonce++;
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Incremented nonce to: ${this.currentNonce}`));
-        }
-    }
-    
-    // Enhanced gas price calculation with retries
-    async getGasPrice(retryCount = 0) {
-        try {
-            // Get the current gas price from the network
-            const networkGasPrice = await this.web3.eth.getGasPrice();
-            
-            // Apply base multiplier from config
-            let multiplier = this.config.gas_price_multiplier || constants.GAS.PRICE_MULTIPLIER;
-            
-            // Apply additional multiplier for retries
-            if (retryCount > 0) {
-                const retryMultiplier = Math.pow(constants.GAS.RETRY_INCREASE, retryCount);
-                multiplier *= retryMultiplier;
-                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`));
-            }
-            
-            // Calculate gas price with multiplier
-            const adjustedGasPrice = BigInt(Math.floor(Number(networkGasPrice) * multiplier));
-            
-            // Convert to gwei for display
-            const gweiPrice = this.web3.utils.fromWei(adjustedGasPrice.toString(), 'gwei');
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Network gas price: ${this.web3.utils.fromWei(networkGasPrice, 'gwei')} gwei, using: ${gweiPrice} gwei (${multiplier.toFixed(2)}x)`));
-            
-            // Enforce min/max gas price in gwei
-            const minGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei'));
-            const maxGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MAX_GWEI.toString(), 'gwei'));
-            
-            // Ensure gas price is within bounds
-            let finalGasPrice = adjustedGasPrice;
-            if (adjustedGasPrice < minGasPrice) {
-                finalGasPrice = minGasPrice;
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas price below minimum, using: ${constants.GAS.MIN_GWEI} gwei`));
-            } else if (adjustedGasPrice > maxGasPrice) {
-                finalGasPrice = maxGasPrice;
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas price above maximum, using: ${constants.GAS.MAX_GWEI} gwei`));
-            }
-            
-            return finalGasPrice.toString();
-        } catch (error) {
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Error getting gas price: ${error.message}`));
-            
-            // Fallback to a low gas price
-            const fallbackGasPrice = this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei');
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using fallback gas price: ${constants.GAS.MIN_GWEI} gwei`));
-            
-            return fallbackGasPrice;
-        }
-    }
-    
-    // Improved gas estimation with buffer
-    async estimateGas(txObject) {
-        try {
-            // Get the gas estimate from the blockchain
-            const estimatedGas = await this.web3.eth.estimateGas(txObject);
-            
-            // Add 20% buffer for safety
-            const gasWithBuffer = Math.floor(Number(estimatedGas) * 1.2);
-            
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Estimated gas: ${estimatedGas}, with buffer: ${gasWithBuffer}`));
-            
-            return gasWithBuffer;
-        } catch (error) {
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas estimation failed: ${error.message}`));
-            
-            // Use default gas
-            const defaultGas = constants.GAS.DEFAULT_GAS;
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using default gas: ${defaultGas}`));
-            return defaultGas;
-        }
+        this.txManager.setWalletNum(num);
     }
     
     async compileContract() {
-        const spinner = ora('Compiling smart contract...').start();
+        const spinner = createSpinner('Compiling smart contract...').start();
         
         try {
             // Setup compiler input with specific EVM version to ensure compatibility
@@ -189,7 +101,7 @@ class ContractDeployer {
     }
     
     async deployContract(compiledContract) {
-        const spinner = ora('Deploying smart contract...').start();
+        const spinner = createSpinner('Deploying smart contract...').start();
         
         try {
             // Create contract instance for deployment
@@ -201,46 +113,13 @@ class ContractDeployer {
                 arguments: []
             });
             
-            // Get nonce and gas price with optimizations - stop spinner during this
+            // Build, sign and send the deployment transaction - spinner stays stopped while it logs progress
             spinner.stop();
-            const currentNonce = await this.getNonce();
-            const currentGasPrice = await this.getGasPrice();
-            
-            // Estimate gas - still no spinner
-            let estimatedGas;
-            try {
-                estimatedGas = await deployTx.estimateGas({
-                    from: this.account.address
-                });
-                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Estimated gas: ${estimatedGas}`));
-            } catch (error) {
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas estimation failed: ${error.message}`));
-                estimatedGas = 2000000; // Default for contract deployment
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using default gas: ${estimatedGas}`));
-            }
-            
-            // Prepare transaction object
-            const tx = {
-                from: this.account.address,
-                nonce: currentNonce,
-                gas: Math.floor(Number(estimatedGas) * 1.2), // Add 20% buffer
-                gasPrice: currentGasPrice,
+            const receipt = await this.txManager.sendTransaction({
                 data: deployTx.encodeABI(),
-                chainId: constants.NETWORK.CHAIN_ID
-            };
-            
-            // Sign transaction
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing contract deployment transaction...`));
-            const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-            
-            // Increment nonce before sending
-            this.incrementNonce();
-            
-            // Restart spinner for transaction sending
-            spinner.start('Sending contract deployment transaction...');
-            
-            // Send the transaction
-            const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                abi: compiledContract.abi,
+                defaultGas: 2000000 // Default for contract deployment
+            }, 'contract deployment');
             
             spinner.succeed(`Contract deployed at: ${receipt.contractAddress}`);
             
@@ -295,38 +174,13 @@ class ContractDeployer {
             // Add random delay before this transaction
             await addRandomDelay(this.config, this.walletNum, `contract interaction (${interactionType})`);
             
-            // Get nonce and gas price with optimizations
-            const nonce = await this.getNonce();
-            const gasPrice = await this.getGasPrice();
-            
-            // Create transaction template for gas estimation
-            const txTemplate = {
-                from: this.account.address,
+            // Build, sign and send the transaction
+            const receipt = await this.txManager.sendTransaction({
                 to: contractAddress,
                 data: method.encodeABI(),
-                nonce: nonce,
                 value: value,
-                chainId: constants.NETWORK.CHAIN_ID
-            };
-            
-            // Estimate gas
-            const gasLimit = await this.estimateGas(txTemplate);
-            
-            // Create transaction object
-            const tx = {
-                ...txTemplate,
-                gas: gasLimit,
-                gasPrice: gasPrice
-            };
-            
-            // Sign and send the transaction
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing transaction for ${interactionType}...`));
-            const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-            
-            // Increment nonce before sending
-            this.incrementNonce();
-            
-            const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                abi: abi
+            }, `${interactionType}`);
             
             return {
                 type: interactionType,
@@ -352,9 +206,6 @@ class ContractDeployer {
         console.log(chalk.blue.bold(`${getTimestamp(this.walletNum)} Starting contract operations...`));
         
         try {
-            // Reset nonce tracking at the start of operations
-            this.currentNonce = null;
-            
             // Step 1: Compile the contract
             console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Compiling smart contract...`));
             const compiledContract = await this.compileContract();
@@ -367,7 +218,7 @@ class ContractDeployer {
             const deployedContract = await this.deployContract(compiledContract);
             
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Contract deployed at: ${deployedContract.contractAddress}`));
-            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${deployedContract.txHash}`));
+            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(deployedContract.txHash)}`));
             
             // Skip interactions if disabled in config
             if (!this.config.contract_interactions?.enabled) {
@@ -400,6 +251,11 @@ class ContractDeployer {
             
             let successCount = 0;
             for (let i = 0; i < interactionCount; i++) {
+                // Stop once the operation ran out of budget or the tool is shutting down
+                if (this.txManager.budgetError || isShutdownRequested()) {
+                    break;
+                }
+                
                 // Select a random interaction type from the available types
                 const interactionType = interactionTypes[Math.floor(Math.random() * interactionTypes.length)];
                 
@@ -413,7 +269,7 @@ class ContractDeployer {
                 
                 if (result.success) {
                     console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ ${interactionType} successful`));
-                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${result.txHash}`));
+                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(result.txHash)}`));
                     successCount++;
                 } else {
                     console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ ${interactionType} failed: ${result.error}`));
@@ -1,11 +1,19 @@
-const { Web3 } = require('web3');
 const chalk = require('chalk');
 const solc = require('solc');
 const constants = require('../utils/constants');
+const { getTxUrl, getAddressUrl } = require('../utils/network');
 const { addRandomDelay, getTimestamp } = require('../utils/delayUtils');
+const { isShutdownRequested } = require('../utils/shutdown');
+const TransactionManager = require('../utils/TransactionManager');
+const { createWalletConnection } = require('../utils/walletConnection');
 
 class ContractTesterManager {
-    constructor(privateKey, config = {}) {
+    /**
+     * @param {string|null} privateKey - Wallet private key, may be null when a signer is injected
+     * @param {Object} config - Root configuration object
+     * @param {Object} [options] - Injected web3, provider and/or signer (see createWalletConnection)
+     */
+    constructor(privateKey, config = {}, options = {}) {
         // Default configuration
         this.defaultConfig = {
             enable_contract_testing: true,
@@ -38,117 +46,20 @@ class ContractTesterManager {
             this.config.delay = config.delay;
         }
         
-        // Setup web3 connection
-        this.rpcUrl = constants.NETWORK.RPC_URL;
-        this.web3 = new Web3(this.rpcUrl);
-        
-        // Setup account
-        if (!privateKey.startsWith('0x')) {
-            privateKey = '0x' + privateKey;
-        }
-        this.account = this.web3.eth.accounts.privateKeyToAccount(privateKey);
+        // Use the injected Web3 instance and signer, or connect this wallet through the RPC pool
+        const connection = createWalletConnection(config, privateKey, options);
+        this.web3 = connection.web3;
+        this.account = connection.signer;
         
         this.walletNum = null;
         
-        // Add nonce tracking to avoid transaction issues
-        this.currentNonce = null;
+        // Shared transaction engine for nonce tracking, gas pricing and sending
+        this.txManager = new TransactionManager(this.web3, this.account, config, { operation: 'contract_testing' });
     }
     
     setWalletNum(num) {
         this.walletNum = num;
-    }
-    
-    // Get the next nonce, considering pending transactions
-    async getNonce() {
-        if (this.currentNonce === null) {
-            // If this is the first transaction, get the nonce from the network
-            this.currentNonce = await this.web3.eth.getTransactionCount(this.account.address);
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Initial nonce from network: ${this.currentNonce}`));
-        } else {
-            // For subsequent transactions, use the tracked nonce
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Using tracked nonce: ${this.currentNonce}`));
-        }
-        
-        return this.currentNonce;
-    }
-    
-    // Update nonce after a transaction is sent
-    incrementNonce() {
-        if (this.currentNonce !== null) {
-            this.currentNonce++;
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Incremented nonce to: ${this.currentNonce}`));
-        }
-    }
-    
-    // Enhanced gas price calculation with retries
-    async getGasPrice(retryCount = 0) {
-        try {
-            // Get the current gas price from the network
-            const networkGasPrice = await this.web3.eth.getGasPrice();
-            
-            // Apply base multiplier from config
-            let multiplier = constants.GAS.PRICE_MULTIPLIER;
-            
-            // Apply additional multiplier for retries
-            if (retryCount > 0) {
-                const retryMultiplier = Math.pow(constants.GAS.RETRY_INCREASE, retryCount);
-                multiplier *= retryMultiplier;
-                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`));
-            }
-            
-            // Calculate gas price with multiplier
-            const adjustedGasPrice = BigInt(Math.floor(Number(networkGasPrice) * multiplier));
-            
-            // Convert to gwei for display
-            const gweiPrice = this.web3.utils.fromWei(adjustedGasPrice.toString(), 'gwei');
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Network gas price: ${this.web3.utils.fromWei(networkGasPrice, 'gwei')} gwei, using: ${gweiPrice} gwei (${multiplier.toFixed(2)}x)`));
-            
-            // Enforce min/max gas price in gwei
-            const minGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei'));
-            const maxGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MAX_GWEI.toString(), 'gwei'));
-            
-            // Ensure gas price is within bounds
-            let finalGasPrice = adjustedGasPrice;
-            if (adjustedGasPrice < minGasPrice) {
-                finalGasPrice = minGasPrice;
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas price below minimum, using: ${constants.GAS.MIN_GWEI} gwei`));
-            } else if (adjustedGasPrice > maxGasPrice) {
-                finalGasPrice = maxGasPrice;
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas price above maximum, using: ${constants.GAS.MAX_GWEI} gwei`));
-            }
-            
-            return finalGasPrice.toString();
-        } catch (error) {
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Error getting gas price: ${error.message}`));
-            
-            // Fallback to a low gas price
-            const fallbackGasPrice = this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei');
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using fallback gas price: ${constants.GAS.MIN_GWEI} gwei`));
-            
-            return fallbackGasPrice;
-        }
-    }
-    
-    // Improved gas estimation with buffer
-    async estimateGas(txObject) {
-        try {
-            // Get the gas estimate from the blockchain
-            const estimatedGas = await this.web3.eth.estimateGas(txObject);
-            
-            // Add 20% buffer for safety
-            const gasWithBuffer = Math.floor(Number(estimatedGas) * 1.2);
-            
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Estimated gas: ${estimatedGas}, with buffer: ${gasWithBuffer}`));
-            
-            return gasWithBuffer;
-        } catch (error) {
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas estimation failed: ${error.message}`));
-            
-            // Use default gas
-            const defaultGas = constants.GAS.DEFAULT_GAS;
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using default gas: ${defaultGas}`));
-            return defaultGas;
-        }
+        this.txManager.setWalletNum(num);
     }
     
     // Compile the test contract
@@ -224,46 +135,15 @@ class ContractTesterManager {
                 arguments: []
             });
             
-            // Get nonce and gas price
-            const nonce = await this.getNonce();
-            const gasPrice = await this.getGasPrice();
-            
-            // Estimate gas
-            let estimatedGas;
-            try {
-                estimatedGas = await deployTx.estimateGas({
-                    from: this.account.address
-                });
-                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Estimated gas: ${estimatedGas}`));
-            } catch (error) {
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas estimation failed: ${error.message}`));
-                estimatedGas = 2000000; // Default for contract deployment
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using default gas: ${estimatedGas}`));
-            }
-            
-            // Prepare transaction object
-            const tx = {
-                from: this.account.address,
-                nonce: nonce,
-                gas: Math.floor(Number(estimatedGas) * 1.2), // Add 20% buffer
-                gasPrice: gasPrice,
+            // Build, sign and send the deployment transaction
+            const receipt = await this.txManager.sendTransaction({
                 data: deployTx.encodeABI(),
-                chainId: constants.NETWORK.CHAIN_ID
-            };
-            
-            // Sign transaction
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing contract deployment transaction...`));
-            const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-            
-            // Increment nonce before sending
-            this.incrementNonce();
-            
-            // Send the transaction
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Sending contract deployment transaction...`));
-            const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                abi: compiledContract.abi,
+                defaultGas: 2000000 // Default for contract deployment
+            }, 'contract deployment');
             
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Parameter tester contract deployed at: ${receipt.contractAddress}`));
-            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${receipt.transactionHash}`));
+            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(receipt.transactionHash)}`));
             
             return {
                 contractAddress: receipt.contractAddress,
@@ -326,6 +206,11 @@ class ContractTesterManager {
             let successCount = 0;
             
             for (let i = 0; i < iterations; i++) {
+                // Stop once the operation ran out of budget or the tool is shutting down
+                if (this.txManager.budgetError || isShutdownRequested()) {
+                    break;
+                }
+                
                 // Select a random test value
                 const value = testValues[Math.floor(Math.random() * testValues.length)];
                 
@@ -339,46 +224,22 @@ class ContractTesterManager {
                     // Prepare transaction
                     const setValueTx = contract.methods.setValue(value);
                     
-                    // Get nonce and gas price
-                    const nonce = await this.getNonce();
-                    const gasPrice = await this.getGasPrice();
-                    
-                    // Transaction template for gas estimation
-                    const txTemplate = {
-                        from: this.account.address,
+                    // Build, sign and send the transaction
+                    const receipt = await this.txManager.sendTransaction({
                         to: contractAddress,
                         data: setValueTx.encodeABI(),
-                        nonce: nonce,
-                        chainId: constants.NETWORK.CHAIN_ID
-                    };
-                    
-                    // Estimate gas
-                    const gasLimit = await this.estimateGas(txTemplate);
-                    
-                    // Create transaction object
-                    const tx = {
-                        ...txTemplate,
-                        gas: gasLimit,
-                        gasPrice: gasPrice
-                    };
-                    
-                    // Sign and send transaction
-                    console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing transaction for setValue(${value})...`));
-                    const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-                    
-                    // Increment nonce before sending
-                    this.incrementNonce();
-                    
-                    // Send transaction
-                    const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                        abi: abi
+                    }, `setValue(${value})`);
                     
                     console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Parameter test successful: setValue(${value})`));
-                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${receipt.transactionHash}`));
+                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(receipt.transactionHash)}`));
                     successCount++;
                     
-                    // After setting, verify the value was set correctly
-                    const verifyValue = await contract.methods.getValue().call();
-                    console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Verified value: ${verifyValue}`));
+                    // After setting, verify the value was set correctly (skipped when only simulated)
+                    if (!receipt.dryRun) {
+                        const verifyValue = await contract.methods.getValue().call();
+                        console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Verified value: ${verifyValue}`));
+                    }
                 } catch (error) {
                     console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ Parameter test failed for value ${value}: ${error.message}`));
                 }
@@ -427,41 +288,16 @@ class ContractTesterManager {
                 // Prepare transaction
                 const setValueTx = contract.methods.setValue(baseValue);
                 
-                // Get nonce and gas price
-                const nonce = await this.getNonce();
-                const gasPrice = await this.getGasPrice();
-                
-                // Transaction template
-                const txTemplate = {
-                    from: this.account.address,
+                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Setting base value for stress tests: ${baseValue}...`));
+                // Build, sign and send the transaction
+                const receipt = await this.txManager.sendTransaction({
                     to: contractAddress,
                     data: setValueTx.encodeABI(),
-                    nonce: nonce,
-                    chainId: constants.NETWORK.CHAIN_ID
-                };
-                
-                // Estimate gas
-                const gasLimit = await this.estimateGas(txTemplate);
-                
-                // Create transaction object
-                const tx = {
-                    ...txTemplate,
-                    gas: gasLimit,
-                    gasPrice: gasPrice
-                };
-                
-                // Sign and send transaction
-                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Setting base value for stress tests: ${baseValue}...`));
-                const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-                
-                // Increment nonce before sending
-                this.incrementNonce();
-                
-                // Send transaction
-                const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                    abi: abi
+                }, `setValue(${baseValue})`);
                 
                 console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Base value set to ${baseValue}`));
-                console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${receipt.transactionHash}`));
+                console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(receipt.transactionHash)}`));
             } catch (error) {
                 console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ Failed to set base value for stress tests: ${error.message}`));
                 return false;
@@ -469,6 +305,11 @@ class ContractTesterManager {
             
             // Now perform stress tests
             for (let i = 0; i < iterations; i++) {
+                // Stop once the operation ran out of budget or the tool is shutting down
+                if (this.txManager.budgetError || isShutdownRequested()) {
+                    break;
+                }
+                
                 // Select a random operation
                 const operation = operations[Math.floor(Math.random() * operations.length)];
                 
@@ -484,46 +325,22 @@ class ContractTesterManager {
                     // Prepare transaction
                     const operationTx = operation.fn(value);
                     
-                    // Get nonce and gas price
-                    const nonce = await this.getNonce();
-                    const gasPrice = await this.getGasPrice();
-                    
-                    // Transaction template
-                    const txTemplate = {
-                        from: this.account.address,
+                    // Build, sign and send the transaction
+                    const receipt = await this.txManager.sendTransaction({
                         to: contractAddress,
                         data: operationTx.encodeABI(),
-                        nonce: nonce,
-                        chainId: constants.NETWORK.CHAIN_ID
-                    };
-                    
-                    // Estimate gas
-                    const gasLimit = await this.estimateGas(txTemplate);
-                    
-                    // Create transaction object
-                    const tx = {
-                        ...txTemplate,
-                        gas: gasLimit,
-                        gasPrice: gasPrice
-                    };
-                    
-                    // Sign and send transaction
-                    console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing transaction for ${operation.name}(${value})...`));
-                    const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-                    
-                    // Increment nonce before sending
-                    this.incrementNonce();
-                    
-                    // Send transaction
-                    const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                        abi: abi
+                    }, `${operation.name}(${value})`);
                     
                     console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Stress test successful: ${operation.name}(${value})`));
-                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${receipt.transactionHash}`));
+                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(receipt.transactionHash)}`));
                     successCount++;
                     
-                    // Check current value
-                    const currentValue = await contract.methods.getValue().call();
-                    console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Current value after operation: ${currentValue}`));
+                    // Check current value (skipped when only simulated)
+                    if (!receipt.dryRun) {
+                        const currentValue = await contract.methods.getValue().call();
+                        console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Current value after operation: ${currentValue}`));
+                    }
                 } catch (error) {
                     console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ Stress test failed for ${operation.name}(${value}): ${error.message}`));
                 }
@@ -568,6 +385,11 @@ class ContractTesterManager {
             let successCount = 0;
             
             for (let i = 0; i < boundaryValues.length; i++) {
+                // Stop once the operation ran out of budget or the tool is shutting down
+                if (this.txManager.budgetError || isShutdownRequested()) {
+                    break;
+                }
+                
                 const value = boundaryValues[i];
                 
                 // Add random delay before test
@@ -579,46 +401,22 @@ class ContractTesterManager {
                     // Prepare transaction
                     const setValueTx = contract.methods.setValue(value);
                     
-                    // Get nonce and gas price
-                    const nonce = await this.getNonce();
-                    const gasPrice = await this.getGasPrice();
-                    
-                    // Transaction template
-                    const txTemplate = {
-                        from: this.account.address,
+                    // Build, sign and send the transaction
+                    const receipt = await this.txManager.sendTransaction({
                         to: contractAddress,
                         data: setValueTx.encodeABI(),
-                        nonce: nonce,
-                        chainId: constants.NETWORK.CHAIN_ID
-                    };
-                    
-                    // Estimate gas
-                    const gasLimit = await this.estimateGas(txTemplate);
-                    
-                    // Create transaction object
-                    const tx = {
-                        ...txTemplate,
-                        gas: gasLimit,
-                        gasPrice: gasPrice
-                    };
-                    
-                    // Sign and send transaction
-                    console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing transaction for setValue(${value})...`));
-                    const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-                    
-                    // Increment nonce before sending
-                    this.incrementNonce();
-                    
-                    // Send transaction
-                    const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                        abi: abi
+                    }, `setValue(${value})`);
                     
                     console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Boundary test successful: setValue(${value})`));
-                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${receipt.transactionHash}`));
+                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(receipt.transactionHash)}`));
                     successCount++;
                     
-                    // Verify the value was set correctly
-                    const verifyValue = await contract.methods.getValue().call();
-                    console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Verified value: ${verifyValue}`));
+                    // Verify the value was set correctly (skipped when only simulated)
+                    if (!receipt.dryRun) {
+                        const verifyValue = await contract.methods.getValue().call();
+                        console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Verified value: ${verifyValue}`));
+                    }
                 } catch (error) {
                     console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ Boundary test failed for value ${value}: ${error.message}`));
                 }
@@ -642,9 +440,6 @@ class ContractTesterManager {
         console.log(chalk.blue.bold(`${getTimestamp(this.walletNum)} Starting contract testing operations...`));
         
         try {
-            // Reset nonce tracking at the start of operations
-            this.currentNonce = null;
-            
             // Deploy the test contract
             const deployedContract = await this.deployTestContract();
             
@@ -676,7 +471,7 @@ class ContractTesterManager {
             // Summarize results
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Contract testing operations completed!`));
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Contract address: ${deployedContract.contractAddress}`));
-            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View contract: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`));
+            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View contract: ${getAddressUrl(deployedContract.contractAddress)}`));
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Test results:`));
             
             for (const [sequence, result] of Object.entries(results)) {
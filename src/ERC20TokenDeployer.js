@@ -1,12 +1,20 @@
-const { Web3 } = require('web3');
 const chalk = require('chalk');
-const ora = require('ora');
 const solc = require('solc');
 const constants = require('../utils/constants');
+const { getTxUrl, getAddressUrl } = require('../utils/network');
 const { addRandomDelay, getTimestamp } = require('../utils/delayUtils');
+const TransactionManager = require('../utils/TransactionManager');
+const { createWalletConnection } = require('../utils/walletConnection');
+const { createSpinner } = require('../utils/walletOutput');
 
 class ERC20TokenDeployer {
-    constructor(privateKey, config = {}) {
+    /**
+     * @param {string|null} privateKey - Wallet private key, may be null when a signer is injected
+     * @param {Object} config - Root configuration object
+     * @param {Object} [options] - Injected web3, provider and/or signer (see createWalletConnection)
+     * @param {Object} [options.txManager] - Transaction manager to send through instead of a new one, to journal under another operation
+     */
+    constructor(privateKey, config = {}, options = {}) {
         // Default ERC20 configuration
         this.defaultConfig = {
             enable_erc20: true,
@@ -26,117 +34,20 @@ class ERC20TokenDeployer {
             this.config.delay = config.delay;
         }
         
-        // Setup web3 connection
-        this.rpcUrl = constants.NETWORK.RPC_URL;
-        this.web3 = new Web3(this.rpcUrl);
-        
-        // Setup account
-        if (!privateKey.startsWith('0x')) {
-            privateKey = '0x' + privateKey;
-        }
-        this.account = this.web3.eth.accounts.privateKeyToAccount(privateKey);
+        // Use the injected Web3 instance and signer, or connect this wallet through the RPC pool
+        const connection = createWalletConnection(config, privateKey, options);
+        this.web3 = connection.web3;
+        this.account = connection.signer;
         
         this.walletNum = null;
         
-        // Add nonce tracking to avoid transaction issues
-        this.currentNonce = null;
+        // Shared transaction engine for nonce tracking, gas pricing and sending
+        this.txManager = options.txManager || new TransactionManager(this.web3, this.account, config, { operation: 'erc20' });
     }
     
     setWalletNum(num) {
         this.walletNum = num;
-    }
-    
-    // Get the next nonce, considering pending transactions
-    async getNonce() {
-        if (this.currentNonce === null) {
-            // If this is the first transaction, get the nonce from the network
-            this.currentNonce = await this.web3.eth.getTransactionCount(this.account.address);
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Initial nonce from network: ${this.currentNonce}`));
-        } else {
-            // For subsequent transactions, use the tracked nonce
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Using tracked nonce: ${this.currentNonce}`));
-        }
-        
-        return this.currentNonce;
-    }
-    
-    // Update nonce after a transaction is sent
-    incrementNonce() {
-        if (this.currentNonce !== null) {
-            this.currentNonce++;
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Incremented nonce to: ${this.currentNonce}`));
-        }
-    }
-    
-    // Enhanced gas price calculation with retries
-    async getGasPrice(retryCount = 0) {
-        try {
-            // Get the current gas price from the network
-            const networkGasPrice = await this.web3.eth.getGasPrice();
-            
-            // Apply base multiplier from config
-            let multiplier = constants.GAS.PRICE_MULTIPLIER;
-            
-            // Apply additional multiplier for retries
-            if (retryCount > 0) {
-                const retryMultiplier = Math.pow(constants.GAS.RETRY_INCREASE, retryCount);
-                multiplier *= retryMultiplier;
-                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`));
-            }
-            
-            // Calculate gas price with multiplier
-            const adjustedGasPrice = BigInt(Math.floor(Number(networkGasPrice) * multiplier));
-            
-            // Convert to gwei for display
-            const gweiPrice = this.web3.utils.fromWei(adjustedGasPrice.toString(), 'gwei');
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Network gas price: ${this.web3.utils.fromWei(networkGasPrice, 'gwei')} gwei, using: ${gweiPrice} gwei (${multiplier.toFixed(2)}x)`));
-            
-            // Enforce min/max gas price in gwei
-            const minGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei'));
-            const maxGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MAX_GWEI.toString(), 'gwei'));
-            
-            // Ensure gas price is within bounds
-            let finalGasPrice = adjustedGasPrice;
-            if (adjustedGasPrice < minGasPrice) {
-                finalGasPrice = minGasPrice;
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas price below minimum, using: ${constants.GAS.MIN_GWEI} gwei`));
-            } else if (adjustedGasPrice > maxGasPrice) {
-                finalGasPrice = maxGasPrice;
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas price above maximum, using: ${constants.GAS.MAX_GWEI} gwei`));
-            }
-            
-            return finalGasPrice.toString();
-        } catch (error) {
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Error getting gas price: ${error.message}`));
-            
-            // Fallback to a low gas price
-            const fallbackGasPrice = this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei');
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using fallback gas price: ${constants.GAS.MIN_GWEI} gwei`));
-            
-            return fallbackGasPrice;
-        }
-    }
-    
-    // Improved gas estimation with buffer
-    async estimateGas(txObject) {
-        try {
-            // Get the gas estimate from the blockchain
-            const estimatedGas = await this.web3.eth.estimateGas(txObject);
-            
-            // Add 20% buffer for safety
-            const gasWithBuffer = Math.floor(Number(estimatedGas) * 1.2);
-            
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Estimated gas: ${estimatedGas}, with buffer: ${gasWithBuffer}`));
-            
-            return gasWithBuffer;
-        } catch (error) {
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas estimation failed: ${error.message}`));
-            
-            // Use default gas
-            const defaultGas = constants.GAS.DEFAULT_GAS;
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using default gas: ${defaultGas}`));
-            return defaultGas;
-        }
+        this.txManager.setWalletNum(num);
     }
     
     generateRandomTokenName() {
@@ -160,7 +71,7 @@ class ERC20TokenDeployer {
     }
     
     async compileContract(contractName) {
-        const spinner = ora(`Compiling ERC20 contract (${contractName})...`).start();
+        const spinner = createSpinner(`Compiling ERC20 contract (${contractName})...`).start();
         
         try {
             // Replace placeholder in template with actual contract name
@@ -215,7 +126,7 @@ class ERC20TokenDeployer {
     }
     
     async deployContract(contractName, symbol, decimals) {
-        const spinner = ora(`Deploying ERC20 contract "${contractName}" (${symbol})...`).start();
+        const spinner = createSpinner(`Deploying ERC20 contract "${contractName}" (${symbol})...`).start();
         
         try {
             // Format contract name for Solidity (remove spaces and special chars)
@@ -240,46 +151,13 @@ class ERC20TokenDeployer {
                 arguments: [contractName, symbol, decimals]
             });
             
-            // Get nonce and gas price with optimizations - stop spinner during this
+            // Build, sign and send the deployment transaction - spinner stays stopped while it logs progress
             spinner.stop();
-            const currentNonce = await this.getNonce();
-            const currentGasPrice = await this.getGasPrice();
-            
-            // Estimate gas - still no spinner
-            let estimatedGas;
-            try {
-                estimatedGas = await deployTx.estimateGas({
-                    from: this.account.address
-                });
-                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Estimated gas: ${estimatedGas}`));
-            } catch (error) {
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas estimation failed: ${error.message}`));
-                estimatedGas = 2500000; // Default for ERC20 deployment
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using default gas: ${estimatedGas}`));
-            }
-            
-            // Prepare transaction object
-            const tx = {
-                from: this.account.address,
-                nonce: currentNonce,
-                gas: Math.floor(Number(estimatedGas) * 1.2), // Add 20% buffer
-                gasPrice: currentGasPrice,
+            const receipt = await this.txManager.sendTransaction({
                 data: deployTx.encodeABI(),
-                chainId: constants.NETWORK.CHAIN_ID
-            };
-            
-            // Sign transaction
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing ERC20 contract deployment transaction...`));
-            const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-            
-            // Increment nonce before sending
-            this.incrementNonce();
-            
-            // Restart spinner for transaction sending
-            spinner.start('Sending ERC20 contract deployment transaction...');
-            
-            // Send the transaction
-            const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                abi: compiledContract.abi,
+                defaultGas: 2500000 // Default for ERC20 deployment
+            }, 'ERC20 contract deployment');
             
             spinner.succeed(`ERC20 contract deployed at: ${receipt.contractAddress}`);
             
@@ -315,37 +193,12 @@ class ERC20TokenDeployer {
             // Prepare the mint transaction
             const mintTx = contract.methods.mint(this.account.address, formattedAmount);
             
-            // Get nonce and gas price with optimizations
-            const nonce = await this.getNonce();
-            const gasPrice = await this.getGasPrice();
-            
-            // Transaction template for gas estimation
-            const txTemplate = {
-                from: this.account.address,
+            // Build, sign and send the transaction
+            const receipt = await this.txManager.sendTransaction({
                 to: contractAddress,
                 data: mintTx.encodeABI(),
-                nonce: nonce,
-                chainId: constants.NETWORK.CHAIN_ID
-            };
-            
-            // Estimate gas
-            const gasLimit = await this.estimateGas(txTemplate);
-            
-            // Create transaction object
-            const tx = {
-                ...txTemplate,
-                gas: gasLimit,
-                gasPrice: gasPrice
-            };
-            
-            // Sign and send the transaction
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing transaction for token minting...`));
-            const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-            
-            // Increment nonce before sending
-            this.incrementNonce();
-            
-            const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                abi: abi
+            }, 'token minting');
             
             return {
                 amount: amount,
@@ -377,37 +230,12 @@ class ERC20TokenDeployer {
             // Prepare the burn transaction
             const burnTx = contract.methods.burn(formattedAmount);
             
-            // Get nonce and gas price with optimizations
-            const nonce = await this.getNonce();
-            const gasPrice = await this.getGasPrice();
-            
-            // Transaction template for gas estimation
-            const txTemplate = {
-                from: this.account.address,
+            // Build, sign and send the transaction
+            const receipt = await this.txManager.sendTransaction({
                 to: contractAddress,
                 data: burnTx.encodeABI(),
-                nonce: nonce,
-                chainId: constants.NETWORK.CHAIN_ID
-            };
-            
-            // Estimate gas
-            const gasLimit = await this.estimateGas(txTemplate);
-            
-            // Create transaction object
-            const tx = {
-                ...txTemplate,
-                gas: gasLimit,
-                gasPrice: gasPrice
-            };
-            
-            // Sign and send the transaction
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing transaction for token burning...`));
-            const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-            
-            // Increment nonce before sending
-            this.incrementNonce();
-            
-            const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                abi: abi
+            }, 'token burning');
             
             return {
                 amount: amount,
@@ -434,9 +262,6 @@ class ERC20TokenDeployer {
         console.log(chalk.blue.bold(`${getTimestamp(this.walletNum)} Starting ERC20 token operations...`));
         
         try {
-            // Reset nonce tracking at the start of operations
-            this.currentNonce = null;
-            
             // Generate random token name and symbol
             const tokenName = this.generateRandomTokenName();
             const symbol = this.generateTokenSymbol(tokenName);
@@ -465,7 +290,7 @@ class ERC20TokenDeployer {
             
             if (mintResult.success) {
                 console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Minted ${mintAmount.toLocaleString()} ${symbol} tokens`));
-                console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${mintResult.txHash}`));
+                console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(mintResult.txHash)}`));
                 
                 // Determine burn amount based on config percentage
                 const burnPercentage = Math.min(100, Math.max(0, this.config.burn_percentage || 10));
@@ -483,7 +308,7 @@ class ERC20TokenDeployer {
                     
                     if (burnResult.success) {
                         console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Burned ${burnAmount.toLocaleString()} ${symbol} tokens`));
-                        console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${burnResult.txHash}`));
+                        console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(burnResult.txHash)}`));
                     } else {
                         console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ Failed to burn tokens: ${burnResult.error}`));
                     }
@@ -497,7 +322,7 @@ class ERC20TokenDeployer {
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ ERC20 token operations completed!`));
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Contract address: ${deployedContract.contractAddress}`));
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Token: ${tokenName} (${symbol})`));
-            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View contract: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`));
+            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View contract: ${getAddressUrl(deployedContract.contractAddress)}`));
             
             return true;
         } catch (error) {
@@ -2,12 +2,22 @@ const { Web3 } = require('web3');
 const axios = require('axios');
 const chalk = require('chalk');
 const constants = require('../utils/constants');
+const { getActiveNetwork } = require('../utils/network');
 const { addRandomDelay, getTimestamp } = require('../utils/delayUtils');
+const { isShutdownRequested, sleep } = require('../utils/shutdown');
 const CaptchaSolver = require('../utils/CaptchaSolver');
+const RpcPool = require('../utils/RpcPool');
 const { HttpsProxyAgent } = require('https-proxy-agent'); // Correct import with destructuring
 
 class FaucetManager {
-    constructor(config = {}, proxy = null) {
+    /**
+     * @param {Object} config - Root configuration object
+     * @param {string|null} proxy - Proxy for faucet requests
+     * @param {Object} [options]
+     * @param {Object} [options.web3] - Web3 instance for balance reads
+     * @param {Object} [options.provider] - EIP-1193 provider to build the Web3 instance on
+     */
+    constructor(config = {}, proxy = null, options = {}) {
         // Default faucet configuration
         this.defaultConfig = {
             enable_faucet: true,
@@ -28,9 +38,8 @@ class FaucetManager {
         // Save proxy if provided
         this.proxy = proxy;
         
-        // Setup web3 connection
-        this.rpcUrl = constants.NETWORK.RPC_URL;
-        this.web3 = new Web3(this.rpcUrl);
+        // Use the injected Web3 instance, or read balances through the RPC pool without pinning a wallet
+        this.web3 = options.web3 || new Web3(options.provider || RpcPool.fromConfig(config).getProvider());
         
         this.walletNum = null;
         
@@ -58,6 +67,11 @@ class FaucetManager {
         let retryCount = 0;
         
         while (retryCount < maxRetries) {
+            if (isShutdownRequested()) {
+                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Not requesting from faucet, shutting down`));
+                return false;
+            }
+            
             try {
                 console.log(chalk.blue.bold(`${getTimestamp(this.walletNum)} Requesting tokens from Zenchain faucet... (Attempt ${retryCount + 1}/${maxRetries})`));
                 
@@ -75,6 +89,11 @@ class FaucetManager {
                     }
                 }, this.walletNum, `faucet request (attempt ${retryCount + 1})`);
                 
+                // Cut short by a shutdown, which the top of the loop handles
+                if (isShutdownRequested()) {
+                    continue;
+                }
+                
                 // Solve the reCAPTCHA
                 const websiteURL = constants.FAUCET.FAUCET_WEBSITE_URL;
                 const websiteKey = constants.FAUCET.RECAPTCHA_SITE_KEY;
@@ -138,7 +157,7 @@ class FaucetManager {
                 
                 if (response.data && response.data.hash) {
                     console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Faucet request successful! Transaction hash: ${response.data.hash}`));
-                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Drip amount: ${response.data.dripAmount} ${constants.NETWORK.CURRENCY_SYMBOL}`));
+                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Drip amount: ${response.data.dripAmount} ${getActiveNetwork().currency}`));
                     return true;
                 } else if (response.data && response.data.error) {
                     // Check for waitlist error - no point in retrying this
@@ -157,7 +176,7 @@ class FaucetManager {
                     if (retryCount < maxRetries) {
                         const waitTime = Math.min(300, this.config.base_wait_time * (2 ** retryCount) || 10 * (2 ** retryCount));
                         console.log(chalk.yellow(`${getTimestamp(this.walletNum)} Waiting ${waitTime} seconds before retry...`));
-                        await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
+                        await sleep(waitTime * 1000);
                     }
                     
                     continue;
@@ -170,7 +189,7 @@ class FaucetManager {
                     if (retryCount < maxRetries) {
                         const waitTime = Math.min(300, this.config.base_wait_time * (2 ** retryCount) || 10 * (2 ** retryCount));
                         console.log(chalk.yellow(`${getTimestamp(this.walletNum)} Waiting ${waitTime} seconds before retry...`));
-                        await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
+                        await sleep(waitTime * 1000);
                     }
                     
                     continue;
@@ -189,7 +208,7 @@ class FaucetManager {
                 if (retryCount < maxRetries) {
                     const waitTime = Math.min(300, this.config.base_wait_time * (2 ** retryCount) || 10 * (2 ** retryCount));
                     console.log(chalk.yellow(`${getTimestamp(this.walletNum)} Waiting ${waitTime} seconds before retry...`));
-                    await new Promise(resolve => setTimeout(resolve, waitTime * 1000));
+                    await sleep(waitTime * 1000);
                 }
             }
         }
@@ -214,7 +233,7 @@ class FaucetManager {
             if (initialBalance === null) {
                 initialBalance = await this.web3.eth.getBalance(walletAddress);
                 initialBalance = BigInt(initialBalance);
-                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Initial balance: ${this.web3.utils.fromWei(initialBalance.toString(), 'ether')} ${constants.NETWORK.CURRENCY_SYMBOL}`));
+                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Initial balance: ${this.web3.utils.fromWei(initialBalance.toString(), 'ether')} ${getActiveNetwork().currency}`));
             } else {
                 initialBalance = BigInt(initialBalance);
             }
@@ -225,7 +244,10 @@ class FaucetManager {
             // Loop until timeout or balance increases
             while (waitedTime < maxWaitTime) {
                 // Add a short delay between checks
-                await new Promise(resolve => setTimeout(resolve, checkInterval));
+                if (!(await sleep(checkInterval))) {
+                    console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Stopped waiting for balance, shutting down`));
+                    return false;
+                }
                 waitedTime = Date.now() - startTime;
                 
                 // Check current balance
@@ -236,7 +258,7 @@ class FaucetManager {
                     const timeWaited = Math.floor(waitedTime / 1000);
                     const timeLeft = Math.floor((maxWaitTime - waitedTime) / 1000);
                     console.log(chalk.cyan(
-                        `${getTimestamp(this.walletNum)} ℹ Current balance: ${this.web3.utils.fromWei(currentBalance.toString(), 'ether')} ${constants.NETWORK.CURRENCY_SYMBOL} ` + 
+                        `${getTimestamp(this.walletNum)} ℹ Current balance: ${this.web3.utils.fromWei(currentBalance.toString(), 'ether')} ${getActiveNetwork().currency} ` + 
                         `(Waited ${timeWaited}s, ${timeLeft}s remaining)`
                     ));
                 }
@@ -245,7 +267,7 @@ class FaucetManager {
                 if (currentBalance > initialBalance) {
                     console.log(chalk.green(
                         `${getTimestamp(this.walletNum)} ✓ Balance increased! From ${this.web3.utils.fromWei(initialBalance.toString(), 'ether')} to ` +
-                        `${this.web3.utils.fromWei(currentBalance.toString(), 'ether')} ${constants.NETWORK.CURRENCY_SYMBOL}`
+                        `${this.web3.utils.fromWei(currentBalance.toString(), 'ether')} ${getActiveNetwork().currency}`
                     ));
                     return true;
                 }
@@ -274,7 +296,7 @@ class FaucetManager {
         try {
             // Get initial balance before faucet claim
             const initialBalance = await this.web3.eth.getBalance(walletAddress);
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Initial wallet balance: ${this.web3.utils.fromWei(initialBalance, 'ether')} ${constants.NETWORK.CURRENCY_SYMBOL}`));
+            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Initial wallet balance: ${this.web3.utils.fromWei(initialBalance, 'ether')} ${getActiveNetwork().currency}`));
             
             // Request tokens from the faucet
             const faucetSuccess = await this.requestFaucet(walletAddress);
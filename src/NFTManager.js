@@ -1,13 +1,22 @@
-const { Web3 } = require('web3');
 const chalk = require('chalk');
-const ora = require('ora');
 const solc = require('solc');
 const crypto = require('crypto');
 const constants = require('../utils/constants');
+const { getTxUrl, getAddressUrl } = require('../utils/network');
 const { addRandomDelay, getTimestamp } = require('../utils/delayUtils');
+const { isShutdownRequested } = require('../utils/shutdown');
+const TransactionManager = require('../utils/TransactionManager');
+const { createWalletConnection } = require('../utils/walletConnection');
+const { createSpinner } = require('../utils/walletOutput');
 
 class NFTManager {
-    constructor(privateKey, config = {}) {
+    /**
+     * @param {string|null} privateKey - Wallet private key, may be null when a signer is injected
+     * @param {Object} config - Root configuration object
+     * @param {Object} [options] - Injected web3, provider and/or signer (see createWalletConnection)
+     * @param {Object} [options.txManager] - Transaction manager to send through instead of a new one, to journal under another operation
+     */
+    constructor(privateKey, config = {}, options = {}) {
         // Default NFT configuration
         this.defaultConfig = {
             enable_nft: true,
@@ -30,117 +39,20 @@ class NFTManager {
             this.config.delay = config.delay;
         }
         
-        // Setup web3 connection
-        this.rpcUrl = constants.NETWORK.RPC_URL;
-        this.web3 = new Web3(this.rpcUrl);
-        
-        // Setup account
-        if (!privateKey.startsWith('0x')) {
-            privateKey = '0x' + privateKey;
-        }
-        this.account = this.web3.eth.accounts.privateKeyToAccount(privateKey);
+        // Use the injected Web3 instance and signer, or connect this wallet through the RPC pool
+        const connection = createWalletConnection(config, privateKey, options);
+        this.web3 = connection.web3;
+        this.account = connection.signer;
         
         this.walletNum = null;
         
-        // Add nonce tracking to avoid transaction issues
-        this.currentNonce = null;
+        // Shared transaction engine for nonce tracking, gas pricing and sending
+        this.txManager = options.txManager || new TransactionManager(this.web3, this.account, config, { operation: 'nft' });
     }
     
     setWalletNum(num) {
         this.walletNum = num;
-    }
-    
-    // Get the next nonce, considering pending transactions
-    async getNonce() {
-        if (this.currentNonce === null) {
-            // If this is the first transaction, get the nonce from the network
-            this.currentNonce = await this.web3.eth.getTransactionCount(this.account.address);
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Initial nonce from network: ${this.currentNonce}`));
-        } else {
-            // For subsequent transactions, use the tracked nonce
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Using tracked nonce: ${this.currentNonce}`));
-        }
-        
-        return this.currentNonce;
-    }
-    
-    // Update nonce after a transaction is sent
-    incrementNonce() {
-        if (this.currentNonce !== null) {
-            this.currentNonce++;
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Incremented nonce to: ${this.currentNonce}`));
-        }
-    }
-    
-    // Enhanced gas price calculation with retries
-    async getGasPrice(retryCount = 0) {
-        try {
-            // Get the current gas price from the network
-            const networkGasPrice = await this.web3.eth.getGasPrice();
-            
-            // Apply base multiplier from config
-            let multiplier = constants.GAS.PRICE_MULTIPLIER;
-            
-            // Apply additional multiplier for retries
-            if (retryCount > 0) {
-                const retryMultiplier = Math.pow(constants.GAS.RETRY_INCREASE, retryCount);
-                multiplier *= retryMultiplier;
-                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`));
-            }
-            
-            // Calculate gas price with multiplier
-            const adjustedGasPrice = BigInt(Math.floor(Number(networkGasPrice) * multiplier));
-            
-            // Convert to gwei for display
-            const gweiPrice = this.web3.utils.fromWei(adjustedGasPrice.toString(), 'gwei');
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Network gas price: ${this.web3.utils.fromWei(networkGasPrice, 'gwei')} gwei, using: ${gweiPrice} gwei (${multiplier.toFixed(2)}x)`));
-            
-            // Enforce min/max gas price in gwei
-            const minGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei'));
-            const maxGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MAX_GWEI.toString(), 'gwei'));
-            
-            // Ensure gas price is within bounds
-            let finalGasPrice = adjustedGasPrice;
-            if (adjustedGasPrice < minGasPrice) {
-                finalGasPrice = minGasPrice;
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas price below minimum, using: ${constants.GAS.MIN_GWEI} gwei`));
-            } else if (adjustedGasPrice > maxGasPrice) {
-                finalGasPrice = maxGasPrice;
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas price above maximum, using: ${constants.GAS.MAX_GWEI} gwei`));
-            }
-            
-            return finalGasPrice.toString();
-        } catch (error) {
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Error getting gas price: ${error.message}`));
-            
-            // Fallback to a low gas price
-            const fallbackGasPrice = this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei');
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using fallback gas price: ${constants.GAS.MIN_GWEI} gwei`));
-            
-            return fallbackGasPrice;
-        }
-    }
-    
-    // Improved gas estimation with buffer
-    async estimateGas(txObject) {
-        try {
-            // Get the gas estimate from the blockchain
-            const estimatedGas = await this.web3.eth.estimateGas(txObject);
-            
-            // Add 20% buffer for safety
-            const gasWithBuffer = Math.floor(Number(estimatedGas) * 1.2);
-            
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Estimated gas: ${estimatedGas}, with buffer: ${gasWithBuffer}`));
-            
-            return gasWithBuffer;
-        } catch (error) {
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas estimation failed: ${error.message}`));
-            
-            // Use default gas
-            const defaultGas = constants.GAS.DEFAULT_GAS;
-            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using default gas: ${defaultGas}`));
-            return defaultGas;
-        }
+        this.txManager.setWalletNum(num);
     }
     
     generateRandomNFTName() {
@@ -157,7 +69,7 @@ class NFTManager {
     }
     
     async compileContract(contractName) {
-        const spinner = ora(`Compiling NFT contract (${contractName})...`).start();
+        const spinner = createSpinner(`Compiling NFT contract (${contractName})...`).start();
         
         try {
             // Replace placeholder in template with actual contract name
@@ -212,7 +124,7 @@ class NFTManager {
     }
     
     async deployContract(contractName, symbol, maxSupply) {
-        const spinner = ora(`Deploying NFT contract "${contractName}" (${symbol})...`).start();
+        const spinner = createSpinner(`Deploying NFT contract "${contractName}" (${symbol})...`).start();
         
         try {
             // Format contract name for Solidity (remove spaces and special chars)
@@ -237,46 +149,13 @@ class NFTManager {
                 arguments: [contractName, symbol, maxSupply]
             });
             
-            // Get nonce and gas price with optimizations - stop spinner during this
+            // Build, sign and send the deployment transaction - spinner stays stopped while it logs progress
             spinner.stop();
-            const nonce = await this.getNonce();
-            const gasPrice = await this.getGasPrice();
-            
-            // Estimate gas - still no spinner
-            let estimatedGas;
-            try {
-                estimatedGas = await deployTx.estimateGas({
-                    from: this.account.address
-                });
-                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Estimated gas: ${estimatedGas}`));
-            } catch (error) {
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas estimation failed: ${error.message}`));
-                estimatedGas = 3000000; // Higher default for NFT contracts
-                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using default gas: ${estimatedGas}`));
-            }
-            
-            // Prepare transaction object
-            const tx = {
-                from: this.account.address,
-                nonce: nonce,
-                gas: Math.floor(Number(estimatedGas) * 1.2), // Add 20% buffer
-                gasPrice: gasPrice,
+            const receipt = await this.txManager.sendTransaction({
                 data: deployTx.encodeABI(),
-                chainId: constants.NETWORK.CHAIN_ID
-            };
-            
-            // Sign transaction
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing NFT contract deployment transaction...`));
-            const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-            
-            // Increment nonce before sending
-            this.incrementNonce();
-            
-            // Restart spinner for transaction sending
-            spinner.start('Sending NFT contract deployment transaction...');
-            
-            // Send the transaction
-            const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                abi: compiledContract.abi,
+                defaultGas: 3000000 // Higher default for NFT contracts
+            }, 'NFT contract deployment');
             
             spinner.succeed(`NFT contract deployed at: ${receipt.contractAddress}`);
             
@@ -345,37 +224,12 @@ class NFTManager {
             // Prepare the mint transaction
             const mintTx = contract.methods.mint(this.account.address, tokenId, tokenURI);
             
-            // Get nonce and gas price with optimizations
-            const nonce = await this.getNonce();
-            const gasPrice = await this.getGasPrice();
-            
-            // Transaction template for gas estimation
-            const txTemplate = {
-                from: this.account.address,
+            // Build, sign and send the transaction
+            const receipt = await this.txManager.sendTransaction({
                 to: contractAddress,
                 data: mintTx.encodeABI(),
-                nonce: nonce,
-                chainId: constants.NETWORK.CHAIN_ID
-            };
-            
-            // Estimate gas
-            const gasLimit = await this.estimateGas(txTemplate);
-            
-            // Create transaction object
-            const tx = {
-                ...txTemplate,
-                gas: gasLimit,
-                gasPrice: gasPrice
-            };
-            
-            // Sign and send the transaction
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing transaction for NFT minting (#${tokenId})...`));
-            const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-            
-            // Increment nonce before sending
-            this.incrementNonce();
-            
-            const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                abi: abi
+            }, `NFT minting (#${tokenId})`);
             
             return {
                 tokenId,
@@ -400,46 +254,23 @@ class NFTManager {
             // Create contract instance
             const contract = new this.web3.eth.Contract(abi, contractAddress);
             
-            // Make sure we own this token
-            const tokenOwner = await contract.methods.ownerOf(tokenId).call();
-            if (tokenOwner.toLowerCase() !== this.account.address.toLowerCase()) {
-                throw new Error(`Token ${tokenId} not owned by this wallet`);
+            // Make sure we own this token - in a dry run it was never minted on-chain
+            if (!this.txManager.dryRun) {
+                const tokenOwner = await contract.methods.ownerOf(tokenId).call();
+                if (tokenOwner.toLowerCase() !== this.account.address.toLowerCase()) {
+                    throw new Error(`Token ${tokenId} not owned by this wallet`);
+                }
             }
             
             // Prepare the burn transaction
             const burnTx = contract.methods.burn(tokenId);
             
-            // Get nonce and gas price with optimizations
-            const nonce = await this.getNonce();
-            const gasPrice = await this.getGasPrice();
-            
-            // Transaction template for gas estimation
-            const txTemplate = {
-                from: this.account.address,
+            // Build, sign and send the transaction
+            const receipt = await this.txManager.sendTransaction({
                 to: contractAddress,
                 data: burnTx.encodeABI(),
-                nonce: nonce,
-                chainId: constants.NETWORK.CHAIN_ID
-            };
-            
-            // Estimate gas
-            const gasLimit = await this.estimateGas(txTemplate);
-            
-            // Create transaction object
-            const tx = {
-                ...txTemplate,
-                gas: gasLimit,
-                gasPrice: gasPrice
-            };
-            
-            // Sign and send the transaction
-            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing transaction for NFT burning (#${tokenId})...`));
-            const signedTx = await this.web3.eth.accounts.signTransaction(tx, this.account.privateKey);
-            
-            // Increment nonce before sending
-            this.incrementNonce();
-            
-            const receipt = await this.web3.eth.sendSignedTransaction(signedTx.rawTransaction);
+                abi: abi
+            }, `NFT burning (#${tokenId})`);
             
             return {
                 tokenId,
@@ -465,9 +296,6 @@ class NFTManager {
         console.log(chalk.blue.bold(`${getTimestamp(this.walletNum)} Starting NFT operations...`));
         
         try {
-            // Reset nonce tracking at the start of operations
-            this.currentNonce = null;
-            
             // Generate random NFT collection name and symbol
             const collectionName = this.generateRandomNFTName();
             const symbol = this.generateRandomNFTSymbol(collectionName);
@@ -484,7 +312,7 @@ class NFTManager {
             const deployedContract = await this.deployContract(collectionName, symbol, supply);
             
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Contract deployed at: ${deployedContract.contractAddress}`));
-            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${deployedContract.txHash}`));
+            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(deployedContract.txHash)}`));
             
             // Determine mint count based on config
             const minMint = Math.max(1, this.config.mint_count.min || 2);
@@ -496,6 +324,11 @@ class NFTManager {
             // Mint NFTs
             const mintedTokens = [];
             for (let i = 0; i < mintCount; i++) {
+                // Stop once the operation ran out of budget or the tool is shutting down
+                if (this.txManager.budgetError || isShutdownRequested()) {
+                    break;
+                }
+                
                 const tokenId = i;
                 const tokenURI = this.generateTokenMetadata(tokenId, collectionName);
                 
@@ -510,7 +343,7 @@ class NFTManager {
                 if (mintResult.success) {
                     mintedTokens.push(tokenId);
                     console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Token #${tokenId} minted successfully`));
-                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${mintResult.txHash}`));
+                    console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(mintResult.txHash)}`));
                 } else {
                     console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ Failed to mint token #${tokenId}: ${mintResult.error}`));
                 }
@@ -529,6 +362,11 @@ class NFTManager {
                     .slice(0, burnCount);
                 
                 for (const tokenId of tokensToBurn) {
+                    // Stop once the operation ran out of budget or the tool is shutting down
+                    if (this.txManager.budgetError || isShutdownRequested()) {
+                        break;
+                    }
+                    
                     console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Burning token #${tokenId}...`));
                     const burnResult = await this.burnNFT(
                         deployedContract.contractAddress,
@@ -538,7 +376,7 @@ class NFTManager {
                     
                     if (burnResult.success) {
                         console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Token #${tokenId} burned successfully`));
-                        console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${burnResult.txHash}`));
+                        console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(burnResult.txHash)}`));
                     } else {
                         console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ Failed to burn token #${tokenId}: ${burnResult.error}`));
                     }
@@ -550,7 +388,7 @@ class NFTManager {
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ NFT operations completed successfully!`));
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Contract address: ${deployedContract.contractAddress}`));
             console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Total minted: ${mintedTokens.length}, Burned: ${burnCount}`));
-            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View collection: ${constants.NETWORK.EXPLORER_URL}/address/${deployedContract.contractAddress}`));
+            console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View collection: ${getAddressUrl(deployedContract.contractAddress)}`));
             
             return true;
         } catch (error) {
@@ -0,0 +1,374 @@
+const chalk = require('chalk');
+const constants = require('../utils/constants');
+const { getTxUrl, getActiveNetwork } = require('../utils/network');
+const { getTimestamp } = require('../utils/delayUtils');
+const { isShutdownRequested, sleep } = require('../utils/shutdown');
+const TransactionManager = require('../utils/TransactionManager');
+const { createWalletConnection } = require('../utils/walletConnection');
+const ERC20TokenDeployer = require('./ERC20TokenDeployer');
+const NFTManager = require('./NFTManager');
+
+// Operation names of pipelines, next to the built-in operations
+const OPERATION_PREFIX = 'pipeline:';
+
+// Functions of the contracts deployed by ERC20TokenDeployer and NFTManager, for steps that only get an address
+const TOKEN_ABI = [
+    { type: 'function', name: 'mint', stateMutability: 'nonpayable', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [] },
+    { type: 'function', name: 'burn', stateMutability: 'nonpayable', inputs: [{ name: 'amount', type: 'uint256' }], outputs: [] },
+    { type: 'function', name: 'transfer', stateMutability: 'nonpayable', inputs: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }], outputs: [{ name: '', type: 'bool' }] },
+    { type: 'function', name: 'decimals', stateMutability: 'view', inputs: [], outputs: [{ name: '', type: 'uint8' }] }
+];
+const NFT_ABI = [
+    { type: 'function', name: 'mint', stateMutability: 'nonpayable', inputs: [{ name: 'to', type: 'address' }, { name: 'tokenId', type: 'uint256' }, { name: 'tokenURI', type: 'string' }], outputs: [] }
+];
+
+// "${deploy.contractAddress}" as a whole parameter keeps the referenced value's type,
+// references inside a longer string are interpolated
+const WHOLE_REFERENCE = /^\$\{([\w.]+)\}$/;
+const REFERENCE = /\$\{([\w.]+)\}/g;
+
+// Whole tokens to base units, as ERC20TokenDeployer.formatTokenAmount does
+const toTokenUnits = (amount, decimals) => (BigInt(amount) * BigInt(10) ** BigInt(decimals)).toString();
+
+/**
+ * Step actions. Each one sends its transactions through the runner and returns outputs
+ * that later steps can reference; failures throw.
+ */
+const ACTIONS = {
+    'erc20.deploy': {
+        required: [],
+        async run(runner, params) {
+            const deployer = runner.createManager(ERC20TokenDeployer);
+            const name = params.name || deployer.generateRandomTokenName();
+            const symbol = params.symbol || deployer.generateTokenSymbol(name);
+            const decimals = params.decimals ?? deployer.config.decimals;
+
+            const deployed = await deployer.deployContract(name, symbol, decimals);
+            runner.tokenDecimals.set(deployed.contractAddress.toLowerCase(), Number(decimals));
+            return { contractAddress: deployed.contractAddress, name, symbol, decimals, txHash: deployed.txHash };
+        }
+    },
+
+    'erc20.mint': {
+        required: ['token', 'amount'],
+        async run(runner, params, step) {
+            const to = params.to || runner.account.address;
+            const amount = toTokenUnits(params.amount, await runner.getTokenDecimals(params));
+            const contract = new runner.web3.eth.Contract(TOKEN_ABI, params.token);
+
+            const receipt = await runner.send({ to: params.token, data: contract.methods.mint(to, amount).encodeABI(), abi: TOKEN_ABI }, `${step.id}: mint ${params.amount} tokens`);
+            return { amount: params.amount, to, txHash: receipt.transactionHash };
+        }
+    },
+
+    'erc20.burn': {
+        required: ['token', 'amount'],
+        async run(runner, params, step) {
+            const amount = toTokenUnits(params.amount, await runner.getTokenDecimals(params));
+            const contract = new runner.web3.eth.Contract(TOKEN_ABI, params.token);
+
+            const receipt = await runner.send({ to: params.token, data: contract.methods.burn(amount).encodeABI(), abi: TOKEN_ABI }, `${step.id}: burn ${params.amount} tokens`);
+            return { amount: params.amount, txHash: receipt.transactionHash };
+        }
+    },
+
+    'erc20.batch_transfer': {
+        required: ['token', 'recipients', 'amount'],
+        async run(runner, params, step) {
+            const recipients = [].concat(params.recipients);
+            const amount = toTokenUnits(params.amount, await runner.getTokenDecimals(params));
+            const contract = new runner.web3.eth.Contract(TOKEN_ABI, params.token);
+
+            const txHashes = [];
+            for (let i = 0; i < recipients.length; i++) {
+                const data = contract.methods.transfer(recipients[i], amount).encodeABI();
+                const receipt = await runner.send({ to: params.token, data, abi: TOKEN_ABI }, `${step.id}: transfer ${params.amount} tokens (${i + 1}/${recipients.length})`);
+                txHashes.push(receipt.transactionHash);
+            }
+            return { recipients: recipients.length, amount: params.amount, txHashes };
+        }
+    },
+
+    'nft.deploy': {
+        required: [],
+        async run(runner, params) {
+            const manager = runner.createManager(NFTManager);
+            const name = params.name || manager.generateRandomNFTName();
+            const symbol = params.symbol || manager.generateRandomNFTSymbol(name);
+            const maxSupply = params.max_supply ?? 1000;
+
+            const deployed = await manager.deployContract(name, symbol, maxSupply);
+            return { contractAddress: deployed.contractAddress, name, symbol, maxSupply, txHash: deployed.txHash };
+        }
+    },
+
+    'nft.mint': {
+        required: ['contract', 'token_id'],
+        async run(runner, params, step) {
+            const tokenURI = params.token_uri || runner.createManager(NFTManager).generateTokenMetadata(params.token_id, params.collection || 'Pipeline');
+            const contract = new runner.web3.eth.Contract(NFT_ABI, params.contract);
+            const data = contract.methods.mint(params.to || runner.account.address, params.token_id, tokenURI).encodeABI();
+
+            const receipt = await runner.send({ to: params.contract, data, abi: NFT_ABI }, `${step.id}: mint NFT #${params.token_id}`);
+            return { tokenId: params.token_id, txHash: receipt.transactionHash };
+        }
+    },
+
+    'native.transfer': {
+        required: ['to', 'amount'],
+        async run(runner, params, step) {
+            const value = runner.web3.utils.toWei(String(params.amount), 'ether');
+            const receipt = await runner.send({ to: params.to, data: '0x', value, defaultGas: 21000 }, `${step.id}: transfer ${params.amount} ${getActiveNetwork().currency}`);
+            return { amount: params.amount, to: params.to, txHash: receipt.transactionHash };
+        }
+    }
+};
+
+// Step ids referenced anywhere in a parameter value
+function findReferences(value, found = new Set()) {
+    if (typeof value === 'string') {
+        for (const match of value.matchAll(REFERENCE)) {
+            found.add(match[1].split('.')[0]);
+        }
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => findReferences(item, found));
+    }
+    return found;
+}
+
+// Check one step against the steps before it and fill in defaults
+function normalizeStep(step, index, earlierIds, pipelineName) {
+    const where = `Pipeline "${pipelineName}" step ${index + 1}`;
+
+    if (!step || typeof step.id !== 'string' || !/^\w+$/.test(step.id)) {
+        throw new Error(`${where} needs an "id" made of letters, digits and underscores`);
+    }
+    if (step.id === 'wallet' || earlierIds.includes(step.id)) {
+        throw new Error(`${where} reuses the id "${step.id}"`);
+    }
+    if (!Object.hasOwn(ACTIONS, step.action)) {
+        throw new Error(`${where} has unknown action "${step.action}", expected ${Object.keys(ACTIONS).join(', ')}`);
+    }
+    const action = ACTIONS[step.action];
+
+    const params = step.params || {};
+    const missing = action.required.filter(name => params[name] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`${where} (${step.action}) is missing parameter(s) ${missing.join(', ')}`);
+    }
+
+    // Referencing a step's outputs depends on it as much as naming it in depends_on does
+    const dependsOn = [...new Set([...(step.depends_on || []), ...findReferences(params)])].filter(id => id !== 'wallet');
+    const unknown = dependsOn.filter(id => !earlierIds.includes(id));
+    if (unknown.length > 0) {
+        throw new Error(`${where} depends on ${unknown.join(', ')}, which must be earlier steps`);
+    }
+
+    const when = step.when || {};
+    const unknownConditions = Object.keys(when).filter(name => name !== 'balance_above');
+    if (unknownConditions.length > 0) {
+        throw new Error(`${where} has unknown condition(s) ${unknownConditions.join(', ')}, expected balance_above`);
+    }
+
+    const retry = step.retry || {};
+    const attempts = retry.attempts ?? constants.PIPELINES.RETRY_ATTEMPTS;
+    const delaySeconds = retry.delay_seconds ?? constants.PIPELINES.RETRY_DELAY_SECONDS;
+    if (!Number.isInteger(attempts) || attempts < 1 || !(delaySeconds >= 0)) {
+        throw new Error(`${where} needs retry.attempts of at least 1 and a non-negative retry.delay_seconds`);
+    }
+
+    return { id: step.id, action: step.action, params, dependsOn, when, attempts, delaySeconds };
+}
+
+/**
+ * Runs a pipeline from config.json for one wallet: ordered steps with parameters, conditions,
+ * retries and dependencies, where later steps use the outputs of earlier ones through
+ * "${step.output}" references (and "${wallet.address}" / "${wallet.number}").
+ * All of a pipeline's transactions are journaled under its operation name.
+ */
+class PipelineRunner {
+    /**
+     * @param {Object} pipeline - Pipeline from PipelineRunner.getPipelines
+     * @param {Object} config - Root configuration object
+     * @param {Object} [options] - Injected web3, provider and/or signer (see createWalletConnection)
+     */
+    constructor(pipeline, config = {}, options = {}) {
+        this.pipeline = pipeline;
+        this.config = config;
+
+        const connection = createWalletConnection(config, null, options);
+        this.web3 = connection.web3;
+        this.account = connection.signer;
+
+        this.walletNum = null;
+
+        // Decimals of the tokens this pipeline deployed, by lowercase address. In a dry run
+        // those tokens only exist in the plan, so there is nothing to read them from.
+        this.tokenDecimals = new Map();
+
+        // One transaction manager for every step, so resumed cycles find each send at the same position
+        this.txManager = new TransactionManager(this.web3, this.account, config, { operation: pipeline.operation });
+    }
+
+    /**
+     * Pipelines defined in config.json, validated
+     * @param {Object} config - Root configuration object
+     * @returns {Array<Object>} - { name, operation, enabled, steps }
+     * @throws {Error} - If a pipeline is malformed
+     */
+    static getPipelines(config = {}) {
+        return Object.entries(config.pipelines || {}).map(([name, definition]) => {
+            if (!/^[\w-]+$/.test(name)) {
+                throw new Error(`Pipeline name "${name}" may only contain letters, digits, "_" and "-"`);
+            }
+            if (!definition || !Array.isArray(definition.steps) || definition.steps.length === 0) {
+                throw new Error(`Pipeline "${name}" needs a non-empty "steps" list`);
+            }
+
+            const steps = [];
+            definition.steps.forEach((step, index) => {
+                steps.push(normalizeStep(step, index, steps.map(earlier => earlier.id), name));
+            });
+
+            return { name, operation: `${OPERATION_PREFIX}${name}`, enabled: Boolean(definition.enabled), steps };
+        });
+    }
+
+    setWalletNum(num) {
+        this.walletNum = num;
+        this.txManager.setWalletNum(num);
+    }
+
+    // Manager sharing this runner's connection and transaction manager
+    createManager(Manager) {
+        const manager = new Manager(null, this.config, { web3: this.web3, signer: this.account, txManager: this.txManager });
+        manager.setWalletNum(this.walletNum);
+        return manager;
+    }
+
+    // Send a transaction (see TransactionManager.buildTransaction) and log where to see it
+    async send(params, label) {
+        const receipt = await this.txManager.sendTransaction(params, label);
+        console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ ${label}`));
+        console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ View transaction: ${getTxUrl(receipt.transactionHash)}`));
+        return receipt;
+    }
+
+    // Decimals given as a parameter, known from the step that deployed the token, or read from the token
+    async getTokenDecimals(params) {
+        if (params.decimals !== undefined) {
+            return params.decimals;
+        }
+        const deployed = this.tokenDecimals.get(String(params.token).toLowerCase());
+        if (deployed !== undefined) {
+            return deployed;
+        }
+        const contract = new this.web3.eth.Contract(TOKEN_ABI, params.token);
+        return Number(await contract.methods.decimals().call());
+    }
+
+    // Replace "${step.output}" references with outputs of earlier steps
+    resolveParams(value, outputs) {
+        const lookup = path => {
+            const result = path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), outputs);
+            if (result === undefined) {
+                throw new Error(`"\${${path}}" is not set`);
+            }
+            return result;
+        };
+
+        if (typeof value === 'string') {
+            const whole = value.match(WHOLE_REFERENCE);
+            return whole ? lookup(whole[1]) : value.replace(REFERENCE, (match, path) => String(lookup(path)));
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.resolveParams(item, outputs));
+        }
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.resolveParams(item, outputs)]));
+        }
+        return value;
+    }
+
+    // Whether a step's "when" conditions hold; logs why not
+    async checkConditions(step) {
+        if (step.when.balance_above !== undefined) {
+            const balance = BigInt(await this.web3.eth.getBalance(this.account.address));
+            const threshold = BigInt(this.web3.utils.toWei(String(step.when.balance_above), 'ether'));
+            if (balance <= threshold) {
+                const currency = getActiveNetwork().currency;
+                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Skipping step ${step.id}: balance ${this.web3.utils.fromWei(balance, 'ether')} ${currency} is not above ${step.when.balance_above} ${currency}`));
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // Run one step with its retry settings; returns its outputs, or null if every attempt failed
+    async runStep(step, outputs) {
+        for (let attempt = 1; attempt <= step.attempts; attempt++) {
+            try {
+                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Step ${step.id} (${step.action})${step.attempts > 1 ? `, attempt ${attempt}/${step.attempts}` : ''}`));
+                const params = this.resolveParams(step.params, outputs);
+                return await ACTIONS[step.action].run(this, params, step);
+            } catch (error) {
+                console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ Step ${step.id} failed: ${error.message}`));
+                if (attempt < step.attempts && !this.config.dry_run) {
+                    console.log(chalk.yellow(`${getTimestamp(this.walletNum)} Waiting ${step.delaySeconds} seconds before retry...`));
+                    if (!(await sleep(step.delaySeconds * 1000))) {
+                        break;
+                    }
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Run every step in order; a step whose dependencies did not succeed is skipped
+     * @returns {Promise<boolean|null>} - True if no step failed, false if one did, null if every step was skipped
+     */
+    async run() {
+        console.log(chalk.blue.bold(`${getTimestamp(this.walletNum)} Starting pipeline ${this.pipeline.name} (${this.pipeline.steps.length} steps)...`));
+
+        const outputs = { wallet: { address: this.account.address, number: this.walletNum } };
+        const states = {};
+
+        for (const step of this.pipeline.steps) {
+            if (isShutdownRequested()) {
+                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Skipping step ${step.id}: shutting down`));
+                states[step.id] = 'skipped';
+                continue;
+            }
+
+            const blocked = step.dependsOn.filter(id => states[id] !== 'succeeded');
+            if (blocked.length > 0) {
+                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Skipping step ${step.id}: ${blocked.join(', ')} did not succeed`));
+                states[step.id] = 'skipped';
+                continue;
+            }
+            if (!(await this.checkConditions(step))) {
+                states[step.id] = 'skipped';
+                continue;
+            }
+
+            const result = await this.runStep(step, outputs);
+            if (result) {
+                outputs[step.id] = result;
+            }
+            states[step.id] = result ? 'succeeded' : 'failed';
+        }
+
+        const counts = Object.values(states).reduce((totals, state) => ({ ...totals, [state]: totals[state] + 1 }), { succeeded: 0, failed: 0, skipped: 0 });
+        const summary = `${counts.succeeded} succeeded, ${counts.failed} failed, ${counts.skipped} skipped`;
+
+        if (counts.failed > 0) {
+            console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ Pipeline ${this.pipeline.name}: ${summary}`));
+            return false;
+        }
+        console.log(chalk.green(`${getTimestamp(this.walletNum)} ✓ Pipeline ${this.pipeline.name}: ${summary}`));
+        return counts.succeeded > 0 ? true : null;
+    }
+}
+
+module.exports = PipelineRunner;
\ No newline at end of file
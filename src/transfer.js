@@ -1,10 +1,19 @@
 const { Web3 } = require('web3');
 const chalk = require('chalk');
 const constants = require('../utils/constants');
+const { getActiveNetwork, getTxUrl } = require('../utils/network');
 const { addRandomDelay, getTimestamp } = require('../utils/delayUtils');
+const { isShutdownRequested } = require('../utils/shutdown');
+const TransactionManager = require('../utils/TransactionManager');
+const { createWalletConnection } = require('../utils/walletConnection');
+const { LocalSigner } = require('../utils/signers');
 
 class TokenTransfer {
-    constructor(config = {}) {
+    /**
+     * @param {Object} config - Root configuration object
+     * @param {Object} [options] - Injected web3, provider and/or signer (see createWalletConnection)
+     */
+    constructor(config = {}, options = {}) {
         // Set default config
         this.config = {
             enable_transfer: true,
@@ -30,107 +39,29 @@ class TokenTransfer {
             };
         }
         
-        // Setup web3 connection
-        this.web3 = new Web3(constants.NETWORK.RPC_URL);
+        // Used for unit conversion; RPC calls go through the wallet's transaction manager
+        this.web3 = new Web3();
+        
+        // Injected connection, used for every wallet instead of the RPC pool
+        this.connectionOptions = options;
         
         // Current wallet number for logging
         this.currentWalletNum = 0;
         
-        // Add nonce tracking to avoid transaction issues
-        this.currentNonce = null;
-    }
-    
-    // Get the next nonce, considering pending transactions
-    async getNonce(address) {
-        if (this.currentNonce === null) {
-            // If this is the first transaction, get the nonce from the network
-            this.currentNonce = await this.web3.eth.getTransactionCount(address);
-            console.log(chalk.cyan(`${getTimestamp(this.currentWalletNum)} ℹ Initial nonce from network: ${this.currentNonce}`));
-        } else {
-            // For subsequent transactions, use the tracked nonce
-            console.log(chalk.cyan(`${getTimestamp(this.currentWalletNum)} ℹ Using tracked nonce: ${this.currentNonce}`));
-        }
-        
-        return this.currentNonce;
+        // Transaction manager for the wallet currently being processed
+        this.txManager = null;
     }
     
-    // Update nonce after a transaction is sent
-    incrementNonce() {
-        if (this.currentNonce !== null) {
-            this.currentNonce++;
-            console.log(chalk.cyan(`${getTimestamp(this.currentWalletNum)} ℹ Incremented nonce to: ${this.currentNonce}`));
-        }
-    }
-    
-    // Enhanced gas price calculation with retries
-    async getGasPrice(retryCount = 0) {
-        try {
-            // Get the current gas price from the network
-            const networkGasPrice = await this.web3.eth.getGasPrice();
-            
-            // Apply base multiplier from config
-            let multiplier = this.config.gas_price_multiplier || constants.GAS.PRICE_MULTIPLIER;
-            
-            // Apply additional multiplier for retries
-            if (retryCount > 0) {
-                const retryMultiplier = Math.pow(constants.GAS.RETRY_INCREASE, retryCount);
-                multiplier *= retryMultiplier;
-                console.log(chalk.cyan(`${getTimestamp(this.currentWalletNum)} ℹ Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`));
-            }
-            
-            // Calculate gas price with multiplier
-            const adjustedGasPrice = BigInt(Math.floor(Number(networkGasPrice) * multiplier));
-            
-            // Convert to gwei for display
-            const gweiPrice = this.web3.utils.fromWei(adjustedGasPrice.toString(), 'gwei');
-            console.log(chalk.cyan(`${getTimestamp(this.currentWalletNum)} ℹ Network gas price: ${this.web3.utils.fromWei(networkGasPrice, 'gwei')} gwei, using: ${gweiPrice} gwei (${multiplier.toFixed(2)}x)`));
-            
-            // Enforce min/max gas price in gwei
-            const minGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei'));
-            const maxGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MAX_GWEI.toString(), 'gwei'));
-            
-            // Ensure gas price is within bounds
-            let finalGasPrice = adjustedGasPrice;
-            if (adjustedGasPrice < minGasPrice) {
-                finalGasPrice = minGasPrice;
-                console.log(chalk.yellow(`${getTimestamp(this.currentWalletNum)} ⚠ Gas price below minimum, using: ${constants.GAS.MIN_GWEI} gwei`));
-            } else if (adjustedGasPrice > maxGasPrice) {
-                finalGasPrice = maxGasPrice;
-                console.log(chalk.yellow(`${getTimestamp(this.currentWalletNum)} ⚠ Gas price above maximum, using: ${constants.GAS.MAX_GWEI} gwei`));
-            }
-            
-            return finalGasPrice.toString();
-        } catch (error) {
-            console.log(chalk.yellow(`${getTimestamp(this.currentWalletNum)} ⚠ Error getting gas price: ${error.message}`));
-            
-            // Fallback to a low gas price
-            const fallbackGasPrice = this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei');
-            console.log(chalk.yellow(`${getTimestamp(this.currentWalletNum)} ⚠ Using fallback gas price: ${constants.GAS.MIN_GWEI} gwei`));
-            
-            return fallbackGasPrice;
-        }
-    }
-    
-    // Improved gas estimation with buffer
-    async estimateGas(txObject) {
-        try {
-            // Get the gas estimate from the blockchain
-            const estimatedGas = await this.web3.eth.estimateGas(txObject);
-            
-            // Add 20% buffer for safety
-            const gasWithBuffer = Math.floor(Number(estimatedGas) * 1.2);
-            
-            console.log(chalk.cyan(`${getTimestamp(this.currentWalletNum)} ℹ Estimated gas: ${estimatedGas}, with buffer: ${gasWithBuffer}`));
-            
-            return gasWithBuffer;
-        } catch (error) {
-            console.log(chalk.yellow(`${getTimestamp(this.currentWalletNum)} ⚠ Gas estimation failed: ${error.message}`));
-            
-            // Use default gas
-            const defaultGas = constants.GAS.DEFAULT_GAS;
-            console.log(chalk.yellow(`${getTimestamp(this.currentWalletNum)} ⚠ Using default gas: ${defaultGas}`));
-            return defaultGas;
+    // Get the transaction manager for a wallet, creating a fresh one when the wallet changes
+    getTransactionManager(privateKey) {
+        const address = (this.connectionOptions.signer || new LocalSigner(privateKey)).address;
+        if (!this.txManager || this.txManager.account.address !== address) {
+            // Each wallet gets its own connection unless one was injected
+            const { web3, signer } = createWalletConnection(this.config, privateKey, this.connectionOptions);
+            this.txManager = new TransactionManager(web3, signer, this.config, { operation: 'transfer' });
         }
+        this.txManager.setWalletNum(this.currentWalletNum);
+        return this.txManager;
     }
 
     async executeTransfer(privateKey, walletNum, transferNum = 1, totalTransfers = 1) {
@@ -141,12 +72,9 @@ class TokenTransfer {
         this.currentWalletNum = walletNum;
         
         try {
-            if (!privateKey.startsWith('0x')) {
-                privateKey = '0x' + privateKey;
-            }
-
-            const account = this.web3.eth.accounts.privateKeyToAccount(privateKey);
-            const balance = BigInt(await this.web3.eth.getBalance(account.address));
+            const txManager = this.getTransactionManager(privateKey);
+            const account = txManager.account;
+            const balance = BigInt(await txManager.web3.eth.getBalance(account.address));
             
             if (balance === BigInt(0)) {
                 console.log(chalk.yellow(`${getTimestamp(this.currentWalletNum)} ⚠ No balance to transfer`));
@@ -156,23 +84,15 @@ class TokenTransfer {
             // Add random delay before transfer
             await addRandomDelay(this.config, this.currentWalletNum, `transfer #${transferNum}/${totalTransfers}`);
 
-            // Get nonce and gas price with optimizations
-            const nonce = await this.getNonce(account.address);
-            const gasPrice = await this.getGasPrice();
-            
-            // Estimate gas (should be 21000 for simple transfers)
-            const txTemplate = {
+            // Build the self-transfer (gas should be 21000 for simple transfers)
+            const transaction = await txManager.buildTransaction({
                 to: account.address,
-                from: account.address,
                 data: '0x',
-                nonce: nonce,
-                chainId: constants.NETWORK.CHAIN_ID
-            };
-            
-            const gasLimit = await this.estimateGas(txTemplate) || 21000;
+                defaultGas: 21000
+            });
             
             // Calculate gas cost
-            const gasCost = BigInt(gasLimit) * BigInt(gasPrice);
+            const gasCost = txManager.getMaxTransactionCost(transaction);
             
             // Calculate amount to transfer based on percentage
             const transferPercentage = BigInt(this.config.transfer_amount_percentage);
@@ -180,28 +100,19 @@ class TokenTransfer {
 
             if (transferAmount <= 0) {
                 console.log(chalk.yellow(`${getTimestamp(this.currentWalletNum)} ⚠ Balance too low to cover gas`));
+                txManager.releaseNonce(transaction.nonce);
                 return true;
             }
             
-            // Create the transaction
-            const transaction = {
-                ...txTemplate,
-                value: transferAmount.toString(),
-                gas: gasLimit,
-                gasPrice: gasPrice
-            };
+            transaction.value = transferAmount.toString();
 
             // Sign and send transaction
-            console.log(chalk.cyan(`${getTimestamp(this.currentWalletNum)} ℹ Sending transfer #${transferNum}/${totalTransfers} of ${this.web3.utils.fromWei(transferAmount.toString(), 'ether')} ${constants.NETWORK.CURRENCY_SYMBOL} to self`));
-            
-            // Increment nonce before sending
-            this.incrementNonce();
+            console.log(chalk.cyan(`${getTimestamp(this.currentWalletNum)} ℹ Sending transfer #${transferNum}/${totalTransfers} of ${this.web3.utils.fromWei(transferAmount.toString(), 'ether')} ${getActiveNetwork().currency} to self`));
             
-            const signed = await this.web3.eth.accounts.signTransaction(transaction, privateKey);
-            const receipt = await this.web3.eth.sendSignedTransaction(signed.rawTransaction);
+            const receipt = await txManager.sendPreparedTransaction(transaction, `transfer #${transferNum}/${totalTransfers}`);
             
             console.log(chalk.green(`${getTimestamp(this.currentWalletNum)} ✓ Transfer #${transferNum}/${totalTransfers} successful`));
-            console.log(chalk.green(`${getTimestamp(this.currentWalletNum)} ✓ View transaction: ${constants.NETWORK.EXPLORER_URL}/tx/${receipt.transactionHash}`));
+            console.log(chalk.green(`${getTimestamp(this.currentWalletNum)} ✓ View transaction: ${getTxUrl(receipt.transactionHash)}`));
             
             return true;
             
@@ -217,8 +128,8 @@ class TokenTransfer {
         }
 
         this.currentWalletNum = walletNum;
-        // Reset nonce tracking for new wallet
-        this.currentNonce = null;
+        // Start with a fresh transaction manager for the new wallet
+        this.txManager = null;
 
         console.log(chalk.blue.bold(`${getTimestamp(this.currentWalletNum)} Starting token transfer operations...`));
         
@@ -245,6 +156,11 @@ class TokenTransfer {
             
             let successCount = 0;
             for (let i = 1; i <= transferCount; i++) {
+                // Stop once the transfers ran out of budget or the tool is shutting down
+                if (this.txManager && this.txManager.budgetError || isShutdownRequested()) {
+                    break;
+                }
+                
                 const success = await this.executeTransfer(privateKey, walletNum, i, transferCount);
                 if (success) {
                     successCount++;
@@ -0,0 +1,78 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startDevnet, getWalletReceipts, findDeployment, getCallsTo } = require('./helpers/devnet');
+const BatchOperationManager = require('../src/BatchOperationManager');
+
+// Read-only part of the BatchProcessor ABI
+const BATCH_ABI = [
+    { name: 'getStatus', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }, { type: 'uint256' }] }
+];
+
+// Apply one BatchProcessor operation to lastValue the way the contract does
+function applyOperation(value, operation, parameter) {
+    switch (operation) {
+        case 'setValue': return parameter;
+        case 'incrementValue': return value + BigInt(1);
+        case 'decrementValue': return value > BigInt(0) ? value - BigInt(1) : value;
+        case 'squareValue': return value * value;
+        case 'resetValue': return BigInt(0);
+        case 'multiplyValue': return value * parameter;
+        default: throw new Error(`Unknown operation ${operation}`);
+    }
+}
+
+describe('BatchOperationManager', () => {
+    let devnet;
+
+    before(async () => {
+        devnet = await startDevnet();
+    });
+
+    after(async () => {
+        await devnet.stop();
+    });
+
+    it('deploys the batch processor and executes the generated batches', async () => {
+        const manager = new BatchOperationManager(devnet.privateKey, devnet.config);
+        manager.setWalletNum(1);
+
+        assert.strictEqual(await manager.executeBatchOperationOperations(), true);
+
+        const receipts = await getWalletReceipts(devnet.web3, devnet.address);
+        const deployment = findDeployment(receipts);
+        const calls = getCallsTo(receipts, deployment.contractAddress);
+
+        // The individual setValue, then 1 or 2 batches
+        assert.ok(calls.length >= 2 && calls.length <= 3, `unexpected ${calls.length} calls`);
+
+        const abi = devnet.web3.eth.abi;
+        const setValueSelector = abi.encodeFunctionSignature('setValue(uint256)');
+        const executeBatchSelector = abi.encodeFunctionSignature('executeBatch(string[],uint256[])');
+
+        // Replay the calls that were mined to work out the state the contract must be in
+        let operationCount = BigInt(0);
+        let lastValue = BigInt(0);
+        for (const call of calls) {
+            const selector = call.input.slice(0, 10);
+            const args = '0x' + call.input.slice(10);
+
+            if (selector === setValueSelector) {
+                lastValue = applyOperation(lastValue, 'setValue', abi.decodeParameter('uint256', args));
+                operationCount += BigInt(1);
+            } else {
+                assert.strictEqual(selector, executeBatchSelector);
+                const decoded = abi.decodeParameters(['string[]', 'uint256[]'], args);
+                assert.strictEqual(decoded[0].length, 3);
+                decoded[0].forEach((operation, i) => {
+                    lastValue = applyOperation(lastValue, operation, decoded[1][i]);
+                });
+                operationCount += BigInt(decoded[0].length);
+            }
+        }
+
+        const batchProcessor = new devnet.web3.eth.Contract(BATCH_ABI, deployment.contractAddress);
+        const status = await batchProcessor.methods.getStatus().call();
+        assert.strictEqual(status[0], operationCount);
+        assert.strictEqual(status[1], lastValue);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startDevnet, getWalletReceipts, findDeployment, getCallsTo } = require('./helpers/devnet');
+const ContractDeployer = require('../src/ContractDeployer');
+
+// Read-only part of the InteractiveContract ABI
+const INTERACTIVE_ABI = [
+    { name: 'owner', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'address' }] },
+    { name: 'interactionCount', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+    { name: 'contributions', type: 'function', stateMutability: 'view', inputs: [{ name: 'account', type: 'address' }], outputs: [{ type: 'uint256' }] }
+];
+
+describe('ContractDeployer', () => {
+    let devnet;
+
+    before(async () => {
+        devnet = await startDevnet();
+    });
+
+    after(async () => {
+        await devnet.stop();
+    });
+
+    it('deploys the interactive contract and performs the configured interactions', async () => {
+        const deployer = new ContractDeployer(devnet.privateKey, devnet.config);
+        deployer.setWalletNum(1);
+
+        assert.strictEqual(await deployer.executeContractOperations(), true);
+
+        const receipts = await getWalletReceipts(devnet.web3, devnet.address);
+        const deployment = findDeployment(receipts);
+        const calls = getCallsTo(receipts, deployment.contractAddress);
+        assert.strictEqual(calls.length, 4);
+
+        const contract = new devnet.web3.eth.Contract(INTERACTIVE_ABI, deployment.contractAddress);
+        assert.strictEqual((await contract.methods.owner().call()).toLowerCase(), devnet.address.toLowerCase());
+        assert.strictEqual(await contract.methods.interactionCount().call(), BigInt(calls.length));
+
+        // Every contribute() call sends value, nothing else does
+        const contributed = calls.reduce((total, call) => total + BigInt(call.value), BigInt(0));
+        assert.strictEqual(await contract.methods.contributions(devnet.address).call(), contributed);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startDevnet, getWalletReceipts, findDeployment, getCallsTo } = require('./helpers/devnet');
+const ContractTesterManager = require('../src/ContractTesterManager');
+
+// Read-only part of the ParameterTesterContract ABI
+const TESTER_ABI = [
+    { name: 'getValue', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+    { name: 'getOperationStats', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'string' }, { type: 'uint256' }] }
+];
+
+// Last value the boundary test sets
+const LAST_BOUNDARY_VALUE = BigInt(Number.MAX_SAFE_INTEGER);
+
+async function runSequences(devnet, testSequences) {
+    const config = {
+        ...devnet.config,
+        contract_testing: { ...devnet.config.contract_testing, test_sequences: testSequences }
+    };
+    const manager = new ContractTesterManager(devnet.privateKey, config);
+    manager.setWalletNum(1);
+
+    // Only look at what this run sent
+    const fromBlock = Number(await devnet.web3.eth.getBlockNumber()) + 1;
+
+    assert.strictEqual(await manager.executeContractTestingOperations(), true);
+
+    const receipts = await getWalletReceipts(devnet.web3, devnet.address, fromBlock);
+    const deployment = findDeployment(receipts);
+    const contract = new devnet.web3.eth.Contract(TESTER_ABI, deployment.contractAddress);
+    return { calls: getCallsTo(receipts, deployment.contractAddress), contract };
+}
+
+describe('ContractTesterManager', () => {
+    let devnet;
+
+    before(async () => {
+        devnet = await startDevnet();
+    });
+
+    after(async () => {
+        await devnet.stop();
+    });
+
+    it('runs the parameter variation, stress and boundary sequences', async () => {
+        const { calls, contract } = await runSequences(devnet, ['parameter_variation', 'stress_test', 'boundary_test']);
+
+        // 2 parameter tests, base value + 2 stress tests, 9 boundary values
+        assert.strictEqual(calls.length, 14);
+
+        const stats = await contract.methods.getOperationStats().call();
+        assert.strictEqual(stats[0], 'setValue');
+        assert.strictEqual(stats[1], BigInt(14));
+        assert.strictEqual(await contract.methods.getValue().call(), LAST_BOUNDARY_VALUE);
+    });
+
+    it('only runs the sequences listed in test_sequences', async () => {
+        const { calls, contract } = await runSequences(devnet, ['boundary_test']);
+
+        assert.strictEqual(calls.length, 9);
+        assert.strictEqual((await contract.methods.getOperationStats().call())[1], BigInt(9));
+        assert.strictEqual(await contract.methods.getValue().call(), LAST_BOUNDARY_VALUE);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const path = require('path');
+const { startDevnet, getWalletReceipts } = require('./helpers/devnet');
+const TransactionManager = require('../utils/TransactionManager');
+const CycleProgress = require('../utils/CycleProgress');
+const { createWalletConnection } = require('../utils/walletConnection');
+
+describe('CycleProgress', () => {
+    let devnet;
+    let config;
+
+    before(async () => {
+        devnet = await startDevnet();
+        config = { ...devnet.config, progress: { file: path.join(path.dirname(devnet.config.journal.file), 'progress.json') } };
+    });
+
+    after(async () => {
+        await devnet.stop();
+    });
+
+    // A transaction manager for the "contract_testing" operation of wallet 1, as a fresh run would create it
+    const createTxManager = () => {
+        const connection = createWalletConnection(config, devnet.privateKey);
+        const txManager = new TransactionManager(connection.web3, connection.signer, config, { operation: 'contract_testing' });
+        txManager.setWalletNum(1);
+        return txManager;
+    };
+
+    it('checks a step sent before a restart by its hash, even when its label was randomized', async () => {
+        const progress = CycleProgress.fromConfig(config);
+        progress.resumeOrStart();
+        progress.setWalletOperations(1, devnet.address, ['contract_testing']);
+
+        const sent = await createTxManager().sendTransaction({ to: devnet.address, value: '0' }, 'setValue(17)');
+
+        // Restarting means a new process, which reloads the file under a new run ID
+        progress.runId = crypto.randomUUID();
+        assert.strictEqual(progress.resumeOrStart(), true);
+
+        const txManager = createTxManager();
+        const resumed = await txManager.sendTransaction({ to: devnet.address, value: '0' }, 'setValue(42)');
+
+        assert.strictEqual(resumed.transactionHash, sent.transactionHash);
+        assert.strictEqual((await getWalletReceipts(devnet.web3, devnet.address)).length, 1);
+
+        // The next step of the operation was never sent, so it goes out normally
+        const next = await txManager.sendTransaction({ to: devnet.address, value: '0' }, 'setValue(8)');
+        assert.notStrictEqual(next.transactionHash, sent.transactionHash);
+        assert.strictEqual((await getWalletReceipts(devnet.web3, devnet.address)).length, 2);
+        progress.finishCycle();
+    });
+
+    it('sends a step fresh when the run before the restart made a different call at its position', async () => {
+        const progress = CycleProgress.fromConfig(config);
+        progress.resumeOrStart();
+        progress.setWalletOperations(1, devnet.address, ['contract_testing']);
+
+        const before = (await getWalletReceipts(devnet.web3, devnet.address)).length;
+        const sent = await createTxManager().sendTransaction({ to: devnet.address, value: '0', data: '0x11' }, 'transfer #1/3');
+
+        progress.runId = crypto.randomUUID();
+        assert.strictEqual(progress.resumeOrStart(), true);
+
+        // Same position, another random pick: a different call, not the one already sent
+        const fresh = await createTxManager().sendTransaction({ to: devnet.address, value: '0', data: '0x22' }, 'transfer #1/2');
+        assert.notStrictEqual(fresh.transactionHash, sent.transactionHash);
+        assert.strictEqual((await getWalletReceipts(devnet.web3, devnet.address)).length, before + 2);
+        progress.finishCycle();
+    });
+});
\ No newline at end of file
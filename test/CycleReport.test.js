@@ -0,0 +1,123 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startDevnet, getWalletReceipts } = require('./helpers/devnet');
+const CycleReport = require('../utils/CycleReport');
+const TransactionManager = require('../utils/TransactionManager');
+const { collectOperationResult, recordOperationError } = require('../utils/operationResult');
+const { createWalletConnection } = require('../utils/walletConnection');
+
+// Operation result as collectOperationResult returns it
+const makeResult = (walletNum, operation, status, transactions = [], errors = []) => ({
+    operation,
+    walletNum,
+    address: `0x${String(walletNum).repeat(40)}`,
+    walletLabel: walletNum === 1 ? 'main' : null,
+    status,
+    startedAt: '2026-01-01T00:00:00.000Z',
+    durationMs: 2000,
+    transactions,
+    contracts: transactions.filter(tx => tx.contractAddress).map(tx => tx.contractAddress),
+    gasUsed: transactions.reduce((total, tx) => total + (tx.gasUsed ?? BigInt(0)), BigInt(0)),
+    cost: transactions.reduce((total, tx) => total + (tx.cost ?? BigInt(0)), BigInt(0)),
+    errors
+});
+
+describe('CycleReport', () => {
+    let devnet;
+    let dir;
+
+    before(async () => {
+        devnet = await startDevnet();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zenchain-report-'));
+    });
+
+    after(async () => {
+        await devnet.stop();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('collects the transactions and errors of an operation', async () => {
+        const connection = createWalletConnection(devnet.config, devnet.privateKey);
+        const txManager = new TransactionManager(connection.web3, connection.signer, devnet.config, { operation: 'note' });
+
+        const result = await collectOperationResult({ operation: 'note', walletNum: 1, address: devnet.address }, async () => {
+            await txManager.sendTransaction({ to: devnet.address, value: '0' }, 'note');
+            recordOperationError(new Error('second note skipped'));
+            return false;
+        });
+
+        const [receipt] = await getWalletReceipts(devnet.web3, devnet.address);
+        assert.strictEqual(result.status, 'failed');
+        assert.strictEqual(result.transactions.length, 1);
+        assert.strictEqual(result.transactions[0].hash, receipt.transactionHash);
+        assert.strictEqual(result.transactions[0].status, 'confirmed');
+        assert.strictEqual(result.gasUsed, receipt.gasUsed);
+        assert.strictEqual(result.cost, receipt.gasUsed * receipt.effectiveGasPrice);
+        assert.deepStrictEqual(result.errors, ['second note skipped']);
+        assert.ok(result.durationMs >= 0);
+
+        // Sends outside an operation are not collected anywhere
+        await txManager.sendTransaction({ to: devnet.address, value: '0' }, 'stray note');
+        assert.strictEqual(result.transactions.length, 1);
+    });
+
+    it('counts an operation that throws as failed, keeping what it sent', async () => {
+        const connection = createWalletConnection(devnet.config, devnet.privateKey);
+        const txManager = new TransactionManager(connection.web3, connection.signer, devnet.config, { operation: 'note' });
+
+        const result = await collectOperationResult({ operation: 'note', walletNum: 1, address: devnet.address }, async () => {
+            await txManager.sendTransaction({ to: devnet.address, value: '0' }, 'thrown note');
+            throw new Error('manager blew up');
+        });
+
+        assert.strictEqual(result.status, 'failed');
+        assert.strictEqual(result.transactions.length, 1);
+        assert.deepStrictEqual(result.errors, ['manager blew up']);
+        assert.strictEqual(CycleReport.build([result], { startedAt: result.startedAt }).totals.failed, 1);
+    });
+
+    it('aggregates success rates per wallet and per operation', () => {
+        const deployment = { label: 'ERC20 deployment', hash: '0xaa', status: 'confirmed', gasUsed: BigInt(500000), cost: BigInt(10) ** BigInt(15), contractAddress: '0xbb', error: null };
+        const report = CycleReport.build([
+            makeResult(1, 'erc20', 'succeeded', [deployment]),
+            makeResult(1, 'faucet', 'failed', [], ['No captcha API key provided']),
+            makeResult(2, 'erc20', 'succeeded'),
+            makeResult(2, 'faucet', 'skipped')
+        ], { startedAt: '2026-01-01T00:00:00.000Z', finishedAt: '2026-01-01T00:10:00.000Z' });
+
+        assert.strictEqual(report.totals.operations, 4);
+        assert.strictEqual(report.totals.successRate, 2 / 3);
+        assert.strictEqual(report.totals.cost, (BigInt(10) ** BigInt(15)).toString());
+        assert.deepStrictEqual(report.wallets.map(wallet => [wallet.walletNum, wallet.label, wallet.successRate]), [[1, 'main', 0.5], [2, null, 1]]);
+        assert.deepStrictEqual(report.operations.map(operation => [operation.operation, operation.successRate]), [['erc20', 1], ['faucet', 0]]);
+        assert.strictEqual(report.results[0].transactions[0].gasUsed, '500000');
+
+        // Plain JSON, no BigInts left
+        assert.deepStrictEqual(JSON.parse(new CycleReport({ format: 'json', directory: dir }).render(report)), report);
+
+        const markdown = new CycleReport({ format: 'markdown', directory: dir }).render(report);
+        assert.match(markdown, /success rate 66\.7%/);
+        assert.match(markdown, /\| 1 \(main\) \| 0x1{40} \| 2 \| 1 \| 1 \| 0 \| 50\.0% \|/);
+        assert.match(markdown, /\| ERC20 deployment \| confirmed \| 0xaa \| 500000 \| 0\.001 ETH \| 0xbb \|/);
+        assert.match(markdown, /- No captcha API key provided/);
+
+        const html = new CycleReport({ format: 'html', directory: dir }).render(report);
+        assert.match(html, /<td>faucet<\/td><td>2<\/td><td>0<\/td><td>1<\/td><td>1<\/td><td>0\.0%<\/td>/);
+    });
+
+    it('writes one file per cycle in the configured format', () => {
+        const config = { report: { format: 'html', directory: dir } };
+        const report = CycleReport.fromConfig(config);
+        const file = report.write(CycleReport.build([makeResult(1, 'transfer', 'succeeded')], { startedAt: '2026-01-01T08:00:00.000Z' }));
+
+        assert.strictEqual(path.basename(file), 'cycle-2026-01-01T08-00-00-000Z.html');
+        assert.match(fs.readFileSync(file, 'utf8'), /^<!DOCTYPE html>/);
+
+        assert.strictEqual(CycleReport.fromConfig({ ...config, dry_run: true }), null);
+        assert.strictEqual(CycleReport.fromConfig({ report: { enabled: false } }), null);
+        assert.throws(() => CycleReport.fromConfig({ report: { format: 'pdf' } }), /Invalid report\.format "pdf"/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,43 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startDevnet, getWalletReceipts, findDeployment, getCallsTo } = require('./helpers/devnet');
+const ERC20TokenDeployer = require('../src/ERC20TokenDeployer');
+
+// Read-only part of the generated ERC20 ABI
+const ERC20_ABI = [
+    { name: 'decimals', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint8' }] },
+    { name: 'totalSupply', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+    { name: 'balanceOf', type: 'function', stateMutability: 'view', inputs: [{ name: 'account', type: 'address' }], outputs: [{ type: 'uint256' }] }
+];
+
+describe('ERC20TokenDeployer', () => {
+    let devnet;
+
+    before(async () => {
+        devnet = await startDevnet();
+    });
+
+    after(async () => {
+        await devnet.stop();
+    });
+
+    it('deploys a token, mints the configured amount and burns the configured share', async () => {
+        const deployer = new ERC20TokenDeployer(devnet.privateKey, devnet.config);
+        deployer.setWalletNum(1);
+
+        assert.strictEqual(await deployer.executeTokenOperations(), true);
+
+        const receipts = await getWalletReceipts(devnet.web3, devnet.address);
+        const deployment = findDeployment(receipts);
+
+        // mint, then burn
+        assert.strictEqual(getCallsTo(receipts, deployment.contractAddress).length, 2);
+
+        // 1000 minted, 10% burned
+        const token = new devnet.web3.eth.Contract(ERC20_ABI, deployment.contractAddress);
+        const expected = BigInt(900) * BigInt(10) ** BigInt(18);
+        assert.strictEqual(await token.methods.decimals().call(), BigInt(18));
+        assert.strictEqual(await token.methods.totalSupply().call(), expected);
+        assert.strictEqual(await token.methods.balanceOf(devnet.address).call(), expected);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,47 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startDevnet, getWalletReceipts, findDeployment, getCallsTo } = require('./helpers/devnet');
+const NFTManager = require('../src/NFTManager');
+
+// Read-only part of the generated NFT collection ABI
+const NFT_ABI = [
+    { name: 'maxSupply', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+    { name: 'totalSupply', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+    { name: 'balanceOf', type: 'function', stateMutability: 'view', inputs: [{ name: 'account', type: 'address' }], outputs: [{ type: 'uint256' }] },
+    { name: 'tokensOfOwner', type: 'function', stateMutability: 'view', inputs: [{ name: 'account', type: 'address' }], outputs: [{ type: 'uint256[]' }] }
+];
+
+describe('NFTManager', () => {
+    let devnet;
+
+    before(async () => {
+        devnet = await startDevnet();
+    });
+
+    after(async () => {
+        await devnet.stop();
+    });
+
+    it('deploys a collection, mints the configured count and burns the configured share', async () => {
+        const manager = new NFTManager(devnet.privateKey, devnet.config);
+        manager.setWalletNum(1);
+
+        assert.strictEqual(await manager.executeNFTOperations(), true);
+
+        const receipts = await getWalletReceipts(devnet.web3, devnet.address);
+        const deployment = findDeployment(receipts);
+
+        // 3 mints, then ceil(20% of 3) = 1 burn
+        assert.strictEqual(getCallsTo(receipts, deployment.contractAddress).length, 4);
+
+        const collection = new devnet.web3.eth.Contract(NFT_ABI, deployment.contractAddress);
+        assert.strictEqual(await collection.methods.maxSupply().call(), BigInt(10));
+        assert.strictEqual(await collection.methods.totalSupply().call(), BigInt(2));
+        assert.strictEqual(await collection.methods.balanceOf(devnet.address).call(), BigInt(2));
+
+        // The survivors are two of the minted token IDs 0-2
+        const owned = (await collection.methods.tokensOfOwner(devnet.address).call()).map(Number);
+        assert.strictEqual(owned.length, 2);
+        assert.ok(owned.every(tokenId => [0, 1, 2].includes(tokenId)));
+    });
+});
\ No newline at end of file
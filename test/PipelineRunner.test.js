@@ -0,0 +1,100 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startDevnet, getWalletReceipts, findDeployment } = require('./helpers/devnet');
+const PipelineRunner = require('../src/PipelineRunner');
+const { LocalSigner } = require('../utils/signers');
+
+const RECIPIENT = '0x000000000000000000000000000000000000dEaD';
+
+// Read-only part of the generated ERC20 ABI
+const ERC20_ABI = [
+    { name: 'totalSupply', type: 'function', stateMutability: 'view', inputs: [], outputs: [{ type: 'uint256' }] },
+    { name: 'balanceOf', type: 'function', stateMutability: 'view', inputs: [{ name: 'account', type: 'address' }], outputs: [{ type: 'uint256' }] }
+];
+
+// The only pipeline of a "pipelines" section
+const getPipeline = steps => PipelineRunner.getPipelines({ pipelines: { test: { enabled: true, steps } } })[0];
+
+describe('PipelineRunner', () => {
+    let devnet;
+
+    before(async () => {
+        devnet = await startDevnet();
+    });
+
+    after(async () => {
+        await devnet.stop();
+    });
+
+    it('validates steps and derives dependencies from references', () => {
+        const pipeline = getPipeline([
+            { id: 'deploy', action: 'erc20.deploy' },
+            { id: 'mint', action: 'erc20.mint', params: { token: '${deploy.contractAddress}', amount: 5, to: '${wallet.address}' } }
+        ]);
+        assert.strictEqual(pipeline.operation, 'pipeline:test');
+        assert.deepStrictEqual(pipeline.steps[1].dependsOn, ['deploy']);
+        assert.strictEqual(pipeline.steps[1].attempts, 1);
+
+        assert.throws(() => getPipeline([{ id: 'launch', action: 'rocket.launch' }]), /unknown action "rocket\.launch"/);
+        assert.throws(() => getPipeline([{ id: 'mint', action: 'erc20.mint', params: { token: '0x' } }]), /missing parameter\(s\) amount/);
+        assert.throws(() => getPipeline([
+            { id: 'mint', action: 'erc20.mint', params: { token: '${deploy.contractAddress}', amount: 5 } },
+            { id: 'deploy', action: 'erc20.deploy' }
+        ]), /depends on deploy, which must be earlier steps/);
+        assert.throws(() => getPipeline([{ id: 'deploy', action: 'erc20.deploy', retry: { attempts: 0 } }]), /retry\.attempts/);
+    });
+
+    it('passes outputs of earlier steps to later ones', async () => {
+        const runner = new PipelineRunner(getPipeline([
+            { id: 'deploy', action: 'erc20.deploy', params: { name: 'Pipeline Token', symbol: 'PIPE' } },
+            { id: 'mint', action: 'erc20.mint', params: { token: '${deploy.contractAddress}', amount: 1000 } },
+            { id: 'distribute', action: 'erc20.batch_transfer', depends_on: ['mint'], params: { token: '${deploy.contractAddress}', recipients: [RECIPIENT], amount: 10 } }
+        ]), devnet.config, { signer: new LocalSigner(devnet.privateKey) });
+        runner.setWalletNum(1);
+
+        assert.strictEqual(await runner.run(), true);
+
+        const deployment = findDeployment(await getWalletReceipts(devnet.web3, devnet.address));
+        const token = new devnet.web3.eth.Contract(ERC20_ABI, deployment.contractAddress);
+        assert.strictEqual(await token.methods.totalSupply().call(), BigInt(1000) * BigInt(10) ** BigInt(18));
+        assert.strictEqual(await token.methods.balanceOf(RECIPIENT).call(), BigInt(10) * BigInt(10) ** BigInt(18));
+    });
+
+    it('plans steps on a token deployed earlier in the same dry run', async () => {
+        const receiptsBefore = (await getWalletReceipts(devnet.web3, devnet.address)).length;
+        const runner = new PipelineRunner(getPipeline([
+            { id: 'deploy', action: 'erc20.deploy', params: { name: 'Planned Token', symbol: 'PLAN', decimals: 6 } },
+            { id: 'mint', action: 'erc20.mint', params: { token: '${deploy.contractAddress}', amount: 1000 } },
+            { id: 'burn', action: 'erc20.burn', depends_on: ['mint'], params: { token: '${deploy.contractAddress}', amount: 10 } },
+            { id: 'distribute', action: 'erc20.batch_transfer', depends_on: ['mint'], params: { token: '${deploy.contractAddress}', recipients: [RECIPIENT], amount: 10 } }
+        ]), { ...devnet.config, dry_run: true }, { signer: new LocalSigner(devnet.privateKey) });
+        runner.setWalletNum(1);
+
+        assert.strictEqual(await runner.run(), true);
+        assert.strictEqual((await getWalletReceipts(devnet.web3, devnet.address)).length, receiptsBefore);
+    });
+
+    it('retries failing steps and skips steps whose dependencies or conditions fail', async () => {
+        const runner = new PipelineRunner(getPipeline([
+            // Not a token, so reading its decimals fails
+            { id: 'mint', action: 'erc20.mint', retry: { attempts: 2, delay_seconds: 0 }, params: { token: RECIPIENT, amount: 1 } },
+            { id: 'burn', action: 'erc20.burn', depends_on: ['mint'], params: { token: RECIPIENT, amount: 1 } },
+            { id: 'fund', action: 'native.transfer', when: { balance_above: 1000000000 }, params: { to: RECIPIENT, amount: 1 } }
+        ]), devnet.config, { signer: new LocalSigner(devnet.privateKey) });
+        runner.setWalletNum(1);
+
+        const logged = [];
+        const log = console.log;
+        console.log = line => logged.push(String(line));
+        try {
+            assert.strictEqual(await runner.run(), false);
+        } finally {
+            console.log = log;
+        }
+
+        assert.strictEqual(logged.filter(line => line.includes('Step mint failed')).length, 2);
+        assert.ok(logged.some(line => line.includes('Skipping step burn: mint did not succeed')));
+        assert.ok(logged.some(line => line.includes('Skipping step fund: balance')));
+        assert.ok(logged.some(line => line.includes('0 succeeded, 1 failed, 2 skipped')));
+    });
+});
\ No newline at end of file
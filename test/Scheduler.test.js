@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../utils/Scheduler');
+const { getNextCronTime } = require('../utils/cron');
+
+const HOUR = 60 * 60 * 1000;
+
+// Local time, as cron expressions are evaluated in local time
+const at = (month, day, hours, minutes = 0) => new Date(2024, month - 1, day, hours, minutes);
+
+describe('cron', () => {
+    it('finds the next matching minute', () => {
+        assert.deepStrictEqual(getNextCronTime('0 */8 * * *', at(1, 1, 3, 15)), at(1, 1, 8));
+        assert.deepStrictEqual(getNextCronTime('0 */8 * * *', at(1, 1, 16)), at(1, 2, 0));
+        assert.deepStrictEqual(getNextCronTime('15,45 * * * *', at(1, 1, 3, 15)), at(1, 1, 3, 45));
+        assert.deepStrictEqual(getNextCronTime('@daily', at(12, 31, 23, 59)), new Date(2025, 0, 1));
+    });
+
+    it('understands weekday names and ranges', () => {
+        // 2024-01-06 is a Saturday
+        assert.deepStrictEqual(getNextCronTime('30 9 * * mon-fri', at(1, 6, 12)), at(1, 8, 9, 30));
+        assert.deepStrictEqual(getNextCronTime('0 0 * * 7', at(1, 6, 12)), at(1, 7, 0));
+    });
+
+    it('runs on either day field when both are restricted', () => {
+        // The 15th, or any Monday
+        assert.deepStrictEqual(getNextCronTime('0 12 15 * mon', at(1, 9, 0)), at(1, 15, 12));
+        assert.deepStrictEqual(getNextCronTime('0 12 15 * mon', at(1, 16, 0)), at(1, 22, 12));
+    });
+
+    it('rejects malformed expressions', () => {
+        assert.throws(() => getNextCronTime('0 8 * *', new Date()), /must have 5 fields/);
+        assert.throws(() => getNextCronTime('61 * * * *', new Date()), /Invalid minute "61"/);
+        assert.throws(() => getNextCronTime('0 0 31 2 *', new Date()), /never matches/);
+    });
+});
+
+describe('Scheduler', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zenchain-schedule-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Scheduler with its own state file and the given "schedule" section
+    const createScheduler = (name, schedule) => Scheduler.fromConfig({ schedule: { state_file: path.join(dir, `${name}.json`), ...schedule } });
+
+    it('runs at once the first time, then one interval after the last run finished', () => {
+        const scheduler = createScheduler('interval', { interval_hours: 8 });
+        const now = new Date();
+
+        assert.deepStrictEqual(scheduler.getNextRun(now), { runAt: now, missed: false });
+
+        scheduler.recordRun(new Date(now.getTime() - HOUR), now);
+        assert.deepStrictEqual(scheduler.getNextRun(now), { runAt: new Date(now.getTime() + 8 * HOUR), missed: false });
+    });
+
+    it('catches up on a missed run, or skips it, by policy', () => {
+        const lastRun = at(1, 1, 8);
+        const now = at(1, 1, 19, 30);
+
+        const catchUp = createScheduler('catch-up', { cron: '0 */8 * * *', missed_runs: 'run' });
+        catchUp.recordRun(lastRun, lastRun);
+        assert.deepStrictEqual(catchUp.getNextRun(now), { runAt: now, missed: true });
+
+        const skip = createScheduler('skip', { cron: '0 */8 * * *', missed_runs: 'skip' });
+        skip.recordRun(lastRun, lastRun);
+        assert.deepStrictEqual(skip.getNextRun(now), { runAt: at(1, 2, 0), missed: true });
+    });
+
+    it('treats a slightly late run as on time', () => {
+        const scheduler = createScheduler('grace', { cron: '0 */8 * * *', missed_runs: 'skip', grace_seconds: 300 });
+        scheduler.recordRun(at(1, 1, 8), at(1, 1, 8, 30));
+
+        const now = at(1, 1, 16, 2);
+        assert.deepStrictEqual(scheduler.getNextRun(now), { runAt: now, missed: false });
+    });
+
+    it('rejects an unknown missed run policy', () => {
+        assert.throws(() => createScheduler('bad', { missed_runs: 'sometimes' }), /Invalid schedule\.missed_runs/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,39 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startDevnet } = require('./helpers/devnet');
+const TransactionManager = require('../utils/TransactionManager');
+const { createWalletConnection } = require('../utils/walletConnection');
+
+describe('SpendBudget', () => {
+    let devnet;
+
+    before(async () => {
+        devnet = await startDevnet();
+    });
+
+    after(async () => {
+        await devnet.stop();
+    });
+
+    it('gives back the reservation of a planned transaction that would fail', async () => {
+        const connection = createWalletConnection(devnet.config, devnet.privateKey);
+        const probe = new TransactionManager(connection.web3, connection.signer, devnet.config);
+        const probeTx = await probe.buildTransaction({ to: devnet.address, value: '0' });
+        const maxCost = probe.getMaxTransactionCost(probeTx);
+        probe.releaseNonce(probeTx.nonce);
+
+        // Room for one transaction, not two
+        const perWallet = devnet.web3.utils.fromWei((maxCost * BigInt(3) / BigInt(2)).toString(), 'ether');
+        const config = { ...devnet.config, dry_run: true, budgets: { enabled: true, per_wallet: perWallet } };
+        const txManager = new TransactionManager(connection.web3, connection.signer, config, { operation: 'transfer' });
+        txManager.setWalletNum(1);
+
+        // More than the wallet holds, so the eth_call simulation fails
+        const failing = await txManager.buildTransaction({ to: devnet.address, value: '0' });
+        failing.value = (BigInt(10) ** BigInt(30)).toString();
+        await assert.rejects(txManager.sendPreparedTransaction(failing, 'too large'));
+
+        const receipt = await txManager.sendTransaction({ to: devnet.address, value: '0' }, 'fits');
+        assert.strictEqual(receipt.dryRun, true);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,162 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startDevnet } = require('./helpers/devnet');
+const constants = require('../utils/constants');
+
+const INDEX = path.join(__dirname, '..', 'index.js');
+
+// Run index.js in a working directory; resolves with the exit code and output, never rejects
+function runIndex(args, cwd) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [INDEX, ...args], { cwd, timeout: 120000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+describe('command-line interface', () => {
+    let devnet;
+    let cwd;
+
+    before(async () => {
+        devnet = await startDevnet();
+        cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'zenchain-cli-'));
+        fs.writeFileSync(path.join(cwd, 'test-config.json'), JSON.stringify(devnet.config));
+        fs.writeFileSync(path.join(cwd, 'pk.txt'), devnet.privateKey + '\n');
+    });
+
+    after(async () => {
+        await devnet.stop();
+        fs.rmSync(cwd, { recursive: true, force: true });
+    });
+
+    it('prints help and exits 0', async () => {
+        const { code, stdout } = await runIndex(['--help'], cwd);
+        assert.strictEqual(code, constants.EXIT_CODES.SUCCESS);
+        assert.match(stdout, /Usage: node index\.js <command>/);
+    });
+
+    it('exits with the usage code on unknown commands and bad arguments', async () => {
+        assert.strictEqual((await runIndex(['frobnicate'], cwd)).code, constants.EXIT_CODES.USAGE);
+        assert.strictEqual((await runIndex(['deploy', 'rocket', '--config', 'test-config.json'], cwd)).code, constants.EXIT_CODES.USAGE);
+        assert.strictEqual((await runIndex(['status', '--config=missing.json'], cwd)).code, constants.EXIT_CODES.USAGE);
+    });
+
+    it('exits with the chain check code when the RPC serves another chain', async () => {
+        const config = { ...devnet.config, networks: { devnet: { ...devnet.config.networks.devnet, chain_id: 8408 } } };
+        fs.writeFileSync(path.join(cwd, 'wrong-chain.json'), JSON.stringify(config));
+
+        const { code } = await runIndex(['run', '--once', '--config', 'wrong-chain.json'], cwd);
+        assert.strictEqual(code, constants.EXIT_CODES.CHAIN_CHECK_FAILED);
+    });
+
+    it('deploys a single contract type once and reports it', async () => {
+        const deploy = await runIndex(['deploy', 'erc20', '--config', 'test-config.json', '--wallet', '1'], cwd);
+        assert.strictEqual(deploy.code, constants.EXIT_CODES.SUCCESS, deploy.stderr);
+        assert.match(deploy.stdout, /Operations: 1 succeeded, 0 failed/);
+
+        const report = await runIndex(['report', '--config', 'test-config.json'], cwd);
+        assert.strictEqual(report.code, constants.EXIT_CODES.SUCCESS);
+        assert.match(report.stdout, /erc20: \d+ confirmed/);
+        assert.doesNotMatch(report.stdout, /transfer:/);
+    });
+
+    it('reports an operation whose manager fails as failed', async () => {
+        const reportDir = path.join(cwd, 'failed-reports');
+        // uint8 cannot hold these decimals, so the token is never deployed
+        const config = { ...devnet.config, erc20: { ...devnet.config.erc20, decimals: 300 }, report: { format: 'json', directory: reportDir } };
+        fs.writeFileSync(path.join(cwd, 'failing-erc20.json'), JSON.stringify(config));
+
+        const { stdout } = await runIndex(['deploy', 'erc20', '--config', 'failing-erc20.json', '--wallet', '1'], cwd);
+        assert.match(stdout, /Operations: 0 succeeded, 1 failed/);
+
+        const [file] = fs.readdirSync(reportDir);
+        const report = JSON.parse(fs.readFileSync(path.join(reportDir, file), 'utf8'));
+        assert.strictEqual(report.totals.failed, 1);
+        assert.strictEqual(report.results[0].operation, 'erc20');
+        assert.strictEqual(report.results[0].status, 'failed');
+    });
+
+    it('exits with the operations failed code when an operation fails', async () => {
+        const config = { ...devnet.config, erc20: { ...devnet.config.erc20, decimals: 300 } };
+        fs.writeFileSync(path.join(cwd, 'failing-operation.json'), JSON.stringify(config));
+
+        const { code } = await runIndex(['deploy', 'erc20', '--config', 'failing-operation.json', '--wallet', '1'], cwd);
+        assert.strictEqual(code, constants.EXIT_CODES.OPERATIONS_FAILED);
+    });
+
+    it('only fails the commands that run operations on a broken plugin', async () => {
+        const pluginDir = path.join(cwd, 'broken-plugins');
+        fs.mkdirSync(pluginDir);
+        fs.writeFileSync(path.join(pluginDir, 'broken.js'), "module.exports = { name: 'broken' };\n");
+        fs.writeFileSync(path.join(cwd, 'broken-plugin.json'), JSON.stringify({ ...devnet.config, plugins: { directory: pluginDir } }));
+
+        const balances = await runIndex(['balances', '--config', 'broken-plugin.json'], cwd);
+        assert.strictEqual(balances.code, constants.EXIT_CODES.SUCCESS, balances.stderr);
+        assert.strictEqual((await runIndex(['history', '--config', 'broken-plugin.json'], cwd)).code, constants.EXIT_CODES.SUCCESS);
+
+        const deploy = await runIndex(['deploy', 'erc20', '--config', 'broken-plugin.json'], cwd);
+        assert.strictEqual(deploy.code, constants.EXIT_CODES.ERROR);
+        assert.match(deploy.stderr, /must export an execute\(context\) function/);
+    });
+
+    it('keeps the cycle progress of wallets a filtered run did not select', async () => {
+        const progressFile = path.join(cwd, 'filtered-progress.json');
+        const config = {
+            ...devnet.config,
+            progress: { file: progressFile },
+            operation_randomization: { enable_randomization: false, excluded_operations: [], operations_to_run: ['transfer'] }
+        };
+        fs.writeFileSync(path.join(cwd, 'filtered.json'), JSON.stringify(config));
+
+        // Wallet 2 stopped halfway through its operations in an earlier run
+        const otherKey = '0x' + '22'.repeat(32);
+        const otherAddress = devnet.web3.eth.accounts.privateKeyToAccount(otherKey).address;
+        fs.writeFileSync(path.join(cwd, 'pk.txt'), `${devnet.privateKey}\n${otherKey}\n`);
+        const otherWallet = { address: otherAddress, operations: ['transfer', 'erc20'], completedOperations: ['transfer'], completed: false, steps: {} };
+        fs.writeFileSync(progressFile, JSON.stringify({ startedAt: new Date().toISOString(), wallets: { 2: otherWallet } }));
+
+        try {
+            const { code, stderr } = await runIndex(['run', '--once', '--config', 'filtered.json', '--wallet', '1'], cwd);
+            assert.strictEqual(code, constants.EXIT_CODES.SUCCESS, stderr);
+        } finally {
+            fs.writeFileSync(path.join(cwd, 'pk.txt'), devnet.privateKey + '\n');
+        }
+
+        const saved = JSON.parse(fs.readFileSync(progressFile, 'utf8'));
+        assert.deepStrictEqual(saved.wallets['2'], otherWallet);
+        assert.strictEqual(saved.wallets['1'].completed, true);
+    });
+
+    it('counts journal entries whose wallet is stored as a string in a filtered report', async () => {
+        const journalFile = path.join(cwd, 'string-wallets.jsonl');
+        const event = { id: 'legacy-1', timestamp: new Date().toISOString(), wallet: '1', operation: 'nft', status: 'confirmed', hash: '0x' + 'ab'.repeat(32) };
+        fs.writeFileSync(journalFile, JSON.stringify(event) + '\n');
+        fs.writeFileSync(path.join(cwd, 'string-wallets.json'), JSON.stringify({ ...devnet.config, journal: { enabled: true, file: journalFile } }));
+
+        const { code, stdout } = await runIndex(['report', '--config', 'string-wallets.json', '--wallet', '1'], cwd);
+        assert.strictEqual(code, constants.EXIT_CODES.SUCCESS);
+        assert.match(stdout, /nft: 1 confirmed/);
+    });
+
+    it('exits with the usage code when cancel gets a wallet that does not exist', async () => {
+        assert.strictEqual((await runIndex(['cancel', '5', '--config', 'test-config.json'], cwd)).code, constants.EXIT_CODES.USAGE);
+        assert.strictEqual((await runIndex(['cancel', 'one', '--config', 'test-config.json'], cwd)).code, constants.EXIT_CODES.USAGE);
+    });
+
+    it('filters the history by a list of wallets', async () => {
+        const listed = await runIndex(['history', '--config', 'test-config.json', '--wallet', '1,2'], cwd);
+        assert.strictEqual(listed.code, constants.EXIT_CODES.SUCCESS, listed.stderr);
+        assert.match(listed.stdout, /Transaction History \(\d+\)/);
+
+        const other = await runIndex(['history', '--config', 'test-config.json', '--wallet=2'], cwd);
+        assert.strictEqual(other.code, constants.EXIT_CODES.SUCCESS, other.stderr);
+        assert.match(other.stdout, /No journaled transactions found/);
+
+        assert.strictEqual((await runIndex(['history', '--config', 'test-config.json', '--wallet=one'], cwd)).code, constants.EXIT_CODES.USAGE);
+    });
+});
\ No newline at end of file
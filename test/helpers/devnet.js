@@ -0,0 +1,184 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const ganache = require('ganache');
+const { Web3 } = require('web3');
+const RpcPool = require('../../utils/RpcPool');
+const { selectNetwork } = require('../../utils/network');
+
+// Chain ID of the in-process devnet, matching the "local" profile in config.json
+const DEVNET_CHAIN_ID = 1337;
+
+// Funded wallet the managers under test sign with
+const TEST_PRIVATE_KEY = '0x' + '11'.repeat(32);
+const TEST_BALANCE_WEI = BigInt(10) ** BigInt(21);
+
+// Ask the OS for a port nothing is listening on, so test files can run in parallel
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.unref();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Build a config.json equivalent pointing at the devnet, with delays disabled,
+ * small deterministic operation counts and the journal in a scratch directory
+ * @param {string} url - Devnet RPC URL
+ * @param {string} dataDir - Scratch directory for the journal
+ * @param {Object} overrides - Top-level sections replacing the defaults
+ * @returns {Object} - Root configuration object
+ */
+function createConfig(url, dataDir, overrides = {}) {
+    return {
+        network: 'devnet',
+        networks: {
+            devnet: {
+                name: 'Test devnet',
+                chain_id: DEVNET_CHAIN_ID,
+                rpc_urls: [url],
+                currency: 'ETH',
+                fee_mode: 'auto'
+            }
+        },
+        enable_transfer: true,
+        enable_contract_deploy: true,
+        gas_price_multiplier: 1.2,
+        stuck_transactions: {
+            timeout_seconds: 30,
+            poll_interval_seconds: 1,
+            max_replacements: 1
+        },
+        journal: {
+            enabled: true,
+            file: path.join(dataDir, 'transactions.jsonl')
+        },
+        max_retries: 1,
+        base_wait_time: 1,
+        transfer_amount_percentage: 90,
+        transfer_count: { min: 2, max: 2 },
+        delay: { min_seconds: 0, max_seconds: 0 },
+        contract_interactions: {
+            enabled: true,
+            count: { min: 4, max: 4 },
+            types: ['setValue', 'increment', 'decrement', 'reset', 'contribute']
+        },
+        contract_testing: {
+            enable_contract_testing: true,
+            test_sequences: ['parameter_variation', 'stress_test', 'boundary_test'],
+            iterations: { min: 2, max: 2 }
+        },
+        batch_operations: {
+            enable_batch_operations: true,
+            operations_per_batch: { min: 3, max: 3 }
+        },
+        erc20: {
+            enable_erc20: true,
+            mint_amount: { min: 1000, max: 1000 },
+            burn_percentage: 10,
+            decimals: 18
+        },
+        nft: {
+            enable_nft: true,
+            mint_count: { min: 3, max: 3 },
+            burn_percentage: 20,
+            supply: { min: 10, max: 10 }
+        },
+        ...overrides
+    };
+}
+
+/**
+ * Start an in-process ganache chain with one funded wallet and select it as the active network
+ * @param {Object} [overrides] - Top-level config sections replacing the test defaults
+ * @returns {Promise<Object>} - { url, config, web3, privateKey, address, stop }
+ */
+async function startDevnet(overrides = {}) {
+    const port = await getFreePort();
+    const url = `http://127.0.0.1:${port}`;
+
+    const server = ganache.server({
+        logging: { quiet: true },
+        chain: { chainId: DEVNET_CHAIN_ID },
+        wallet: {
+            accounts: [{ secretKey: TEST_PRIVATE_KEY, balance: '0x' + TEST_BALANCE_WEI.toString(16) }]
+        }
+    });
+    await server.listen(port, '127.0.0.1');
+
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zenchain-test-'));
+    const config = createConfig(url, dataDir, overrides);
+    selectNetwork(config);
+
+    // Independent connection for assertions, bypassing the pool the managers use
+    const web3 = new Web3(url);
+    const account = web3.eth.accounts.privateKeyToAccount(TEST_PRIVATE_KEY);
+
+    return {
+        url: url,
+        config: config,
+        web3: web3,
+        privateKey: TEST_PRIVATE_KEY,
+        address: account.address,
+        async stop() {
+            RpcPool.fromConfig(config).stop();
+            await server.close();
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Collect the receipts of every transaction a wallet sent, oldest first
+ * @param {Object} web3 - Web3 instance connected to the devnet
+ * @param {string} address - Wallet address
+ * @param {number} [fromBlock] - First block to look at
+ * @returns {Promise<Array<Object>>} - Receipts, with the transaction's input and value added
+ */
+async function getWalletReceipts(web3, address, fromBlock = 1) {
+    const receipts = [];
+    const latest = Number(await web3.eth.getBlockNumber());
+
+    for (let blockNumber = fromBlock; blockNumber <= latest; blockNumber++) {
+        const block = await web3.eth.getBlock(blockNumber, true);
+        for (const tx of block.transactions) {
+            if (tx.from.toLowerCase() === address.toLowerCase()) {
+                const receipt = await web3.eth.getTransactionReceipt(tx.hash);
+                receipts.push({ ...receipt, input: tx.input, value: tx.value });
+            }
+        }
+    }
+
+    return receipts;
+}
+
+// The single contract a wallet deployed, failing when it deployed none or several
+function findDeployment(receipts) {
+    const deployments = receipts.filter(receipt => receipt.contractAddress);
+    if (deployments.length !== 1) {
+        throw new Error(`Expected one contract deployment, found ${deployments.length}`);
+    }
+    return deployments[0];
+}
+
+// Successful transactions sent to a contract, oldest first
+function getCallsTo(receipts, contractAddress) {
+    return receipts.filter(receipt =>
+        receipt.to && receipt.to.toLowerCase() === contractAddress.toLowerCase() && receipt.status === BigInt(1)
+    );
+}
+
+module.exports = {
+    DEVNET_CHAIN_ID,
+    TEST_BALANCE_WEI,
+    startDevnet,
+    getWalletReceipts,
+    findDeployment,
+    getCallsTo
+};
\ No newline at end of file
@@ -0,0 +1,70 @@
+const http = require('http');
+const { Web3 } = require('web3');
+
+/**
+ * Start a stand-in for a Clef-style remote signer, holding the given keys in its own server.
+ * It answers account_list and account_signTransaction, and records every request it gets.
+ * @param {Object} options
+ * @param {string[]} options.privateKeys - Keys of the accounts the signer holds
+ * @param {string} options.rpcUrl - Chain the signer reads chain context from
+ * @param {Function} [options.approve] - Called with each transaction; return false to deny it
+ * @returns {Promise<Object>} - { url, requests, stop }
+ */
+async function startStubSigner({ privateKeys, rpcUrl, approve = () => true }) {
+    const web3 = new Web3(rpcUrl);
+    const accounts = privateKeys.map(key => web3.eth.accounts.privateKeyToAccount(key));
+    const requests = [];
+
+    const handle = async ({ method, params }) => {
+        if (method === 'account_list') {
+            return accounts.map(account => account.address);
+        }
+
+        if (method === 'account_signTransaction') {
+            const [args] = params;
+            const account = accounts.find(candidate => candidate.address.toLowerCase() === args.from.toLowerCase());
+            if (!account) {
+                throw new Error(`Unknown account ${args.from}`);
+            }
+            if (!approve(args)) {
+                throw new Error('Request denied');
+            }
+
+            const { input, data, ...tx } = args;
+            const signed = await account.signTransaction({ ...tx, data: input || data });
+            return { raw: signed.rawTransaction, tx: { ...args, hash: signed.transactionHash } };
+        }
+
+        throw new Error(`Method ${method} not supported`);
+    };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            const request = JSON.parse(body);
+            requests.push(request);
+
+            let response;
+            try {
+                response = { jsonrpc: '2.0', id: request.id, result: await handle(request) };
+            } catch (error) {
+                response = { jsonrpc: '2.0', id: request.id, error: { code: -32000, message: error.message } };
+            }
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(response));
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        stop: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = {
+    startStubSigner
+};
\ No newline at end of file
@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadKeystores, importPrivateKeys, getPassphrase } = require('../utils/keystore');
+const { redact, REDACTED } = require('../utils/redact');
+
+const PRIVATE_KEYS = ['0x' + '11'.repeat(32), '22'.repeat(32)];
+
+describe('keystore', () => {
+    let config;
+
+    before(() => {
+        config = { keystore: { enabled: true, dir: fs.mkdtempSync(path.join(os.tmpdir(), 'zenchain-keystore-')) } };
+    });
+
+    after(() => {
+        fs.rmSync(config.keystore.dir, { recursive: true, force: true });
+    });
+
+    it('encrypts keys into V3 keystores and decrypts them in wallet order', async () => {
+        const { written, skipped } = await importPrivateKeys(config, PRIVATE_KEYS, 'secret');
+        assert.strictEqual(written.length, 2);
+        assert.strictEqual(skipped, 0);
+
+        const files = fs.readdirSync(config.keystore.dir).sort();
+        assert.match(files[0], /^wallet-001-0x[0-9a-f]{40}\.json$/);
+        assert.match(files[1], /^wallet-002-0x[0-9a-f]{40}\.json$/);
+
+        // Nothing but the encrypted key ends up on disk
+        const keystore = JSON.parse(fs.readFileSync(path.join(config.keystore.dir, files[0]), 'utf8'));
+        assert.strictEqual(keystore.version, 3);
+        assert.ok(!JSON.stringify(keystore).includes('11'.repeat(32)));
+
+        assert.deepStrictEqual(await loadKeystores(config, 'secret'), ['0x' + '11'.repeat(32), '0x' + '22'.repeat(32)]);
+    });
+
+    it('skips wallets that already have a keystore', async () => {
+        const { written, skipped } = await importPrivateKeys(config, [...PRIVATE_KEYS, '0x' + '33'.repeat(32)], 'secret');
+        assert.strictEqual(written.length, 1);
+        assert.strictEqual(skipped, 2);
+        assert.strictEqual((await loadKeystores(config, 'secret')).length, 3);
+    });
+
+    it('fails on a wrong passphrase', async () => {
+        await assert.rejects(loadKeystores(config, 'wrong'), /Could not decrypt wallet-001-/);
+    });
+
+    it('fails when there are no keystores', async () => {
+        const emptyConfig = { keystore: { dir: path.join(config.keystore.dir, 'missing') } };
+        await assert.rejects(loadKeystores(emptyConfig, 'secret'), /No keystore files found/);
+    });
+
+    it('refuses passphrases too short to be redacted and redacts the others', async () => {
+        const previous = process.env.KEYSTORE_PASSPHRASE;
+        try {
+            process.env.KEYSTORE_PASSPHRASE = 'hunter2';
+            await assert.rejects(getPassphrase(), /must be at least 8 characters long/);
+
+            process.env.KEYSTORE_PASSPHRASE = 'hunter22';
+            assert.strictEqual(await getPassphrase(), 'hunter22');
+            assert.strictEqual(redact('unlocked with hunter22'), `unlocked with ${REDACTED}`);
+        } finally {
+            if (previous === undefined) {
+                delete process.env.KEYSTORE_PASSPHRASE;
+            } else {
+                process.env.KEYSTORE_PASSPHRASE = previous;
+            }
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startDevnet, getWalletReceipts } = require('./helpers/devnet');
+const { loadPlugins, createPluginContext } = require('../utils/plugins');
+const { createWalletConnection } = require('../utils/walletConnection');
+
+const EXAMPLE_PLUGINS = path.join(__dirname, '..', 'plugins');
+
+describe('plugins', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zenchain-plugins-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Write plugin modules into a fresh directory and return a config pointing at it
+    const writePlugins = (name, files, settings = {}) => {
+        const directory = path.join(dir, name);
+        for (const [file, source] of Object.entries(files)) {
+            fs.mkdirSync(path.dirname(path.join(directory, file)), { recursive: true });
+            fs.writeFileSync(path.join(directory, file), source);
+        }
+        return { plugins: { directory, settings } };
+    };
+
+    it('discovers files and folders and fills in default settings', () => {
+        const config = writePlugins('valid', {
+            'ping.js': `module.exports = { name: 'ping', configSchema: { count: { type: 'number', default: 1 } }, execute: async () => true };`,
+            'pong/index.js': `module.exports = { name: 'pong', description: 'Pong', execute: async () => true };`,
+            'notes.txt': 'not a plugin'
+        }, { ping: { count: 3 } });
+
+        const plugins = loadPlugins(config, ['faucet']);
+
+        assert.deepStrictEqual(plugins.map(plugin => plugin.name), ['ping', 'pong']);
+        assert.deepStrictEqual(plugins[0].settings, { enabled: true, count: 3 });
+        assert.deepStrictEqual(plugins[1].settings, { enabled: true });
+        assert.strictEqual(plugins[1].description, 'Pong');
+    });
+
+    it('rejects malformed plugins and settings', () => {
+        const noExecute = writePlugins('no-execute', { 'a.js': `module.exports = { name: 'a' };` });
+        assert.throws(() => loadPlugins(noExecute), /must export an execute\(context\) function/);
+
+        const taken = writePlugins('taken', { 'faucet.js': `module.exports = { name: 'faucet', execute: async () => true };` });
+        assert.throws(() => loadPlugins(taken, ['faucet']), /already taken/);
+
+        const source = `module.exports = { name: 'b', configSchema: { to: { type: 'string', required: true } }, execute: async () => true };`;
+        assert.throws(() => loadPlugins(writePlugins('required', { 'b.js': source })), /needs the setting plugins\.settings\.b\.to/);
+        assert.throws(() => loadPlugins(writePlugins('wrong-type', { 'b.js': source }, { b: { to: 5 } })), /"to" must be a string, got number/);
+        assert.throws(() => loadPlugins(writePlugins('unknown', { 'b.js': source }, { b: { to: '0x', from: '0x' } })), /Unknown setting\(s\) from/);
+    });
+
+    describe('example plugin', () => {
+        let devnet;
+
+        before(async () => {
+            devnet = await startDevnet();
+        });
+
+        after(async () => {
+            await devnet.stop();
+        });
+
+        it('sends its note through the transaction manager it is given', async () => {
+            const config = { ...devnet.config, plugins: { directory: EXAMPLE_PLUGINS, settings: { note_to_self: { message: 'hello' } } } };
+            const plugin = loadPlugins(config).find(candidate => candidate.name === 'note_to_self');
+            const connection = createWalletConnection(config, devnet.privateKey);
+
+            const context = createPluginContext(plugin, config, { walletNum: 1, label: 'main' }, connection);
+            assert.deepStrictEqual(context.wallet, { number: 1, address: devnet.address, label: 'main', tags: [] });
+            assert.strictEqual(await plugin.execute(context), true);
+
+            const [receipt] = await getWalletReceipts(devnet.web3, devnet.address);
+            assert.strictEqual(receipt.to.toLowerCase(), devnet.address.toLowerCase());
+            assert.strictEqual(receipt.input, devnet.web3.utils.utf8ToHex('hello'));
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { REDACTED, registerSecret, redact, redactValue } = require('../utils/redact');
+
+const TX_HASH = '0x' + 'ab'.repeat(32);
+
+describe('redact', () => {
+    it('leaves hashes and addresses alone', () => {
+        const line = `Transaction ${TX_HASH} from 0x${'cd'.repeat(20)} confirmed`;
+        assert.strictEqual(redact(line), line);
+    });
+
+    it('scrubs bare private keys even when they were never registered', () => {
+        assert.strictEqual(redact(`key ${'9f'.repeat(32)} loaded`), `key ${REDACTED} loaded`);
+    });
+
+    it('scrubs registered keys with or without 0x, in any case', () => {
+        const privateKey = '0x' + '4e'.repeat(32);
+        registerSecret(privateKey);
+
+        assert.strictEqual(redact(`failed for ${privateKey}`), `failed for 0x${REDACTED}`);
+        assert.strictEqual(redact(`failed for ${privateKey.slice(2).toUpperCase()}`), `failed for ${REDACTED}`);
+    });
+
+    it('scrubs registered passphrases and API keys', () => {
+        registerSecret('correct horse battery');
+        assert.strictEqual(redact('decrypting with correct horse battery'), `decrypting with ${REDACTED}`);
+    });
+
+    it('masks the values of fields named like secrets', () => {
+        assert.strictEqual(redact('{"captcha_api_key": "abc123"}'), `{"captcha_api_key": "${REDACTED}"}`);
+        assert.strictEqual(redact('https://api.example/in.php?key=1&apikey=abc123'), `https://api.example/in.php?key=1&apikey=${REDACTED}`);
+    });
+
+    it('shortens long hex payloads such as signed transactions', () => {
+        const raw = '0x02f8' + '00'.repeat(200);
+        assert.strictEqual(redact(`sending ${raw}`), 'sending 0x02f80000…[202 bytes redacted]');
+    });
+
+    it('scrubs error objects and their stack', () => {
+        const error = new Error(`Invalid key ${'7a'.repeat(32)}`);
+        const output = redactValue(error);
+        assert.ok(output.includes(`Invalid key ${REDACTED}`));
+        assert.ok(!output.includes('7a'.repeat(32)));
+    });
+});
\ No newline at end of file
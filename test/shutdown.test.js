@@ -0,0 +1,92 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startDevnet, getWalletReceipts } = require('./helpers/devnet');
+const TransactionManager = require('../utils/TransactionManager');
+const TransactionJournal = require('../utils/TransactionJournal');
+const { createWalletConnection } = require('../utils/walletConnection');
+const shutdown = require('../utils/shutdown');
+
+// Shutdown state is process-wide and cannot be undone, so the tests run in order on one request
+describe('shutdown', () => {
+    let devnet;
+    const calls = { requested: [], timedOut: [] };
+
+    before(async () => {
+        devnet = await startDevnet();
+        shutdown.configureShutdown({ shutdown: { timeout_seconds: 0.05 } });
+        shutdown.installShutdownHandlers({
+            onRequest: (reason, inFlight) => calls.requested.push({ reason, inFlight }),
+            onTimeout: inFlight => calls.timedOut.push(inFlight),
+            onForce: () => {}
+        });
+    });
+
+    after(async () => {
+        await devnet.stop();
+    });
+
+    it('sends normally until a shutdown is requested', async () => {
+        assert.strictEqual(shutdown.isShutdownRequested(), false);
+        assert.strictEqual(await shutdown.sleep(5), true);
+
+        const connection = createWalletConnection(devnet.config, devnet.privateKey);
+        const txManager = new TransactionManager(connection.web3, connection.signer, devnet.config, { operation: 'test' });
+        const receipt = await txManager.sendTransaction({ to: devnet.address, value: '0' }, 'first note');
+        assert.strictEqual(receipt.status, BigInt(1));
+    });
+
+    it('cuts sleeps short and reports the transactions still in flight', async () => {
+        const sleeping = shutdown.sleep(60000);
+        const settle = shutdown.trackInFlight({ hash: '0x01', label: 'mined', walletNum: 1 });
+        shutdown.trackInFlight({ hash: '0x02', label: 'stuck', walletNum: 2 });
+
+        assert.strictEqual(shutdown.requestShutdown('SIGTERM'), true);
+        assert.strictEqual(await sleeping, false);
+        assert.strictEqual(await shutdown.sleep(60000), false);
+
+        // A second request changes nothing
+        assert.strictEqual(shutdown.requestShutdown('SIGINT', 1), false);
+        assert.deepStrictEqual(shutdown.getShutdownState(), { requested: true, reason: 'SIGTERM', exitCode: null });
+
+        assert.strictEqual(calls.requested.length, 1);
+        assert.deepStrictEqual(calls.requested[0].inFlight.map(tx => tx.label), ['mined', 'stuck']);
+
+        settle();
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepStrictEqual(calls.timedOut.map(inFlight => inFlight.map(tx => tx.label)), [['stuck']]);
+    });
+
+    it('refuses to send new transactions once shutting down', async () => {
+        const connection = createWalletConnection(devnet.config, devnet.privateKey);
+        const txManager = new TransactionManager(connection.web3, connection.signer, devnet.config, { operation: 'test' });
+
+        await assert.rejects(
+            txManager.sendTransaction({ to: devnet.address, value: '0' }, 'second note'),
+            error => error.shutdown === true && /Not sending second note, shutting down/.test(error.message)
+        );
+
+        const receipts = await getWalletReceipts(devnet.web3, devnet.address);
+        assert.strictEqual(receipts.length, 1);
+        const labels = TransactionJournal.fromConfig(devnet.config).getTransactions().map(tx => tx.label);
+        assert.ok(!labels.includes('second note'));
+    });
+
+    it('keeps waiting for a pending transaction without replacing it once shutting down', async () => {
+        const config = { ...devnet.config, stuck_transactions: { timeout_seconds: 0.02, poll_interval_seconds: 0.01, max_replacements: 3 } };
+        const connection = createWalletConnection(config, devnet.privateKey);
+        const txManager = new TransactionManager(connection.web3, connection.signer, config, { operation: 'test' });
+
+        // Pending through a few timeouts, then mined
+        let polls = 0;
+        txManager.getReceipt = async () => (++polls > 10 ? { status: BigInt(1), transactionHash: '0x01' } : null);
+        const broadcasts = [];
+        txManager.broadcastTransaction = async signedTx => {
+            broadcasts.push(signedTx);
+            return '0x02';
+        };
+
+        const receipt = await txManager.waitForReceipt({ to: devnet.address, nonce: 1000, gasPrice: '1000000000' }, ['0x01'], 'pending note');
+        assert.strictEqual(receipt.transactionHash, '0x01');
+        assert.deepStrictEqual(broadcasts, []);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const util = require('util');
+const { startDevnet, getWalletReceipts, DEVNET_CHAIN_ID } = require('./helpers/devnet');
+const { startStubSigner } = require('./helpers/stubSigner');
+const { LocalSigner, RemoteSigner } = require('../utils/signers');
+const TokenTransfer = require('../src/transfer');
+
+describe('signers', () => {
+    let devnet;
+    let stubSigner;
+    let approve;
+
+    before(async () => {
+        devnet = await startDevnet();
+        approve = () => true;
+        stubSigner = await startStubSigner({ privateKeys: [devnet.privateKey], rpcUrl: devnet.url, approve: args => approve(args) });
+    });
+
+    after(async () => {
+        await stubSigner.stop();
+        await devnet.stop();
+    });
+
+    it('keeps the private key of a local signer out of logs', () => {
+        const signer = new LocalSigner(devnet.privateKey);
+        assert.strictEqual(signer.address, devnet.address);
+        assert.ok(!util.inspect(signer).includes(devnet.privateKey.slice(2)));
+        assert.ok(!JSON.stringify(signer).includes(devnet.privateKey.slice(2)));
+    });
+
+    it('lists the accounts a remote signer holds', async () => {
+        const config = { ...devnet.config, signer: { type: 'remote', url: stubSigner.url } };
+        const signers = await RemoteSigner.listSigners(config);
+
+        assert.strictEqual(signers.length, 1);
+        assert.strictEqual(signers[0].address, devnet.address);
+    });
+
+    it('sends transactions signed by a remote signer', async () => {
+        const signer = new RemoteSigner(stubSigner.url, devnet.address);
+        const tokenTransfer = new TokenTransfer(devnet.config, { signer });
+
+        assert.strictEqual(await tokenTransfer.transferToSelf(null, 1), true);
+
+        const receipts = await getWalletReceipts(devnet.web3, devnet.address);
+        assert.strictEqual(receipts.length, 2);
+
+        // Every transaction went to the signer fully built, with hex quantities
+        const signRequests = stubSigner.requests.filter(request => request.method === 'account_signTransaction');
+        assert.strictEqual(signRequests.length, 2);
+        for (const [args] of signRequests.map(request => request.params)) {
+            assert.strictEqual(args.from, devnet.address);
+            assert.strictEqual(args.chainId, '0x' + DEVNET_CHAIN_ID.toString(16));
+            assert.match(args.nonce, /^0x[0-9a-f]+$/);
+            assert.match(args.gas, /^0x[0-9a-f]+$/);
+        }
+    });
+
+    it('fails when the remote signer denies a transaction', async () => {
+        approve = () => false;
+        const signer = new RemoteSigner(stubSigner.url, devnet.address);
+
+        await assert.rejects(
+            signer.signTransaction({ to: devnet.address, value: '0', nonce: 0, gas: 21000, gasPrice: '1000000000', chainId: DEVNET_CHAIN_ID }),
+            /Signer at .* failed account_signTransaction: .*Request denied/
+        );
+    });
+});
\ No newline at end of file
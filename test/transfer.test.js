@@ -0,0 +1,61 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const ganache = require('ganache');
+const { Web3 } = require('web3');
+const { startDevnet, getWalletReceipts, DEVNET_CHAIN_ID, TEST_BALANCE_WEI } = require('./helpers/devnet');
+const TokenTransfer = require('../src/transfer');
+
+describe('TokenTransfer', () => {
+    let devnet;
+
+    before(async () => {
+        devnet = await startDevnet();
+    });
+
+    after(async () => {
+        await devnet.stop();
+    });
+
+    it('sends the configured number of self-transfers and only pays fees', async () => {
+        const tokenTransfer = new TokenTransfer(devnet.config);
+
+        assert.strictEqual(await tokenTransfer.transferToSelf(devnet.privateKey, 1), true);
+
+        const receipts = await getWalletReceipts(devnet.web3, devnet.address);
+        assert.strictEqual(receipts.length, 2);
+
+        let fees = BigInt(0);
+        for (const receipt of receipts) {
+            assert.strictEqual(receipt.status, BigInt(1));
+            assert.strictEqual(receipt.to.toLowerCase(), devnet.address.toLowerCase());
+            assert.ok(receipt.value > BigInt(0));
+            fees += receipt.gasUsed * receipt.effectiveGasPrice;
+        }
+
+        const balance = await devnet.web3.eth.getBalance(devnet.address);
+        assert.strictEqual(balance, TEST_BALANCE_WEI - fees);
+        assert.strictEqual(await devnet.web3.eth.getTransactionCount(devnet.address), BigInt(2));
+    });
+
+    it('sends through an injected Web3 instance and signer instead of the RPC pool', async () => {
+        // A second chain that only exists in this process, never reachable over HTTP
+        const provider = ganache.provider({
+            logging: { quiet: true },
+            chain: { chainId: DEVNET_CHAIN_ID },
+            wallet: { deterministic: true }
+        });
+        const web3 = new Web3(provider);
+        const [address] = Object.keys(provider.getInitialAccounts());
+        const signer = web3.eth.accounts.privateKeyToAccount(provider.getInitialAccounts()[address].secretKey);
+
+        try {
+            const tokenTransfer = new TokenTransfer(devnet.config, { web3, signer });
+            assert.strictEqual(await tokenTransfer.transferToSelf(null, 1), true);
+
+            assert.strictEqual(await web3.eth.getTransactionCount(signer.address), BigInt(2));
+            assert.strictEqual((await getWalletReceipts(web3, signer.address)).length, 2);
+        } finally {
+            await provider.disconnect();
+        }
+    });
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadManifest, resolveWallets, selectWallets } = require('../utils/walletManifest');
+const { getTimestamp, setWalletLabel } = require('../utils/delayUtils');
+
+const ADDRESSES = ['0x' + 'a1'.repeat(20), '0x' + 'b2'.repeat(20), '0x' + 'c3'.repeat(20)];
+const SIGNERS = ADDRESSES.map(address => ({ address }));
+
+describe('walletManifest', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zenchain-manifest-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    // Write a manifest file and return a config pointing at it
+    const writeManifest = (name, content) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, content);
+        return { wallets: { manifest: file } };
+    };
+
+    it('runs every wallet unlabeled when there is no manifest', async () => {
+        const manifest = await loadManifest({ wallets: { manifest: path.join(dir, 'missing.json') } });
+        assert.strictEqual(manifest, null);
+
+        const { wallets, unmatched } = resolveWallets(SIGNERS, manifest);
+        assert.deepStrictEqual(wallets.map(wallet => [wallet.walletNum, wallet.label, wallet.operations]), [[1, null, null], [2, null, null], [3, null, null]]);
+        assert.strictEqual(unmatched.length, 0);
+    });
+
+    it('matches JSON entries by wallet number, address and keystore file', async () => {
+        const config = writeManifest('wallets.json', JSON.stringify([
+            { wallet: 1, label: 'deployer', tags: ['erc20', 'nft'], operations: ['erc20', 'nft'] },
+            { address: ADDRESSES[2].toUpperCase().replace('0X', '0x'), label: 'minter', tags: ['nft'] },
+            { keystore: `wallet-002-${ADDRESSES[1]}.json`, label: 'spare' },
+            { wallet: 9, label: 'gone' }
+        ]));
+
+        const { wallets, unmatched } = resolveWallets(SIGNERS, await loadManifest(config));
+
+        assert.deepStrictEqual(wallets.map(wallet => wallet.label), ['deployer', 'spare', 'minter']);
+        assert.deepStrictEqual(wallets[0].operations, ['erc20', 'nft']);
+        assert.strictEqual(wallets[2].operations, null);
+        assert.deepStrictEqual(unmatched.map(entry => entry.label), ['gone']);
+    });
+
+    it('reads CSV manifests with ";" separated lists', async () => {
+        const config = writeManifest('wallets.csv', [
+            'wallet,address,keystore,label,tags,operations',
+            '1,,,deployer,erc20;nft,erc20;nft',
+            `,${ADDRESSES[1]},,faucet-only,faucet,faucet`
+        ].join('\n'));
+
+        const { wallets } = resolveWallets(SIGNERS, await loadManifest(config));
+
+        assert.deepStrictEqual(wallets[0].tags, ['erc20', 'nft']);
+        assert.strictEqual(wallets[1].label, 'faucet-only');
+        assert.deepStrictEqual(wallets[1].operations, ['faucet']);
+    });
+
+    it('rejects entries that cannot be matched to a wallet', async () => {
+        await assert.rejects(loadManifest(writeManifest('bad.json', '[{ "label": "nowhere" }]')), /needs a "wallet" number/);
+        await assert.rejects(loadManifest(writeManifest('bad-keystore.json', '[{ "keystore": "key.json" }]')), /not a keystore file name/);
+    });
+
+    it('selects wallets by number, label and tag', () => {
+        const { wallets } = resolveWallets(SIGNERS, [
+            { walletNum: 1, address: null, label: 'deployer', tags: ['erc20', 'nft'], operations: null },
+            { walletNum: 2, address: null, label: 'minter', tags: ['nft'], operations: null }
+        ]);
+
+        assert.deepStrictEqual(selectWallets(wallets, { wallet: '3' }).map(wallet => wallet.walletNum), [3]);
+        assert.deepStrictEqual(selectWallets(wallets, { wallet: '1,3' }).map(wallet => wallet.walletNum), [1, 3]);
+        assert.deepStrictEqual(selectWallets(wallets, { label: 'Deployer' }).map(wallet => wallet.walletNum), [1]);
+        assert.deepStrictEqual(selectWallets(wallets, { tag: 'nft' }).map(wallet => wallet.walletNum), [1, 2]);
+        assert.deepStrictEqual(selectWallets(wallets, { tag: 'nft', wallet: '2' }).map(wallet => wallet.walletNum), [2]);
+        assert.throws(() => selectWallets(wallets, { wallet: 'first' }), /Invalid --wallet/);
+    });
+
+    it('shows labels in log prefixes', () => {
+        setWalletLabel(7, 'deployer');
+        assert.match(getTimestamp(7), /^\[\d{2}:\d{2}:\d{2} - Wallet 7 \(deployer\)\]$/);
+
+        setWalletLabel(7, null);
+        assert.match(getTimestamp(7), /^\[\d{2}:\d{2}:\d{2} - Wallet 7\]$/);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,88 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert');
+const { getWorkerSettings, runWorkerPool } = require('../utils/workerPool');
+const { installWalletOutput, runWithWalletOutput } = require('../utils/walletOutput');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('workerPool', () => {
+    it('runs every item with at most the given number of handlers at once', async () => {
+        let active = 0;
+        let maxActive = 0;
+        const started = [];
+
+        await runWorkerPool([1, 2, 3, 4, 5], 2, async item => {
+            started.push(item);
+            active++;
+            maxActive = Math.max(maxActive, active);
+            await tick();
+            active--;
+        });
+
+        assert.deepStrictEqual(started, [1, 2, 3, 4, 5]);
+        assert.strictEqual(maxActive, 2);
+    });
+
+    it('starts no new items after a handler throws, then rethrows', async () => {
+        const finished = [];
+
+        await assert.rejects(runWorkerPool([1, 2, 3, 4], 2, async item => {
+            await tick();
+            if (item === 1) {
+                throw new Error('wallet 1 failed');
+            }
+            finished.push(item);
+        }), /wallet 1 failed/);
+
+        assert.deepStrictEqual(finished, [2]);
+    });
+
+    it('validates the workers settings', () => {
+        assert.deepStrictEqual(getWorkerSettings({}), { concurrency: 1, output: 'prefix' });
+        assert.deepStrictEqual(getWorkerSettings({ workers: { concurrency: 4, output: 'buffer' } }), { concurrency: 4, output: 'buffer' });
+        assert.throws(() => getWorkerSettings({ workers: { concurrency: 0 } }), /at least 1/);
+        assert.throws(() => getWorkerSettings({ workers: { output: 'spinner' } }), /Invalid workers\.output/);
+    });
+});
+
+describe('walletOutput', () => {
+    // Stands in for stdout, which the test runner reports through
+    const chunks = [];
+    const stream = { write: chunk => chunks.push(chunk) };
+
+    before(() => {
+        installWalletOutput([stream]);
+    });
+
+    // Two wallets logging in turns, interleaved through the event loop
+    const logInTurns = async mode => {
+        chunks.length = 0;
+        await Promise.all([1, 2].map(walletNum => runWithWalletOutput(walletNum, mode, async () => {
+            for (const step of ['start', 'end']) {
+                stream.write(`[12:00:00] ${step}\n`);
+                stream.write(`- spinner ${step}\n`);
+                await tick();
+            }
+        })));
+        return chunks.join('');
+    };
+
+    it('prefixes every line with its wallet', async () => {
+        const lines = (await logInTurns('prefix')).trim().split('\n');
+
+        assert.strictEqual(lines.length, 8);
+        assert.match(lines[0], /^\[\d{2}:\d{2}:\d{2} - Wallet 1\] start$/);
+        assert.match(lines[1], /^\[\d{2}:\d{2}:\d{2} - Wallet 1\] - spinner start$/);
+        assert.match(lines[2], /^\[\d{2}:\d{2}:\d{2} - Wallet 2\] start$/);
+    });
+
+    it('prints buffered wallets in one piece', async () => {
+        const output = await logInTurns('buffer');
+
+        assert.strictEqual(output, [1, 2].map(() => '[12:00:00] start\n- spinner start\n[12:00:00] end\n- spinner end\n').join(''));
+    });
+
+    it('leaves output alone outside a wallet', async () => {
+        assert.strictEqual(await logInTurns(null), '[12:00:00] start\n- spinner start\n'.repeat(2) + '[12:00:00] end\n- spinner end\n'.repeat(2));
+    });
+});
\ No newline at end of file
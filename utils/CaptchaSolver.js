@@ -1,10 +1,12 @@
 const axios = require('axios');
 const chalk = require('chalk');
 const { getTimestamp } = require('./delayUtils');
+const { registerSecret } = require('./redact');
 
 class CaptchaSolver {
     constructor(apiKey, walletNum = null) {
         this.apiKey = apiKey;
+        registerSecret(apiKey);
         this.walletNum = walletNum;
         this.baseURL = 'https://api.capsolver.com';
     }
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const constants = require('./constants');
+const { redact } = require('./redact');
+
+// One progress tracker per file, shared by index.js and every transaction manager
+const trackers = new Map();
+
+/**
+ * Persists how far the current cycle got so an interrupted run can resume.
+ * For every wallet it stores the operation order, the operations already completed
+ * and, per operation, each transaction step with the hashes it was sent with.
+ */
+class CycleProgress {
+    /**
+     * @param {string} filePath - Path of the JSON progress file
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+
+        // Null until a cycle is started or resumed
+        this.state = null;
+
+        // Identifies this process, so steps saved by an interrupted run can be told apart
+        this.runId = crypto.randomUUID();
+    }
+
+    /**
+     * Get the progress tracker configured in config.json, or null if resuming is disabled.
+     * Dry runs never persist progress since nothing is sent.
+     * @param {Object} config - Root configuration object
+     * @returns {CycleProgress|null}
+     */
+    static fromConfig(config = {}) {
+        const progressConfig = config.progress || {};
+        if (progressConfig.enabled === false || config.dry_run) {
+            return null;
+        }
+
+        const filePath = path.resolve(progressConfig.file || constants.PROGRESS.FILE);
+        if (!trackers.has(filePath)) {
+            trackers.set(filePath, new CycleProgress(filePath));
+        }
+        return trackers.get(filePath);
+    }
+
+    // Whether a cycle is currently being tracked
+    isActive() {
+        return this.state !== null;
+    }
+
+    /**
+     * Resume the unfinished cycle left in the progress file, or start a new one
+     * @returns {boolean} - True if an interrupted cycle was resumed
+     */
+    resumeOrStart() {
+        if (fs.existsSync(this.filePath)) {
+            try {
+                this.state = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                if (this.state && this.state.wallets) {
+                    return true;
+                }
+            } catch (error) {
+                // A corrupt file is treated like no file at all
+            }
+        }
+
+        this.state = {
+            startedAt: new Date().toISOString(),
+            wallets: {}
+        };
+        this.save();
+        return false;
+    }
+
+    // The unfinished cycle in the progress file, read without resuming it; null if there is none
+    readSaved() {
+        try {
+            const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return saved && saved.wallets ? saved : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Cycle finished: forget the progress so the next cycle starts from scratch
+    finishCycle() {
+        this.state = null;
+        if (fs.existsSync(this.filePath)) {
+            fs.unlinkSync(this.filePath);
+        }
+    }
+
+    // Write the state atomically so a crash mid-write never corrupts it
+    save() {
+        if (!this.state) {
+            return;
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, redact(JSON.stringify(this.state, null, 2)));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    /**
+     * Get the progress record of a wallet. A record saved for a different address
+     * (e.g. pk.txt was edited between runs) is discarded.
+     * @param {number} walletNum - Wallet number
+     * @param {string} address - Wallet address
+     * @returns {Object|null} - Wallet record, or null when no cycle is active
+     */
+    getWallet(walletNum, address) {
+        if (!this.state) {
+            return null;
+        }
+
+        const key = String(walletNum);
+        const existing = this.state.wallets[key];
+
+        if (!existing || existing.address.toLowerCase() !== address.toLowerCase()) {
+            this.state.wallets[key] = {
+                address: address,
+                operations: null,
+                completedOperations: [],
+                completed: false,
+                steps: {}
+            };
+        }
+
+        return this.state.wallets[key];
+    }
+
+    // Operation order saved for the wallet, or null if it has not started yet
+    getWalletOperations(walletNum, address) {
+        const wallet = this.getWallet(walletNum, address);
+        return wallet ? wallet.operations : null;
+    }
+
+    setWalletOperations(walletNum, address, operationNames) {
+        const wallet = this.getWallet(walletNum, address);
+        if (wallet) {
+            wallet.operations = operationNames;
+            this.save();
+        }
+    }
+
+    isWalletComplete(walletNum, address) {
+        const wallet = this.getWallet(walletNum, address);
+        return Boolean(wallet && wallet.completed);
+    }
+
+    completeWallet(walletNum, address) {
+        const wallet = this.getWallet(walletNum, address);
+        if (wallet) {
+            wallet.completed = true;
+            this.save();
+        }
+    }
+
+    /**
+     * Whether every one of the given wallets completed the cycle
+     * @param {Object[]} wallets - { walletNum, address } of every configured wallet
+     * @returns {boolean}
+     */
+    isCycleComplete(wallets) {
+        return wallets.every(wallet => this.isWalletComplete(wallet.walletNum, wallet.address));
+    }
+
+    isOperationComplete(walletNum, address, operation) {
+        const wallet = this.getWallet(walletNum, address);
+        return Boolean(wallet && wallet.completedOperations.includes(operation));
+    }
+
+    completeOperation(walletNum, address, operation) {
+        const wallet = this.getWallet(walletNum, address);
+        if (wallet && !wallet.completedOperations.includes(operation)) {
+            wallet.completedOperations.push(operation);
+            // Steps of a completed operation are never looked at again
+            delete wallet.steps[operation];
+            this.save();
+        }
+    }
+
+    /**
+     * Get a transaction step saved by an interrupted run
+     * @param {number} walletNum - Wallet number
+     * @param {string} address - Wallet address
+     * @param {string} operation - Operation name
+     * @param {number} index - Position of the transaction within the operation
+     * @returns {Object|null} - { label, to, dataHash, nonce, hashes, status }
+     */
+    getStep(walletNum, address, operation, index) {
+        const wallet = this.getWallet(walletNum, address);
+        if (!wallet || !wallet.steps[operation]) {
+            return null;
+        }
+        return wallet.steps[operation][index] || null;
+    }
+
+    /**
+     * Save or update a transaction step
+     * @param {number} walletNum - Wallet number
+     * @param {string} address - Wallet address
+     * @param {string} operation - Operation name
+     * @param {number} index - Position of the transaction within the operation
+     * @param {Object} step - Fields to store (label, to, dataHash, nonce, hashes, status)
+     */
+    saveStep(walletNum, address, operation, index, step) {
+        const wallet = this.getWallet(walletNum, address);
+        if (!wallet) {
+            return;
+        }
+
+        wallet.steps[operation] = wallet.steps[operation] || {};
+        wallet.steps[operation][index] = { ...(wallet.steps[operation][index] || {}), ...step };
+        this.save();
+    }
+}
+
+module.exports = CycleProgress;
\ No newline at end of file
@@ -0,0 +1,297 @@
+const fs = require('fs');
+const path = require('path');
+const { utils } = require('web3');
+const constants = require('./constants');
+const { getActiveNetwork } = require('./network');
+const { redact } = require('./redact');
+
+const REPORT_FORMATS = ['json', 'markdown', 'html'];
+
+const FILE_EXTENSIONS = {
+    json: 'json',
+    markdown: 'md',
+    html: 'html'
+};
+
+// Share of operations that succeeded among the ones that ran; null if none ran
+function getSuccessRate({ succeeded, failed }) {
+    return succeeded + failed > 0 ? succeeded / (succeeded + failed) : null;
+}
+
+function formatRate(rate) {
+    return rate === null ? '-' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatCost(wei) {
+    return `${utils.fromWei(BigInt(wei), 'ether')} ${getActiveNetwork().currency}`;
+}
+
+function formatDuration(ms) {
+    return `${(ms / 1000).toFixed(1)}s`;
+}
+
+// Running totals for a group of operation results
+function createTotals() {
+    return { operations: 0, succeeded: 0, failed: 0, skipped: 0, transactions: 0, gasUsed: BigInt(0), cost: BigInt(0), durationMs: 0 };
+}
+
+function addToTotals(totals, result) {
+    totals.operations++;
+    totals[result.status]++;
+    totals.transactions += result.transactions.length;
+    totals.gasUsed += result.gasUsed;
+    totals.cost += result.cost;
+    totals.durationMs += result.durationMs;
+}
+
+// Totals with BigInts turned into strings, so the report is plain JSON
+function finishTotals(totals) {
+    return { ...totals, gasUsed: totals.gasUsed.toString(), cost: totals.cost.toString(), successRate: getSuccessRate(totals) };
+}
+
+function escapeMarkdown(value) {
+    return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Rows shared by the Markdown and HTML tables: [header cells, ...row cells]
+function getWalletRows(report) {
+    return [
+        ['Wallet', 'Address', 'Operations', 'Succeeded', 'Failed', 'Skipped', 'Success rate', 'Transactions', 'Gas used', 'Cost'],
+        ...report.wallets.map(wallet => [
+            wallet.label ? `${wallet.walletNum} (${wallet.label})` : wallet.walletNum, wallet.address, wallet.operations,
+            wallet.succeeded, wallet.failed, wallet.skipped, formatRate(wallet.successRate), wallet.transactions, wallet.gasUsed, formatCost(wallet.cost)
+        ])
+    ];
+}
+
+function getOperationRows(report) {
+    return [
+        ['Operation', 'Runs', 'Succeeded', 'Failed', 'Skipped', 'Success rate', 'Transactions', 'Gas used', 'Cost', 'Average duration'],
+        ...report.operations.map(operation => [
+            operation.operation, operation.operations, operation.succeeded, operation.failed, operation.skipped,
+            formatRate(operation.successRate), operation.transactions, operation.gasUsed, formatCost(operation.cost),
+            formatDuration(operation.durationMs / operation.operations)
+        ])
+    ];
+}
+
+function getTransactionRows(result) {
+    return [
+        ['Transaction', 'Status', 'Hash', 'Gas used', 'Cost', 'Contract'],
+        ...result.transactions.map(tx => [
+            tx.label, tx.status, tx.hash || '-', tx.gasUsed ?? '-', tx.cost === null ? '-' : formatCost(tx.cost), tx.contractAddress || '-'
+        ])
+    ];
+}
+
+function getSummaryLines(report) {
+    const { totals, network } = report;
+    return [
+        `Started: ${report.startedAt}`,
+        `Finished: ${report.finishedAt}`,
+        `Network: ${network.name} (chain ${network.chainId})`,
+        `Operations: ${totals.operations} (${totals.succeeded} succeeded, ${totals.failed} failed, ${totals.skipped} skipped), success rate ${formatRate(totals.successRate)}`,
+        `Transactions: ${totals.transactions}, gas used ${totals.gasUsed}, cost ${formatCost(totals.cost)}`,
+        ...(report.interrupted ? ['Interrupted before every operation ran'] : [])
+    ];
+}
+
+function getResultTitle(result) {
+    return `Wallet ${result.walletNum}: ${result.operation} (${result.status}, ${formatDuration(result.durationMs)})`;
+}
+
+function toMarkdown(report) {
+    const table = rows => [
+        `| ${rows[0].map(escapeMarkdown).join(' | ')} |`,
+        `| ${rows[0].map(() => '---').join(' | ')} |`,
+        ...rows.slice(1).map(row => `| ${row.map(escapeMarkdown).join(' | ')} |`)
+    ].join('\n');
+
+    const sections = [
+        '# Cycle report',
+        getSummaryLines(report).map(line => `- ${line}`).join('\n'),
+        '## Wallets',
+        table(getWalletRows(report)),
+        '## Operations',
+        table(getOperationRows(report)),
+        '## Details'
+    ];
+
+    for (const result of report.results) {
+        sections.push(`### ${getResultTitle(result)}`);
+        if (result.transactions.length > 0) {
+            sections.push(table(getTransactionRows(result)));
+        }
+        if (result.errors.length > 0) {
+            sections.push(['Errors:', ...result.errors.map(error => `- ${escapeMarkdown(error)}`)].join('\n'));
+        }
+    }
+
+    return sections.join('\n\n') + '\n';
+}
+
+function toHtml(report) {
+    const table = rows => [
+        '<table>',
+        `<tr>${rows[0].map(cell => `<th>${escapeHtml(cell)}</th>`).join('')}</tr>`,
+        ...rows.slice(1).map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`),
+        '</table>'
+    ].join('\n');
+
+    const body = [
+        '<h1>Cycle report</h1>',
+        `<ul>${getSummaryLines(report).map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`,
+        '<h2>Wallets</h2>',
+        table(getWalletRows(report)),
+        '<h2>Operations</h2>',
+        table(getOperationRows(report)),
+        '<h2>Details</h2>'
+    ];
+
+    for (const result of report.results) {
+        body.push(`<h3 class="${escapeHtml(result.status)}">${escapeHtml(getResultTitle(result))}</h3>`);
+        if (result.transactions.length > 0) {
+            body.push(table(getTransactionRows(result)));
+        }
+        if (result.errors.length > 0) {
+            body.push(`<ul class="errors">${result.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}</ul>`);
+        }
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Cycle report ${escapeHtml(report.startedAt)}</title>
+<style>
+body { font-family: sans-serif; margin: 2em; }
+table { border-collapse: collapse; margin-bottom: 1em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 0.9em; }
+.succeeded { color: #2e7d32; }
+.failed, .errors { color: #c62828; }
+.skipped { color: #757575; }
+</style>
+</head>
+<body>
+${body.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Summary of one cycle, written to a file when the cycle ends: totals, success rates per wallet
+ * and per operation, and every operation's transactions, deployed contracts and errors
+ */
+class CycleReport {
+    /**
+     * @param {Object} settings
+     * @param {string} settings.format - "json", "markdown" or "html"
+     * @param {string} settings.directory - Directory the report files are written to
+     */
+    constructor({ format = constants.REPORT.FORMAT, directory = constants.REPORT.DIRECTORY } = {}) {
+        if (!REPORT_FORMATS.includes(format)) {
+            throw new Error(`Invalid report.format "${format}", expected one of ${REPORT_FORMATS.join(', ')}`);
+        }
+        this.format = format;
+        this.directory = path.resolve(directory);
+    }
+
+    /**
+     * Get the report writer configured in config.json, or null if reports are disabled.
+     * Dry runs never write a report since nothing is sent.
+     * @param {Object} config - Root configuration object
+     * @returns {CycleReport|null}
+     */
+    static fromConfig(config = {}) {
+        const reportConfig = config.report || {};
+        if (reportConfig.enabled === false || config.dry_run) {
+            return null;
+        }
+        return new CycleReport({
+            format: reportConfig.format || constants.REPORT.FORMAT,
+            directory: reportConfig.directory || constants.REPORT.DIRECTORY
+        });
+    }
+
+    /**
+     * Aggregate operation results into a report
+     * @param {Object[]} results - Operation results from collectOperationResult, in the order they ran
+     * @param {Object} cycle - { startedAt, finishedAt, interrupted }
+     * @returns {Object} - { startedAt, finishedAt, interrupted, network, totals, wallets, operations, results }
+     */
+    static build(results, { startedAt, finishedAt = new Date(), interrupted = false }) {
+        const totals = createTotals();
+        const wallets = new Map();
+        const operations = new Map();
+
+        for (const result of results) {
+            addToTotals(totals, result);
+
+            if (!wallets.has(result.walletNum)) {
+                wallets.set(result.walletNum, { walletNum: result.walletNum, address: result.address, label: result.walletLabel, ...createTotals() });
+            }
+            addToTotals(wallets.get(result.walletNum), result);
+
+            if (!operations.has(result.operation)) {
+                operations.set(result.operation, { operation: result.operation, ...createTotals() });
+            }
+            addToTotals(operations.get(result.operation), result);
+        }
+
+        const network = getActiveNetwork();
+        return {
+            startedAt: new Date(startedAt).toISOString(),
+            finishedAt: new Date(finishedAt).toISOString(),
+            interrupted,
+            network: { name: network.displayName || network.name, chainId: network.chainId, currency: network.currency },
+            totals: finishTotals(totals),
+            wallets: [...wallets.values()].sort((a, b) => a.walletNum - b.walletNum).map(finishTotals),
+            operations: [...operations.values()].map(finishTotals),
+            results: results.map(result => ({
+                ...result,
+                gasUsed: result.gasUsed.toString(),
+                cost: result.cost.toString(),
+                transactions: result.transactions.map(tx => ({
+                    ...tx,
+                    gasUsed: tx.gasUsed === null ? null : tx.gasUsed.toString(),
+                    cost: tx.cost === null ? null : tx.cost.toString()
+                }))
+            }))
+        };
+    }
+
+    /**
+     * Render a report in this writer's format
+     * @param {Object} report - Report from CycleReport.build
+     * @returns {string}
+     */
+    render(report) {
+        if (this.format === 'markdown') {
+            return toMarkdown(report);
+        }
+        if (this.format === 'html') {
+            return toHtml(report);
+        }
+        return JSON.stringify(report, null, 2) + '\n';
+    }
+
+    /**
+     * Write a report to its own file, named after the start of the cycle
+     * @param {Object} report - Report from CycleReport.build
+     * @returns {string} - Path of the written file
+     */
+    write(report) {
+        const name = `cycle-${report.startedAt.replace(/[:.]/g, '-')}.${FILE_EXTENSIONS[this.format]}`;
+        const filePath = path.join(this.directory, name);
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(filePath, redact(this.render(report)));
+        return filePath;
+    }
+}
+
+module.exports = CycleReport;
\ No newline at end of file
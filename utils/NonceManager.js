@@ -0,0 +1,159 @@
+const chalk = require('chalk');
+const { getTimestamp } = require('./delayUtils');
+
+// One nonce manager per Web3 instance and wallet address. index.js hands every manager
+// of a wallet the same Web3 instance, so they all share one nonce manager.
+const registry = new WeakMap();
+
+/**
+ * Hands out nonces for a single wallet and keeps them in line with the network.
+ * Every reservation is reconciled against the pending pool so nonces used elsewhere
+ * are skipped, gaps left by transactions that never reached the network are filled,
+ * and nonces of failed sends are rolled back for reuse.
+ */
+class NonceManager {
+    /**
+     * @param {Object} web3 - Web3 instance connected to the network
+     * @param {string} address - Wallet address
+     */
+    constructor(web3, address) {
+        this.web3 = web3;
+        this.address = address;
+        this.walletNum = null;
+
+        // Next nonce that has never been handed out, null until first synced
+        this.nextNonce = null;
+
+        // Nonces handed out and broadcast (or about to be) but not yet mined
+        this.inFlight = new Set();
+
+        // Nonces below nextNonce that are free again and must be used first
+        this.released = new Set();
+
+        // Serializes reservations so concurrent senders never share a nonce
+        this.lock = Promise.resolve();
+    }
+
+    /**
+     * Get the shared nonce manager for an address on a Web3 instance, creating it on first use
+     * @param {Object} web3 - Web3 instance connected to the network
+     * @param {string} address - Wallet address
+     * @returns {NonceManager}
+     */
+    static forAddress(web3, address) {
+        if (!registry.has(web3)) {
+            registry.set(web3, new Map());
+        }
+        const managers = registry.get(web3);
+
+        const key = address.toLowerCase();
+        if (!managers.has(key)) {
+            managers.set(key, new NonceManager(web3, address));
+        }
+        return managers.get(key);
+    }
+
+    setWalletNum(num) {
+        this.walletNum = num;
+    }
+
+    /**
+     * Compare local state with the network and repair it.
+     * - Nonces already mined are dropped from local bookkeeping
+     * - Nonces used by transactions sent from elsewhere are skipped
+     * - Nonces between the pool and our next nonce that nothing occupies are marked as gaps
+     */
+    async reconcile() {
+        const minedNonce = Number(await this.web3.eth.getTransactionCount(this.address, 'latest'));
+        const pendingNonce = Number(await this.web3.eth.getTransactionCount(this.address, 'pending'));
+
+        for (const nonce of this.inFlight) {
+            if (nonce < minedNonce) {
+                this.inFlight.delete(nonce);
+            }
+        }
+
+        // A released nonce below the pool's next nonce has been taken by someone else
+        for (const nonce of this.released) {
+            if (nonce < pendingNonce) {
+                this.released.delete(nonce);
+            }
+        }
+
+        if (this.nextNonce === null) {
+            this.nextNonce = pendingNonce;
+            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Initial nonce from network: ${this.nextNonce}`));
+            return;
+        }
+
+        if (pendingNonce > this.nextNonce) {
+            const usedRange = pendingNonce - 1 > this.nextNonce ? `${this.nextNonce}-${pendingNonce - 1}` : `${this.nextNonce}`;
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Nonce ${usedRange} already used by other transactions, skipping to ${pendingNonce}`));
+            this.nextNonce = pendingNonce;
+            return;
+        }
+
+        for (let nonce = pendingNonce; nonce < this.nextNonce; nonce++) {
+            if (!this.inFlight.has(nonce) && !this.released.has(nonce)) {
+                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Nonce gap detected at ${nonce}, it will be reused`));
+                this.released.add(nonce);
+            }
+        }
+    }
+
+    /**
+     * Reserve the next nonce to send with
+     * @returns {Promise<number>} - Nonce that nothing else will be given until it is released
+     */
+    async reserve() {
+        const reservation = this.lock.then(async () => {
+            await this.reconcile();
+
+            let nonce;
+            if (this.released.size > 0) {
+                nonce = Math.min(...this.released);
+                this.released.delete(nonce);
+                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Reusing nonce: ${nonce}`));
+            } else {
+                nonce = this.nextNonce;
+                this.nextNonce++;
+                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Using nonce: ${nonce}`));
+            }
+
+            this.inFlight.add(nonce);
+            return nonce;
+        });
+
+        // Keep the queue alive even if this reservation fails
+        this.lock = reservation.catch(() => {});
+        return reservation;
+    }
+
+    /**
+     * Roll back a nonce whose transaction never reached the network or was not needed
+     * @param {number} nonce - Nonce returned by reserve()
+     */
+    release(nonce) {
+        nonce = Number(nonce);
+        if (!this.inFlight.delete(nonce)) {
+            return;
+        }
+
+        if (nonce === this.nextNonce - 1) {
+            this.nextNonce--;
+        } else {
+            this.released.add(nonce);
+        }
+        console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Released unused nonce ${nonce}`));
+    }
+
+    /**
+     * Mark a nonce as consumed on-chain
+     * @param {number} nonce - Nonce of a mined transaction
+     */
+    confirm(nonce) {
+        this.inFlight.delete(Number(nonce));
+    }
+}
+
+module.exports = NonceManager;
\ No newline at end of file
@@ -0,0 +1,253 @@
+const chalk = require('chalk');
+const { HttpProvider, Web3 } = require('web3');
+const constants = require('./constants');
+const { getActiveNetwork } = require('./network');
+const { getTimestamp } = require('./delayUtils');
+
+// One pool per list of endpoints, shared by every manager in the process
+const pools = new Map();
+
+// Key used for requests that are not tied to a wallet
+const SHARED_KEY = 'shared';
+
+/**
+ * EIP-1193 provider handed to Web3. Every request goes through the pool,
+ * which sends it to the endpoint the wallet is pinned to and fails over when it errors.
+ */
+class FailoverProvider {
+    /**
+     * @param {RpcPool} pool - Pool the requests are sent through
+     * @param {string} walletKey - Wallet the provider is pinned for
+     */
+    constructor(pool, walletKey) {
+        this.pool = pool;
+        this.walletKey = walletKey;
+    }
+
+    async request(payload) {
+        return await this.pool.request(this.walletKey, payload);
+    }
+}
+
+/**
+ * Pool of RPC endpoints with periodic health probes (block height, latency, chainId).
+ * Each wallet sticks to one endpoint so its nonce and pending pool view stays consistent,
+ * and only moves to another endpoint when its own one errors, lags or goes down.
+ */
+class RpcPool {
+    /**
+     * @param {string[]} urls - RPC endpoints in order of preference
+     * @param {Object} settings - Health check settings (see fromConfig)
+     */
+    constructor(urls, settings) {
+        this.settings = settings;
+        this.endpoints = urls.map(url => ({
+            url: url,
+            provider: new HttpProvider(url),
+            healthy: true,
+            blockNumber: null,
+            latencyMs: null,
+            chainId: null,
+            lastError: null
+        }));
+
+        // Wallet key -> endpoint the wallet is pinned to
+        this.assignments = new Map();
+
+        this.requestId = 0;
+        this.healthCheck = null;
+        this.timer = null;
+    }
+
+    /**
+     * Get the pool for the active network's endpoints, with the health check settings under "rpc" in config.json
+     * @param {Object} config - Root configuration object
+     * @returns {RpcPool}
+     */
+    static fromConfig(config = {}) {
+        const rpcConfig = config.rpc || {};
+        const urls = getActiveNetwork().rpcUrls;
+
+        const key = urls.join(',');
+        if (!pools.has(key)) {
+            pools.set(key, new RpcPool(urls, {
+                intervalMs: (rpcConfig.health_check_interval_seconds || constants.RPC.HEALTH_CHECK_INTERVAL_SECONDS) * 1000,
+                timeoutMs: (rpcConfig.request_timeout_seconds || constants.RPC.REQUEST_TIMEOUT_SECONDS) * 1000,
+                maxBlockLag: rpcConfig.max_block_lag ?? constants.RPC.MAX_BLOCK_LAG,
+                maxLatencyMs: rpcConfig.max_latency_ms || constants.RPC.MAX_LATENCY_MS
+            }));
+        }
+        return pools.get(key);
+    }
+
+    /**
+     * Create a Web3 instance whose requests go through the pool
+     * @param {Object} config - Root configuration object
+     * @param {string} [walletAddress] - Wallet to pin an endpoint for; omit for reads not tied to a wallet
+     * @returns {Object} - Web3 instance
+     */
+    static createWeb3(config, walletAddress = null) {
+        return new Web3(RpcPool.fromConfig(config).getProvider(walletAddress));
+    }
+
+    // Provider for a wallet, usable with new Web3(...)
+    getProvider(walletAddress = null) {
+        return new FailoverProvider(this, walletAddress ? walletAddress.toLowerCase() : SHARED_KEY);
+    }
+
+    // Send one JSON-RPC payload to an endpoint, giving up after the request timeout
+    async send(endpoint, payload) {
+        return await endpoint.provider.request(payload, { signal: AbortSignal.timeout(this.settings.timeoutMs) });
+    }
+
+    // Call a method for health probing, returning its result
+    async call(endpoint, method) {
+        const response = await this.send(endpoint, { jsonrpc: '2.0', id: ++this.requestId, method: method, params: [] });
+        if (response.error) {
+            throw new Error(response.error.message);
+        }
+        return response.result;
+    }
+
+    // Measure block height, latency and chainId of one endpoint
+    async probe(endpoint) {
+        const startedAt = Date.now();
+        try {
+            const blockNumber = Number(await this.call(endpoint, 'eth_blockNumber'));
+            endpoint.latencyMs = Date.now() - startedAt;
+            endpoint.blockNumber = blockNumber;
+            endpoint.chainId = Number(await this.call(endpoint, 'eth_chainId'));
+            endpoint.lastError = null;
+        } catch (error) {
+            endpoint.latencyMs = null;
+            endpoint.lastError = error.message;
+        }
+    }
+
+    // Why an endpoint should not be used, or null if it is healthy
+    getProblem(endpoint, highestBlock) {
+        if (endpoint.lastError) {
+            return endpoint.lastError;
+        }
+        if (endpoint.chainId !== getActiveNetwork().chainId) {
+            return `wrong chainId ${endpoint.chainId}, expected ${getActiveNetwork().chainId}`;
+        }
+        if (highestBlock - endpoint.blockNumber > this.settings.maxBlockLag) {
+            return `${highestBlock - endpoint.blockNumber} blocks behind`;
+        }
+        if (endpoint.latencyMs > this.settings.maxLatencyMs) {
+            return `latency ${endpoint.latencyMs}ms`;
+        }
+        return null;
+    }
+
+    // Probe every endpoint and update which ones are healthy
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(endpoint => this.probe(endpoint)));
+
+        const highestBlock = Math.max(0, ...this.endpoints.filter(endpoint => !endpoint.lastError).map(endpoint => endpoint.blockNumber));
+
+        for (const endpoint of this.endpoints) {
+            const problem = this.getProblem(endpoint, highestBlock);
+            if (problem && endpoint.healthy) {
+                console.log(chalk.yellow(`${getTimestamp()} ⚠ RPC ${endpoint.url} is unhealthy: ${problem}`));
+            } else if (!problem && !endpoint.healthy) {
+                console.log(chalk.green(`${getTimestamp()} ✓ RPC ${endpoint.url} is healthy again (block ${endpoint.blockNumber}, ${endpoint.latencyMs}ms)`));
+            }
+            endpoint.healthy = !problem;
+        }
+    }
+
+    // Run the first health check and schedule the periodic ones
+    async ensureStarted() {
+        if (!this.healthCheck) {
+            this.healthCheck = this.checkHealth();
+
+            // Periodic probes must not keep the process alive on their own
+            this.timer = setInterval(() => {
+                this.checkHealth().catch(() => {});
+            }, this.settings.intervalMs);
+            this.timer.unref();
+        }
+        await this.healthCheck;
+    }
+
+    // Stop the periodic health checks
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Get the endpoint a wallet is pinned to, moving it to another endpoint if its one is unhealthy.
+     * New wallets go to the healthy endpoint with the fewest wallets, then the lowest latency.
+     * @param {string} walletKey - Lowercase wallet address or the shared key
+     * @returns {Object} - Endpoint
+     */
+    getEndpoint(walletKey) {
+        const current = this.assignments.get(walletKey);
+        if (current && current.healthy) {
+            return current;
+        }
+
+        const healthy = this.endpoints.filter(endpoint => endpoint.healthy);
+        if (healthy.length === 0) {
+            // Nothing is healthy; stay put and let the request surface the error
+            return current || this.endpoints[0];
+        }
+
+        const walletCount = endpoint => [...this.assignments.values()].filter(assigned => assigned === endpoint).length;
+        const next = healthy.sort((a, b) => walletCount(a) - walletCount(b) || (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity))[0];
+
+        if (current && walletKey !== SHARED_KEY) {
+            console.log(chalk.yellow(`${getTimestamp()} ⚠ Wallet ${walletKey} failing over from ${current.url} to ${next.url}`));
+        }
+
+        this.assignments.set(walletKey, next);
+        return next;
+    }
+
+    // Take an endpoint out of rotation until the next health check finds it working
+    markFailed(endpoint, error) {
+        if (endpoint.healthy) {
+            console.log(chalk.yellow(`${getTimestamp()} ⚠ RPC ${endpoint.url} failed: ${error.message}`));
+        }
+        endpoint.healthy = false;
+        endpoint.lastError = error.message;
+    }
+
+    /**
+     * Send a JSON-RPC request for a wallet, failing over to other endpoints on network errors.
+     * JSON-RPC errors (reverts, nonce errors, ...) are answers, not failures, and are returned as is.
+     * @param {string} walletKey - Lowercase wallet address or the shared key
+     * @param {Object} payload - JSON-RPC payload built by Web3
+     * @returns {Promise<Object>} - JSON-RPC response
+     */
+    async request(walletKey, payload) {
+        await this.ensureStarted();
+
+        let lastError;
+        for (let attempt = 0; attempt < this.endpoints.length; attempt++) {
+            const endpoint = this.getEndpoint(walletKey);
+            try {
+                const response = await this.send(endpoint, payload);
+
+                // A raw transaction resent after failover may already have reached the network
+                if (attempt > 0 && payload.method === 'eth_sendRawTransaction' && response.error && /already known/i.test(response.error.message)) {
+                    return { jsonrpc: '2.0', id: payload.id, result: Web3.utils.keccak256(payload.params[0]) };
+                }
+
+                return response;
+            } catch (error) {
+                lastError = error;
+                this.markFailed(endpoint, error);
+            }
+        }
+
+        throw lastError;
+    }
+}
+
+module.exports = RpcPool;
\ No newline at end of file
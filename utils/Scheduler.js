@@ -0,0 +1,178 @@
+const chalk = require('chalk');
+const fs = require('fs');
+const path = require('path');
+const constants = require('./constants');
+const { getTimestamp } = require('./delayUtils');
+const { parseCron, getNextCronTime } = require('./cron');
+const { sleep } = require('./shutdown');
+
+const MISSED_RUN_POLICIES = ['run', 'skip'];
+
+// "3h 05m" for a duration in milliseconds
+function formatDuration(ms) {
+    const totalMinutes = Math.max(0, Math.ceil(ms / 60000));
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+// Local date and time for log lines, e.g. 2024-05-01 16:00
+function formatTime(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Decides when "run" starts the next cycle, from a cron expression or a fixed interval.
+ * The last run is persisted so a restarted process keeps to the schedule, and runs
+ * missed while the process was down or busy are caught up or skipped by policy.
+ * Waiting only ever logs whole lines, so it works the same without a terminal.
+ */
+class Scheduler {
+    /**
+     * @param {Object} settings
+     * @param {string|null} settings.cron - Cron expression; when set, the interval is ignored
+     * @param {number} settings.intervalHours - Hours from the end of one cycle to the start of the next
+     * @param {string} settings.missedRuns - "run" or "skip"
+     * @param {number} settings.graceSeconds - How late a run may start and still count as on time
+     * @param {number} settings.logIntervalMinutes - How often to log the time left while waiting
+     * @param {string} settings.stateFile - Path of the JSON file holding the last run
+     */
+    constructor(settings) {
+        if (!MISSED_RUN_POLICIES.includes(settings.missedRuns)) {
+            throw new Error(`Invalid schedule.missed_runs "${settings.missedRuns}", expected ${MISSED_RUN_POLICIES.join(' or ')}`);
+        }
+        if (!settings.cron && !(settings.intervalHours > 0)) {
+            throw new Error('schedule.interval_hours must be a positive number');
+        }
+
+        this.cron = settings.cron ? parseCron(settings.cron) : null;
+        this.description = settings.cron ? `cron "${settings.cron}"` : `every ${settings.intervalHours} hours`;
+        this.intervalMs = settings.intervalHours * 60 * 60 * 1000;
+        this.missedRuns = settings.missedRuns;
+        this.graceMs = settings.graceSeconds * 1000;
+        this.logIntervalMs = settings.logIntervalMinutes * 60 * 1000;
+        this.stateFile = path.resolve(settings.stateFile);
+    }
+
+    /**
+     * Create the scheduler described by "schedule" in config.json, falling back to constants
+     * @param {Object} config - Root configuration object
+     * @returns {Scheduler}
+     */
+    static fromConfig(config = {}) {
+        const scheduleConfig = config.schedule || {};
+        return new Scheduler({
+            cron: scheduleConfig.cron || null,
+            intervalHours: scheduleConfig.interval_hours ?? constants.SCHEDULE.INTERVAL_HOURS,
+            missedRuns: scheduleConfig.missed_runs || constants.SCHEDULE.MISSED_RUNS,
+            graceSeconds: scheduleConfig.grace_seconds ?? constants.SCHEDULE.GRACE_SECONDS,
+            logIntervalMinutes: scheduleConfig.log_interval_minutes || constants.SCHEDULE.LOG_INTERVAL_MINUTES,
+            stateFile: scheduleConfig.state_file || constants.SCHEDULE.STATE_FILE
+        });
+    }
+
+    // Local date and time in the format used by the schedule log lines
+    static formatTime(date) {
+        return formatTime(date);
+    }
+
+    // Last run saved by recordRun, or null if nothing ran yet
+    loadLastRun() {
+        try {
+            const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+            return state && state.startedAt && state.finishedAt ? state : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Remember a finished cycle; the next one is scheduled from it
+     * @param {Date} startedAt - When the cycle started
+     * @param {Date} [finishedAt] - When it finished
+     */
+    recordRun(startedAt, finishedAt = new Date()) {
+        fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+        const tempPath = `${this.stateFile}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ startedAt: startedAt.toISOString(), finishedAt: finishedAt.toISOString() }, null, 2));
+        fs.renameSync(tempPath, this.stateFile);
+    }
+
+    /**
+     * When the run after the given one is due: the first cron match after it started,
+     * or one interval after it finished
+     * @param {Object} lastRun - { startedAt, finishedAt } as ISO strings
+     * @returns {Date}
+     */
+    getRunAfter(lastRun) {
+        if (this.cron) {
+            return getNextCronTime(this.cron, new Date(lastRun.startedAt));
+        }
+        return new Date(new Date(lastRun.finishedAt).getTime() + this.intervalMs);
+    }
+
+    // First scheduled time after now
+    getNextFutureRun(now = new Date()) {
+        return this.cron ? getNextCronTime(this.cron, now) : new Date(now.getTime() + this.intervalMs);
+    }
+
+    /**
+     * Work out when the next cycle starts
+     * @param {Date} [now] - Current time
+     * @returns {Object} - { runAt, missed }; runAt is now when a run is due
+     */
+    getNextRun(now = new Date()) {
+        const lastRun = this.loadLastRun();
+
+        // First run: start right away, unless a cron schedule should only ever run on its slots
+        if (!lastRun) {
+            const waitForSlot = this.cron && this.missedRuns === 'skip';
+            return { runAt: waitForSlot ? this.getNextFutureRun(now) : now, missed: false };
+        }
+
+        // On time, or still waiting for it
+        const dueAt = this.getRunAfter(lastRun);
+        if (now.getTime() - dueAt.getTime() <= this.graceMs) {
+            return { runAt: dueAt.getTime() > now.getTime() ? dueAt : now, missed: false };
+        }
+
+        // The due run is long past
+        return { runAt: this.missedRuns === 'run' ? now : this.getNextFutureRun(now), missed: true };
+    }
+
+    /**
+     * Wait until the next cycle is due, logging the time left now and then
+     * @returns {Promise<boolean>} - True if it had to wait, false if a run was already due.
+     *   Returns early when a shutdown is requested; check isShutdownRequested() before running.
+     */
+    async waitForNextRun() {
+        const { runAt, missed } = this.getNextRun();
+
+        if (missed) {
+            const action = this.missedRuns === 'run' ? 'running it now' : 'skipping it';
+            console.log(chalk.yellow(`${getTimestamp()} ⚠ Missed a scheduled run, ${action}`));
+        }
+
+        let remaining = runAt.getTime() - Date.now();
+        if (remaining <= 0) {
+            return false;
+        }
+
+        console.log(chalk.blue(`${getTimestamp()} Next cycle at ${formatTime(runAt)} (in ${formatDuration(remaining)}, ${this.description})`));
+
+        while (remaining > 0) {
+            if (!(await sleep(Math.min(remaining, this.logIntervalMs)))) {
+                break;
+            }
+            remaining = runAt.getTime() - Date.now();
+            if (remaining > 0) {
+                console.log(chalk.blue(`${getTimestamp()} Next cycle in ${formatDuration(remaining)}`));
+            }
+        }
+
+        return true;
+    }
+}
+
+module.exports = Scheduler;
\ No newline at end of file
@@ -0,0 +1,181 @@
+const { utils } = require('web3');
+const { getActiveNetwork } = require('./network');
+
+// One budget per "budgets" config section, shared by index.js and every transaction manager.
+// Keyed by the section itself so managers holding a shallow copy of the config still share it.
+const budgets = new WeakMap();
+
+// Convert a limit given in native currency to wei, null meaning unlimited
+function toWeiLimit(value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+    return BigInt(utils.toWei(String(value), 'ether'));
+}
+
+// Format a wei amount in native currency for logging
+function formatAmount(wei) {
+    return `${utils.fromWei(wei.toString(), 'ether')} ${getActiveNetwork().currency}`;
+}
+
+/**
+ * Tracks fee spend against the limits configured under "budgets" in config.json.
+ * Only gas fees count: the value a transaction sends (a transfer's amount) is not spent.
+ * Limits apply per cycle, per wallet within the cycle, and per operation type
+ * within a wallet. A transaction reserves its worst-case fee before it is sent
+ * and the reservation is replaced by the real fee once it is mined.
+ */
+class SpendBudget {
+    /**
+     * @param {Object} limits - Limits in wei, null for unlimited
+     * @param {bigint|null} limits.cycle - Spend allowed across all wallets in one cycle
+     * @param {bigint|null} limits.wallet - Spend allowed per wallet in one cycle
+     * @param {Object<string, bigint|null>} limits.operations - Spend allowed per operation of a wallet
+     */
+    constructor(limits) {
+        this.limits = limits;
+
+        this.cycleSpent = BigInt(0);
+        this.walletSpent = new Map();
+        this.operationSpent = new Map();
+        this.exhaustedWallets = new Set();
+        this.cycleExhausted = false;
+    }
+
+    /**
+     * Get the budget configured in config.json, or null if no limits are set.
+     * config.json is reloaded every cycle, so every cycle starts with a fresh budget.
+     * @param {Object} config - Root configuration object
+     * @returns {SpendBudget|null}
+     */
+    static fromConfig(config = {}) {
+        const budgetConfig = config.budgets;
+        if (!budgetConfig || budgetConfig.enabled === false) {
+            return null;
+        }
+
+        if (!budgets.has(budgetConfig)) {
+            const operations = {};
+            for (const [operation, limit] of Object.entries(budgetConfig.per_operation || {})) {
+                operations[operation] = toWeiLimit(limit);
+            }
+
+            const limits = {
+                cycle: toWeiLimit(budgetConfig.per_cycle),
+                wallet: toWeiLimit(budgetConfig.per_wallet),
+                operations: operations
+            };
+
+            const hasLimits = limits.cycle !== null || limits.wallet !== null ||
+                Object.values(operations).some(limit => limit !== null);
+            budgets.set(budgetConfig, hasLimits ? new SpendBudget(limits) : null);
+        }
+
+        return budgets.get(budgetConfig);
+    }
+
+    getWalletSpent(address) {
+        return this.walletSpent.get(address.toLowerCase()) || BigInt(0);
+    }
+
+    getOperationSpent(address, operation) {
+        return this.operationSpent.get(`${address.toLowerCase()}:${operation}`) || BigInt(0);
+    }
+
+    // Add (or with a negative amount, remove) spend on every level
+    addSpend(address, operation, amount) {
+        const walletKey = address.toLowerCase();
+        const operationKey = `${walletKey}:${operation}`;
+
+        this.cycleSpent += amount;
+        this.walletSpent.set(walletKey, this.getWalletSpent(address) + amount);
+        this.operationSpent.set(operationKey, this.getOperationSpent(address, operation) + amount);
+    }
+
+    /**
+     * Find the first limit a spend would exceed, checking the narrowest limit first
+     * @param {string} address - Wallet address
+     * @param {string} operation - Operation name
+     * @param {bigint} amount - Cost of the transaction in wei
+     * @returns {Object|null} - { limit, budget, spent } of the exceeded limit, or null if it fits
+     */
+    findExceededLimit(address, operation, amount) {
+        const checks = [
+            { limit: 'operation', budget: operation ? this.limits.operations[operation] : null, spent: this.getOperationSpent(address, operation) },
+            { limit: 'wallet', budget: this.limits.wallet, spent: this.getWalletSpent(address) },
+            { limit: 'cycle', budget: this.limits.cycle, spent: this.cycleSpent }
+        ];
+
+        for (const check of checks) {
+            if (check.budget !== null && check.budget !== undefined && check.spent + amount > check.budget) {
+                return check;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Reserve the worst-case cost of a transaction before sending it
+     * @param {string} address - Wallet address
+     * @param {string} operation - Operation name
+     * @param {bigint} amount - Worst-case cost in wei
+     * @param {string} label - Human readable description, used in the error message
+     * @returns {Object} - Reservation to settle or release later
+     * @throws {Error} - With budgetLimit set to "operation", "wallet" or "cycle" if a limit would be exceeded
+     */
+    reserve(address, operation, amount, label = 'transaction') {
+        const exceeded = this.findExceededLimit(address, operation, amount);
+        if (exceeded) {
+            if (exceeded.limit === 'wallet') {
+                this.exhaustedWallets.add(address.toLowerCase());
+            } else if (exceeded.limit === 'cycle') {
+                this.cycleExhausted = true;
+            }
+
+            const remaining = exceeded.budget > exceeded.spent ? exceeded.budget - exceeded.spent : BigInt(0);
+            const scope = exceeded.limit === 'operation' ? `${operation} fee budget` : `${exceeded.limit} fee budget`;
+            const error = new Error(
+                `${scope} exceeded: ${label} may cost up to ${formatAmount(amount)} in fees ` +
+                `but only ${formatAmount(remaining)} of ${formatAmount(exceeded.budget)} is left`
+            );
+            error.budgetLimit = exceeded.limit;
+            throw error;
+        }
+
+        this.addSpend(address, operation, amount);
+        return { address, operation, amount };
+    }
+
+    /**
+     * Replace a reservation with what the transaction actually cost
+     * @param {Object} reservation - Value returned by reserve()
+     * @param {bigint} actualCost - Fees paid in wei
+     */
+    settle(reservation, actualCost) {
+        if (reservation) {
+            this.addSpend(reservation.address, reservation.operation, actualCost - reservation.amount);
+        }
+    }
+
+    // Drop a reservation for a transaction that never reached the network
+    release(reservation) {
+        this.settle(reservation, BigInt(0));
+    }
+
+    isWalletExhausted(address) {
+        return this.exhaustedWallets.has(address.toLowerCase());
+    }
+
+    isCycleExhausted() {
+        return this.cycleExhausted;
+    }
+
+    // One line summary of the cycle's spend for logging
+    describeCycleSpend() {
+        const budget = this.limits.cycle !== null ? ` of ${formatAmount(this.limits.cycle)}` : '';
+        return `${formatAmount(this.cycleSpent)}${budget}`;
+    }
+}
+
+module.exports = SpendBudget;
\ No newline at end of file
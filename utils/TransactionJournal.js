@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+const constants = require('./constants');
+const { redact } = require('./redact');
+
+// One journal per file, shared by every transaction manager in the process
+const journals = new Map();
+
+/**
+ * Append-only JSONL journal of every transaction the tool sends.
+ * Each line is one event (pending, sent, replaced, confirmed, reverted, failed)
+ * and events of the same transaction share an id.
+ */
+class TransactionJournal {
+    /**
+     * @param {string} filePath - Path of the JSONL file
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+    }
+
+    /**
+     * Get the journal configured in config.json, or null if journaling is disabled
+     * @param {Object} config - Root configuration object
+     * @returns {TransactionJournal|null}
+     */
+    static fromConfig(config = {}) {
+        const journalConfig = config.journal || {};
+        if (journalConfig.enabled === false) {
+            return null;
+        }
+
+        const filePath = path.resolve(journalConfig.file || constants.JOURNAL.FILE);
+        if (!journals.has(filePath)) {
+            journals.set(filePath, new TransactionJournal(filePath));
+        }
+        return journals.get(filePath);
+    }
+
+    /**
+     * Append an event. Written synchronously so the entry is on disk before the
+     * transaction is broadcast, even if the process dies right after.
+     * @param {Object} entry - Journal event
+     */
+    append(entry) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const line = JSON.stringify(
+            { timestamp: new Date().toISOString(), ...entry },
+            (key, value) => (typeof value === 'bigint' ? value.toString() : value)
+        );
+        fs.appendFileSync(this.filePath, redact(line) + '\n');
+    }
+
+    // Read every event in the journal, skipping lines that cannot be parsed
+    readEvents() {
+        if (!fs.existsSync(this.filePath)) {
+            return [];
+        }
+
+        return fs.readFileSync(this.filePath, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(event => event !== null);
+    }
+
+    /**
+     * Collapse events into one record per transaction, holding its latest state
+     * @returns {Array<Object>} - Transactions in the order they were first journaled
+     */
+    getTransactions() {
+        const transactions = new Map();
+
+        for (const event of this.readEvents()) {
+            const existing = transactions.get(event.id);
+            if (!existing) {
+                transactions.set(event.id, { ...event, createdAt: event.timestamp, hashes: event.hash ? [event.hash] : [] });
+                continue;
+            }
+
+            // Later events only fill in or overwrite what they know
+            for (const [key, value] of Object.entries(event)) {
+                if (value !== null && value !== undefined) {
+                    existing[key] = value;
+                }
+            }
+            if (event.hash && !existing.hashes.includes(event.hash)) {
+                existing.hashes.push(event.hash);
+            }
+        }
+
+        return [...transactions.values()];
+    }
+
+    /**
+     * Filter journaled transactions
+     * @param {Object} filters
+     * @param {number[]|null} [filters.wallets] - Wallet numbers, null for all of them
+     * @param {string} [filters.operation] - Operation name (transfer, erc20, nft, ...)
+     * @param {string} [filters.status] - Latest status
+     * @param {string} [filters.hash] - Any hash the transaction was sent with
+     * @param {number} [filters.limit] - Only return the most recent N transactions
+     * @returns {Array<Object>}
+     */
+    query({ wallets = null, operation, status, hash, limit } = {}) {
+        let transactions = this.getTransactions();
+
+        if (wallets) {
+            transactions = transactions.filter(tx => wallets.includes(Number(tx.wallet)));
+        }
+        if (operation) {
+            transactions = transactions.filter(tx => tx.operation === operation);
+        }
+        if (status) {
+            transactions = transactions.filter(tx => tx.status === status);
+        }
+        if (hash) {
+            transactions = transactions.filter(tx => tx.hashes.some(txHash => txHash.toLowerCase() === hash.toLowerCase()));
+        }
+        if (limit) {
+            transactions = transactions.slice(-limit);
+        }
+
+        return transactions;
+    }
+}
+
+module.exports = TransactionJournal;
\ No newline at end of file
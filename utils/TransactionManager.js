@@ -0,0 +1,1074 @@
+const crypto = require('crypto');
+const chalk = require('chalk');
+const { eth } = require('web3');
+const constants = require('./constants');
+const { getActiveNetwork } = require('./network');
+const { getTimestamp } = require('./delayUtils');
+const NonceManager = require('./NonceManager');
+const { decodeError, getRevertReason } = require('./revertDecoder');
+const { recordPlannedTransaction } = require('./dryRunPlan');
+const TransactionJournal = require('./TransactionJournal');
+const CycleProgress = require('./CycleProgress');
+const SpendBudget = require('./SpendBudget');
+const { isShutdownRequested, trackInFlight } = require('./shutdown');
+const { recordTransactionResult } = require('./operationResult');
+
+/**
+ * Shared transaction engine used by every manager.
+ * Handles nonce reservation, gas pricing, gas estimation and the
+ * build -> sign -> send -> await receipt cycle in one place.
+ */
+class TransactionManager {
+    /**
+     * @param {Object} web3 - Web3 instance connected to the network
+     * @param {Object} account - Signer for the wallet (address + signTransaction), see utils/signers.js
+     * @param {Object} config - Root configuration object
+     * @param {Object} [options]
+     * @param {string} [options.operation] - Operation name recorded in the journal (transfer, erc20, nft, ...)
+     */
+    constructor(web3, account, config = {}, options = {}) {
+        this.web3 = web3;
+        this.account = account;
+        this.config = config || {};
+
+        this.walletNum = null;
+
+        // Nonces are shared with every other manager sending from this wallet through the same Web3 instance
+        this.nonceManager = NonceManager.forAddress(web3, account.address);
+
+        // Fee mode ("legacy" or "eip1559"), resolved on first use
+        this.feeMode = null;
+
+        // In a dry run transactions are built, estimated and simulated but never sent
+        this.dryRun = Boolean(this.config.dry_run);
+
+        // Every sent transaction is journaled under this operation name
+        this.operation = options.operation || null;
+        this.journal = TransactionJournal.fromConfig(this.config);
+
+        // Sends are numbered per operation so an interrupted cycle can resume step by step
+        this.progress = CycleProgress.fromConfig(this.config);
+        this.stepIndex = 0;
+
+        // Fee spend limits; once one is hit the rest of this operation is aborted
+        this.budget = SpendBudget.fromConfig(this.config);
+        this.budgetError = null;
+    }
+
+    setWalletNum(num) {
+        this.walletNum = num;
+        this.nonceManager.setWalletNum(num);
+    }
+
+    // Give back the nonce of a built transaction that will not be sent
+    releaseNonce(nonce) {
+        this.nonceManager.release(nonce);
+    }
+
+    // Multiplier applied on top of network fees, growing with each retry
+    getFeeMultiplier(retryCount = 0) {
+        // Apply base multiplier from config
+        let multiplier = this.config.gas_price_multiplier || constants.GAS.PRICE_MULTIPLIER;
+
+        // Apply additional multiplier for retries
+        if (retryCount > 0) {
+            const retryMultiplier = Math.pow(constants.GAS.RETRY_INCREASE, retryCount);
+            multiplier *= retryMultiplier;
+            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Applying retry multiplier: ${retryMultiplier.toFixed(2)}x (total: ${multiplier.toFixed(2)}x)`));
+        }
+
+        return multiplier;
+    }
+
+    // Enforce the configured min/max gwei bounds on a per-gas price
+    clampToGasBounds(price, label = 'Gas price') {
+        const minGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei'));
+        const maxGasPrice = BigInt(this.web3.utils.toWei(constants.GAS.MAX_GWEI.toString(), 'gwei'));
+
+        if (price < minGasPrice) {
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ ${label} below minimum, using: ${constants.GAS.MIN_GWEI} gwei`));
+            return minGasPrice;
+        }
+        if (price > maxGasPrice) {
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ ${label} above maximum, using: ${constants.GAS.MAX_GWEI} gwei`));
+            return maxGasPrice;
+        }
+        return price;
+    }
+
+    // Enhanced gas price calculation with retries
+    async getGasPrice(retryCount = 0) {
+        try {
+            // Get the current gas price from the network
+            const networkGasPrice = await this.web3.eth.getGasPrice();
+
+            const multiplier = this.getFeeMultiplier(retryCount);
+
+            // Calculate gas price with multiplier
+            const adjustedGasPrice = BigInt(Math.floor(Number(networkGasPrice) * multiplier));
+
+            // Convert to gwei for display
+            const gweiPrice = this.web3.utils.fromWei(adjustedGasPrice.toString(), 'gwei');
+            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Network gas price: ${this.web3.utils.fromWei(networkGasPrice, 'gwei')} gwei, using: ${gweiPrice} gwei (${multiplier.toFixed(2)}x)`));
+
+            // Ensure gas price is within bounds
+            return this.clampToGasBounds(adjustedGasPrice).toString();
+        } catch (error) {
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Error getting gas price: ${error.message}`));
+
+            // Fallback to a low gas price
+            const fallbackGasPrice = this.web3.utils.toWei(constants.GAS.MIN_GWEI.toString(), 'gwei');
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using fallback gas price: ${constants.GAS.MIN_GWEI} gwei`));
+
+            return fallbackGasPrice;
+        }
+    }
+
+    /**
+     * Resolve the fee mode from config. "auto" picks EIP-1559 when the
+     * latest block carries a baseFeePerGas and legacy pricing otherwise.
+     * @returns {Promise<string>} - "legacy" or "eip1559"
+     */
+    async getFeeMode() {
+        if (this.feeMode) {
+            return this.feeMode;
+        }
+
+        // The network profile's fee mode wins over the global one
+        const configuredMode = String(getActiveNetwork().feeMode || this.config.fee_mode || constants.GAS.FEE_MODE).toLowerCase();
+
+        if (configuredMode === 'legacy' || configuredMode === 'eip1559') {
+            this.feeMode = configuredMode;
+            return this.feeMode;
+        }
+
+        if (configuredMode !== 'auto') {
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Unknown fee_mode "${configuredMode}", using legacy`));
+            this.feeMode = 'legacy';
+            return this.feeMode;
+        }
+
+        try {
+            const latestBlock = await this.web3.eth.getBlock('latest');
+            const hasBaseFee = latestBlock.baseFeePerGas !== undefined && latestBlock.baseFeePerGas !== null;
+            this.feeMode = hasBaseFee ? 'eip1559' : 'legacy';
+            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Fee mode auto-detected: ${this.feeMode}`));
+        } catch (error) {
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Could not detect fee mode: ${error.message}, using legacy`));
+            this.feeMode = 'legacy';
+        }
+
+        return this.feeMode;
+    }
+
+    /**
+     * Derive EIP-1559 fees from recent fee history
+     * @param {number} retryCount - Number of previous attempts, raises the fees
+     * @returns {Promise<Object>} - { maxFeePerGas, maxPriorityFeePerGas } in wei
+     */
+    async getEip1559Fees(retryCount = 0) {
+        try {
+            const eip1559Config = this.config.eip1559 || {};
+            const blockCount = eip1559Config.fee_history_blocks || constants.GAS.FEE_HISTORY_BLOCKS;
+            const percentile = eip1559Config.reward_percentile || constants.GAS.FEE_HISTORY_PERCENTILE;
+            const baseFeeMultiplier = eip1559Config.base_fee_multiplier || constants.GAS.BASE_FEE_MULTIPLIER;
+
+            const feeHistory = await this.web3.eth.getFeeHistory(blockCount, 'latest', [percentile]);
+
+            // The last base fee entry is the projected base fee of the next block
+            const baseFees = feeHistory.baseFeePerGas || [];
+            const nextBaseFee = BigInt(baseFees[baseFees.length - 1] || 0);
+
+            // Take the median of the per-block rewards, ignoring empty blocks
+            const rewards = (feeHistory.reward || [])
+                .map(blockRewards => BigInt(blockRewards[0] || 0))
+                .filter(reward => reward > BigInt(0))
+                .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+            const medianReward = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : BigInt(0);
+
+            const multiplier = this.getFeeMultiplier(retryCount);
+
+            const maxPriorityFeePerGas = this.clampToGasBounds(
+                BigInt(Math.floor(Number(medianReward) * multiplier)),
+                'Priority fee'
+            );
+            let maxFeePerGas = this.clampToGasBounds(
+                BigInt(Math.floor(Number(nextBaseFee) * baseFeeMultiplier * multiplier)) + maxPriorityFeePerGas,
+                'Max fee'
+            );
+
+            // Max fee can never be below the tip it has to pay
+            if (maxFeePerGas < maxPriorityFeePerGas) {
+                maxFeePerGas = maxPriorityFeePerGas;
+            }
+
+            console.log(chalk.cyan(
+                `${getTimestamp(this.walletNum)} ℹ Base fee: ${this.web3.utils.fromWei(nextBaseFee.toString(), 'gwei')} gwei, ` +
+                `using max fee: ${this.web3.utils.fromWei(maxFeePerGas.toString(), 'gwei')} gwei, ` +
+                `priority fee: ${this.web3.utils.fromWei(maxPriorityFeePerGas.toString(), 'gwei')} gwei (p${percentile} over ${blockCount} blocks)`
+            ));
+
+            return {
+                maxFeePerGas: maxFeePerGas.toString(),
+                maxPriorityFeePerGas: maxPriorityFeePerGas.toString()
+            };
+        } catch (error) {
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Error getting fee history: ${error.message}, falling back to legacy gas price`));
+            return { gasPrice: await this.getGasPrice(retryCount) };
+        }
+    }
+
+    /**
+     * Get the fee fields for a transaction according to the active fee mode
+     * @param {number} retryCount - Number of previous attempts, raises the fees
+     * @returns {Promise<Object>} - { gasPrice } or { maxFeePerGas, maxPriorityFeePerGas }
+     */
+    async getFeeData(retryCount = 0) {
+        const feeMode = await this.getFeeMode();
+
+        if (feeMode === 'eip1559') {
+            return await this.getEip1559Fees(retryCount);
+        }
+
+        return { gasPrice: await this.getGasPrice(retryCount) };
+    }
+
+    // Highest price per gas the transaction may pay, whichever fee mode built it
+    getMaxFeePerGas(tx) {
+        return BigInt(tx.maxFeePerGas || tx.gasPrice || 0);
+    }
+
+    // Worst-case cost of a transaction in wei (gas limit * max price per gas)
+    getMaxTransactionCost(tx) {
+        return BigInt(tx.gas) * this.getMaxFeePerGas(tx);
+    }
+
+    /**
+     * Estimate gas for a transaction and add a 20% safety buffer
+     * @param {Object} txObject - Transaction to estimate
+     * @param {number} defaultGas - Gas limit to use when estimation fails
+     * @param {Array} abi - Contract ABI, used to decode the revert reason if estimation fails
+     * @returns {Promise<number>} - Gas limit with buffer
+     */
+    async estimateGas(txObject, defaultGas = constants.GAS.DEFAULT_GAS, abi = []) {
+        try {
+            // Get the gas estimate from the blockchain
+            const estimatedGas = await this.web3.eth.estimateGas(txObject);
+
+            // Add 20% buffer for safety
+            const gasWithBuffer = Math.floor(Number(estimatedGas) * 1.2);
+
+            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Estimated gas: ${estimatedGas}, with buffer: ${gasWithBuffer}`));
+
+            return gasWithBuffer;
+        } catch (error) {
+            // Replay the call so a revert shows its reason instead of web3's generic message
+            const revertReason = await getRevertReason(this.web3, txObject, abi);
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Gas estimation failed: ${revertReason || error.message}`));
+
+            // Use default gas, still with the buffer applied
+            const fallbackGas = Math.floor(defaultGas * 1.2);
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Using default gas: ${fallbackGas}`));
+            return fallbackGas;
+        }
+    }
+
+    /**
+     * Build a complete transaction (nonce, fees, gas limit)
+     * @param {Object} params - Transaction parameters
+     * @param {string} [params.to] - Recipient; omit for contract deployments
+     * @param {string} [params.data] - Encoded call data or deployment bytecode
+     * @param {string} [params.value] - Value in wei
+     * @param {number} [params.defaultGas] - Gas limit to fall back to if estimation fails
+     * @param {Array} [params.abi] - Contract ABI, used to decode revert reasons
+     * @returns {Promise<Object>} - Transaction ready to be signed
+     */
+    async buildTransaction({ to, data = '0x', value = '0', defaultGas = constants.GAS.DEFAULT_GAS, abi = [] } = {}) {
+        // No point building anything once the operation ran out of budget
+        if (this.budgetError) {
+            throw this.budgetError;
+        }
+
+        // Reserve a nonce; it is rolled back if building fails
+        const nonce = await this.nonceManager.reserve();
+
+        try {
+            const feeData = await this.getFeeData();
+
+            // Transaction template for gas estimation
+            const txTemplate = {
+                from: this.account.address,
+                data: data,
+                nonce: nonce,
+                value: value,
+                chainId: getActiveNetwork().chainId
+            };
+
+            if (to) {
+                txTemplate.to = to;
+            }
+
+            // Estimate gas
+            const gasLimit = await this.estimateGas(txTemplate, defaultGas, abi);
+
+            return {
+                ...txTemplate,
+                ...feeData,
+                gas: gasLimit
+            };
+        } catch (error) {
+            this.releaseNonce(nonce);
+            throw error;
+        }
+    }
+
+    // Stuck transaction settings from config, falling back to constants
+    getPendingSettings() {
+        const pendingConfig = this.config.stuck_transactions || {};
+        return {
+            timeoutMs: (pendingConfig.timeout_seconds || constants.PENDING_TX.TIMEOUT_SECONDS) * 1000,
+            pollIntervalMs: (pendingConfig.poll_interval_seconds || constants.PENDING_TX.POLL_INTERVAL_SECONDS) * 1000,
+            maxReplacements: pendingConfig.max_replacements ?? constants.PENDING_TX.MAX_REPLACEMENTS
+        };
+    }
+
+    // Error carrying the decoded revert reason, so it reaches both the log and the run results
+    createRevertError(label, revertReason, receipt = null) {
+        const error = new Error(`${label} reverted: ${revertReason}`);
+        error.revertReason = revertReason;
+        if (receipt) {
+            error.receipt = receipt;
+        }
+        return error;
+    }
+
+    // Replay the transaction with eth_call, so a dry run reports the ones that would revert
+    async simulateTransaction(tx, label = 'transaction', abi = []) {
+        const callObject = {
+            from: tx.from,
+            data: tx.data,
+            value: tx.value
+        };
+
+        if (tx.to) {
+            callObject.to = tx.to;
+        }
+
+        try {
+            return await this.web3.eth.call(callObject);
+        } catch (error) {
+            const revertReason = decodeError(this.web3, error, abi);
+            throw revertReason ? this.createRevertError(label, revertReason) : error;
+        }
+    }
+
+    // Sign a transaction with the wallet's signer, local key or remote signer alike
+    async signTransaction(tx) {
+        return await this.account.signTransaction(tx, this.web3);
+    }
+
+    // Broadcast a signed transaction without waiting for it to be mined
+    async broadcastTransaction(signedTx) {
+        return await this.web3.requestManager.send({
+            method: 'eth_sendRawTransaction',
+            params: [signedTx.rawTransaction]
+        });
+    }
+
+    // Get a receipt if the transaction has been mined, null otherwise
+    async getReceipt(txHash) {
+        try {
+            return await this.web3.eth.getTransactionReceipt(txHash);
+        } catch (error) {
+            if (error.name !== 'TransactionNotFound') {
+                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Error checking receipt for ${txHash}: ${error.message}`));
+            }
+            return null;
+        }
+    }
+
+    // Throw if a mined transaction reverted, with the reason replayed on the state before its block.
+    // A call at the block itself runs on the state after it, changed by the block's transactions.
+    async checkReceiptStatus(receipt, tx, label, abi = []) {
+        if (BigInt(receipt.status) !== BigInt(1)) {
+            const revertReason = await getRevertReason(this.web3, tx, abi, BigInt(receipt.blockNumber) - BigInt(1));
+            throw this.createRevertError(label, `${revertReason || 'reason unavailable'} (${receipt.transactionHash})`, receipt);
+        }
+        return receipt;
+    }
+
+    /**
+     * Raise the fees of a transaction for a same-nonce replacement.
+     * Every fee field grows by at least GAS.RETRY_INCREASE so nodes accept the replacement.
+     * @param {Object} tx - Transaction being replaced
+     * @param {number} retryCount - Replacement number, raises fresh network fees
+     * @returns {Promise<Object>} - Copy of the transaction with bumped fees
+     */
+    async bumpTransactionFees(tx, retryCount) {
+        const feeData = await this.getFeeData(retryCount);
+        const bumpedTx = { ...tx };
+
+        for (const field of ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+            if (tx[field] === undefined) {
+                continue;
+            }
+
+            const minimumFee = BigInt(Math.ceil(Number(tx[field]) * constants.GAS.RETRY_INCREASE));
+            const networkFee = feeData[field] !== undefined ? BigInt(feeData[field]) : BigInt(0);
+            const bumpedFee = networkFee > minimumFee ? networkFee : minimumFee;
+
+            bumpedTx[field] = this.clampToGasBounds(bumpedFee, 'Replacement fee').toString();
+        }
+
+        if (bumpedTx.maxFeePerGas !== undefined && BigInt(bumpedTx.maxFeePerGas) < BigInt(bumpedTx.maxPriorityFeePerGas)) {
+            bumpedTx.maxFeePerGas = bumpedTx.maxPriorityFeePerGas;
+        }
+
+        return bumpedTx;
+    }
+
+    /**
+     * Wait for any of the transactions sent with this nonce to be mined.
+     * If nothing is mined before the timeout the transaction is replaced with the
+     * same nonce at a higher fee, up to the configured number of replacements.
+     * @param {Object} tx - Last transaction sent for this nonce
+     * @param {string[]} txHashes - Hashes of every transaction sent for this nonce
+     * @param {string} label - Human readable description for logging
+     * @param {Object} [options]
+     * @param {Array} [options.abi] - Contract ABI, used to decode revert reasons
+     * @param {Function} [options.onReplaced] - Called with (replacementTx, txHash) after each replacement
+     * @returns {Promise<Object>} - Transaction receipt
+     */
+    async waitForReceipt(tx, txHashes, label = 'transaction', { abi = [], onReplaced = null } = {}) {
+        const settings = this.getPendingSettings();
+        let currentTx = tx;
+        let replacementCount = 0;
+        let waitStart = Date.now();
+
+        while (true) {
+            for (const txHash of txHashes) {
+                const receipt = await this.getReceipt(txHash);
+                if (receipt) {
+                    return await this.checkReceiptStatus(receipt, tx, label, abi);
+                }
+            }
+
+            if (Date.now() - waitStart < settings.timeoutMs) {
+                await new Promise(resolve => setTimeout(resolve, settings.pollIntervalMs));
+                continue;
+            }
+
+            // The nonce may have been consumed by a transaction we did not send from here
+            const minedNonce = BigInt(await this.web3.eth.getTransactionCount(this.account.address, 'latest'));
+            if (minedNonce > BigInt(currentTx.nonce)) {
+                // One of ours may have been mined between the receipt check and now
+                for (const txHash of txHashes) {
+                    const receipt = await this.getReceipt(txHash);
+                    if (receipt) {
+                        return await this.checkReceiptStatus(receipt, tx, label, abi);
+                    }
+                }
+                const error = new Error(`Nonce ${currentTx.nonce} for ${label} was used by another transaction`);
+                error.txStatus = 'dropped';
+                throw error;
+            }
+
+            // Once shutting down, nothing new is broadcast: keep waiting for the hashes already
+            // in flight until they are mined or the shutdown grace timeout ends the process
+            if (isShutdownRequested()) {
+                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ ${label} transaction still pending, not replacing it while shutting down (nonce ${currentTx.nonce})`));
+                waitStart = Date.now();
+                continue;
+            }
+
+            const lastHash = txHashes[txHashes.length - 1];
+            if (replacementCount >= settings.maxReplacements) {
+                const error = new Error(`${label} transaction still pending after ${replacementCount} replacements (nonce ${currentTx.nonce}, hash ${lastHash})`);
+                error.txStatus = 'stuck';
+                throw error;
+            }
+
+            replacementCount++;
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ ${label} transaction pending for ${Math.round(settings.timeoutMs / 1000)}s, speeding up (replacement ${replacementCount}/${settings.maxReplacements}, nonce ${currentTx.nonce})`));
+
+            try {
+                const replacementTx = await this.bumpTransactionFees(currentTx, replacementCount);
+                const signedTx = await this.signTransaction(replacementTx);
+                const txHash = await this.broadcastTransaction(signedTx);
+
+                currentTx = replacementTx;
+                txHashes.push(txHash);
+                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Replacement transaction sent: ${txHash}`));
+                if (onReplaced) {
+                    onReplaced(replacementTx, txHash);
+                }
+            } catch (error) {
+                // Typically "replacement transaction underpriced" or the original being mined meanwhile
+                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Replacement failed: ${error.message}`));
+            }
+
+            waitStart = Date.now();
+        }
+    }
+
+    // Fee fields of a transaction, whichever fee mode built it
+    getFeeFields(tx) {
+        const fees = {};
+        for (const field of ['gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas']) {
+            if (tx[field] !== undefined) {
+                fees[field] = tx[field];
+            }
+        }
+        return fees;
+    }
+
+    /**
+     * Decode the method name and arguments of a transaction from its data
+     * @param {Object} tx - Transaction object
+     * @param {Array} abi - Contract ABI
+     * @returns {Object} - { method, args }; method is "deploy" for deployments and null for plain transfers
+     */
+    describeCall(tx, abi = []) {
+        if (!tx.to) {
+            return { method: 'deploy', args: [] };
+        }
+        if (!tx.data || tx.data === '0x') {
+            return { method: null, args: [] };
+        }
+
+        const selector = tx.data.slice(0, 10).toLowerCase();
+        const functionItem = (abi || []).find(item =>
+            item.type === 'function' && this.web3.eth.abi.encodeFunctionSignature(item).toLowerCase() === selector
+        );
+
+        if (!functionItem) {
+            return { method: selector, args: [] };
+        }
+
+        try {
+            const decoded = this.web3.eth.abi.decodeParameters(functionItem.inputs, '0x' + tx.data.slice(10));
+            return { method: functionItem.name, args: functionItem.inputs.map((input, index) => decoded[index]) };
+        } catch (error) {
+            return { method: functionItem.name, args: [] };
+        }
+    }
+
+    /**
+     * Create the journal record shared by every event of one transaction
+     * @param {Object} tx - Transaction object
+     * @param {string} label - Human readable description
+     * @param {Array} abi - Contract ABI, used to decode method and arguments
+     * @returns {Object|null} - Journal entry, or null when journaling is disabled
+     */
+    createJournalEntry(tx, label, abi = []) {
+        if (!this.journal) {
+            return null;
+        }
+
+        const { method, args } = this.describeCall(tx, abi);
+
+        return {
+            id: crypto.randomUUID(),
+            wallet: this.walletNum,
+            address: this.account.address,
+            operation: this.operation,
+            label: label,
+            contract: tx.to && tx.data && tx.data !== '0x' ? tx.to : null,
+            method: method,
+            args: args,
+            nonce: Number(tx.nonce),
+            fees: this.getFeeFields(tx),
+            gas: tx.gas,
+            value: tx.value,
+            hash: null,
+            status: null,
+            gasUsed: null,
+            error: null
+        };
+    }
+
+    // Append an event for a journaled transaction; journal problems never stop a send
+    recordJournal(journalEntry, event) {
+        if (!journalEntry) {
+            return;
+        }
+
+        try {
+            this.journal.append({ ...journalEntry, ...event });
+        } catch (error) {
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Could not write transaction journal: ${error.message}`));
+        }
+    }
+
+    // Journal the outcome of a transaction that failed after it was broadcast
+    recordJournalFailure(journalEntry, error) {
+        this.recordJournal(journalEntry, {
+            status: error.receipt ? 'reverted' : (error.txStatus || 'failed'),
+            hash: error.receipt ? error.receipt.transactionHash : null,
+            gasUsed: error.receipt ? error.receipt.gasUsed : null,
+            error: error.message
+        });
+    }
+
+    /**
+     * Reserve the worst-case fee cost of a transaction against the spend budgets
+     * @param {Object} tx - Transaction object
+     * @param {string} label - Human readable description for logging
+     * @returns {Object|null} - Budget reservation, or null if no budgets are configured
+     * @throws {Error} - If a limit would be exceeded; later sends of this operation fail with the same error
+     */
+    reserveBudget(tx, label) {
+        if (!this.budget) {
+            return null;
+        }
+
+        try {
+            return this.budget.reserve(this.account.address, this.operation, this.getMaxTransactionCost(tx), label);
+        } catch (error) {
+            this.budgetError = error;
+            console.log(chalk.red(`${getTimestamp(this.walletNum)} ✗ ${error.message}, aborting ${this.operation || 'operation'}`));
+            throw error;
+        }
+    }
+
+    // Give back a budget reservation for a transaction that cost nothing
+    releaseBudget(reservation) {
+        if (reservation) {
+            this.budget.release(reservation);
+        }
+    }
+
+    // Replace a budget reservation with the fees the mined transaction actually paid
+    settleBudget(reservation, tx, receipt) {
+        if (!reservation) {
+            return;
+        }
+
+        this.budget.settle(reservation, this.getReceiptCost(tx, receipt));
+    }
+
+    // Fee paid for a mined transaction in wei
+    getReceiptCost(tx, receipt) {
+        const pricePerGas = receipt.effectiveGasPrice !== undefined ? BigInt(receipt.effectiveGasPrice) : this.getMaxFeePerGas(tx);
+        return BigInt(receipt.gasUsed) * pricePerGas;
+    }
+
+    // Add the outcome of a send to the result of the running operation, for the cycle report
+    recordResult(tx, label, receipt, error = null) {
+        // Dry runs report the estimate and worst-case cost of what would have been sent
+        const planned = Boolean(receipt && receipt.dryRun);
+        recordTransactionResult({
+            label: label,
+            hash: receipt && !planned ? receipt.transactionHash : null,
+            status: error ? (error.receipt ? 'reverted' : (error.txStatus || 'failed')) : (planned ? 'planned' : 'confirmed'),
+            gasUsed: receipt ? BigInt(receipt.gasUsed) : null,
+            cost: receipt ? (planned ? this.getMaxTransactionCost(tx) : this.getReceiptCost(tx, receipt)) : null,
+            contractAddress: receipt && !error ? receipt.contractAddress || null : null,
+            error: error ? error.message : null
+        });
+    }
+
+    /**
+     * Dry-run counterpart of sendPreparedTransaction: simulate with eth_call and record the plan
+     * @param {Object} tx - Transaction object
+     * @param {string} label - Human readable description for logging
+     * @param {Array} abi - Contract ABI, used to decode revert reasons
+     * @returns {Promise<Object>} - Simulated receipt flagged with dryRun: true
+     */
+    async planTransaction(tx, label = 'transaction', abi = []) {
+        const plannedEntry = {
+            walletNum: this.walletNum,
+            address: this.account.address,
+            label: label,
+            tx: tx,
+            maxCost: this.getMaxTransactionCost(tx)
+        };
+
+        let budgetReservation;
+        try {
+            budgetReservation = this.reserveBudget(tx, label);
+        } catch (error) {
+            recordPlannedTransaction({ ...plannedEntry, error: error.message, overBudget: true });
+            this.releaseNonce(tx.nonce);
+            throw error;
+        }
+
+        try {
+            await this.simulateTransaction(tx, label, abi);
+        } catch (error) {
+            // A transaction that would revert is never sent, so it spends nothing
+            recordPlannedTransaction({ ...plannedEntry, error: error.revertReason || error.message });
+            this.releaseNonce(tx.nonce);
+            this.releaseBudget(budgetReservation);
+            throw error;
+        }
+
+        // Deployments get the address they would be created at, so later steps can target it
+        const contractAddress = tx.to ? null : eth.contract.createContractAddress(this.account.address, tx.nonce);
+        recordPlannedTransaction({ ...plannedEntry, contractAddress });
+
+        const maxCost = this.web3.utils.fromWei(plannedEntry.maxCost.toString(), 'ether');
+        console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ [dry run] ${label}: nonce ${tx.nonce}, gas ${tx.gas}, max cost ${maxCost} ${getActiveNetwork().currency}`));
+
+        return {
+            transactionHash: `dry-run-${tx.nonce}`,
+            status: BigInt(1),
+            blockNumber: null,
+            gasUsed: BigInt(tx.gas),
+            contractAddress: contractAddress,
+            dryRun: true
+        };
+    }
+
+    // Whether sends are recorded as resumable steps of the current cycle
+    isTrackingProgress() {
+        return Boolean(this.progress && this.progress.isActive() && this.operation && this.walletNum !== null);
+    }
+
+    // Save or update the resumable step for a transaction of this operation
+    saveProgressStep(stepIndex, step) {
+        if (stepIndex !== null && this.isTrackingProgress()) {
+            this.progress.saveStep(this.walletNum, this.account.address, this.operation, stepIndex, step);
+        }
+    }
+
+    // What a transaction calls: its target and a hash of its data. Unlike labels, which can carry
+    // values picked at random on each run, this only matches a step that makes the same call.
+    getCallIdentity(tx) {
+        return {
+            to: tx.to ? tx.to.toLowerCase() : null,
+            // 0x-prefixed like transaction hashes, which the progress file's redaction leaves alone
+            dataHash: '0x' + crypto.createHash('sha256').update((tx.data || '0x').toLowerCase()).digest('hex')
+        };
+    }
+
+    // Look up a transaction we sent earlier, shaped like a transaction from buildTransaction
+    async getSentTransaction(txHash) {
+        let sent;
+        try {
+            sent = await this.web3.eth.getTransaction(txHash);
+        } catch (error) {
+            return null;
+        }
+
+        if (!sent) {
+            return null;
+        }
+
+        const tx = {
+            from: sent.from,
+            data: sent.input || sent.data || '0x',
+            nonce: Number(sent.nonce),
+            value: sent.value.toString(),
+            chainId: getActiveNetwork().chainId,
+            gas: Number(sent.gas)
+        };
+
+        if (sent.to) {
+            tx.to = sent.to;
+        }
+
+        if (Number(sent.type) === 2) {
+            tx.maxFeePerGas = sent.maxFeePerGas.toString();
+            tx.maxPriorityFeePerGas = sent.maxPriorityFeePerGas.toString();
+        } else {
+            tx.gasPrice = sent.gasPrice.toString();
+        }
+
+        return tx;
+    }
+
+    /**
+     * Pick up a transaction step that an interrupted run already sent.
+     * The saved hashes are checked on-chain instead of sending the transaction again.
+     * A step that made a different call than this one (another target or data) is sent fresh.
+     * @param {number} stepIndex - Position of the transaction within the operation
+     * @param {Object} tx - Transaction this run is about to send for the step
+     * @param {string} label - Human readable description for logging; the saved one is used when they differ
+     * @param {Array} abi - Contract ABI, used to decode revert reasons
+     * @returns {Promise<Object|null>} - Receipt of the earlier transaction, or null if it must be sent
+     */
+    async resumeProgressStep(stepIndex, tx, label, abi = []) {
+        if (!this.isTrackingProgress()) {
+            return null;
+        }
+
+        const step = this.progress.getStep(this.walletNum, this.account.address, this.operation, stepIndex);
+
+        // Steps written by this process belong to an earlier attempt, not an interrupted run
+        if (!step || step.runId === this.progress.runId) {
+            return null;
+        }
+
+        // The run before the restart picked different random values, so this position holds another call
+        const identity = this.getCallIdentity(tx);
+        if (step.dataHash !== undefined && (step.to !== identity.to || step.dataHash !== identity.dataHash)) {
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Step ${stepIndex + 1} was "${step.label}" before the restart, a different call than ${label}; sending it`));
+            return null;
+        }
+
+        // Same call under a label with other random values (e.g. a count): it keeps the label it was sent with
+        if (step.label && step.label !== label) {
+            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Step ${stepIndex + 1} was sent as "${step.label}" before the restart, checking it instead of sending "${label}"`));
+            label = step.label;
+        }
+
+        this.saveProgressStep(stepIndex, { runId: this.progress.runId });
+
+        // Mined while we were down
+        for (const txHash of step.hashes) {
+            const receipt = await this.getReceipt(txHash);
+            if (receipt) {
+                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ ${label} was already sent before the restart: ${txHash}`));
+                const sentTx = await this.getSentTransaction(txHash);
+                return await this.checkReceiptStatus(receipt, sentTx || {}, label, abi);
+            }
+        }
+
+        // Still waiting in the pool, so wait for it like any other transaction
+        for (const txHash of [...step.hashes].reverse()) {
+            const sentTx = await this.getSentTransaction(txHash);
+            if (sentTx) {
+                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ ${label} from before the restart is still pending: ${txHash}`));
+                const journalEntry = this.createJournalEntry(sentTx, label, abi);
+                if (journalEntry && step.journalId) {
+                    journalEntry.id = step.journalId;
+                }
+                return await this.awaitSentTransaction(sentTx, [...step.hashes], label, { abi, journalEntry, stepIndex });
+            }
+        }
+
+        console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ ${label} from before the restart never reached the network, sending again`));
+        return null;
+    }
+
+    /**
+     * Wait for a broadcast transaction and record the outcome in the journal and cycle progress
+     * @param {Object} tx - Last transaction sent for this nonce
+     * @param {string[]} txHashes - Hashes of every transaction sent for this nonce
+     * @param {string} label - Human readable description for logging
+     * @param {Object} options - { abi, journalEntry, stepIndex }
+     * @returns {Promise<Object>} - Transaction receipt
+     */
+    async awaitSentTransaction(tx, txHashes, label, { abi = [], journalEntry = null, stepIndex = null } = {}) {
+        // A graceful shutdown waits for this receipt before exiting
+        const inFlight = { hash: txHashes[txHashes.length - 1], label, walletNum: this.walletNum };
+        const settle = trackInFlight(inFlight);
+
+        const onReplaced = (replacementTx, txHash) => {
+            inFlight.hash = txHash;
+            this.recordJournal(journalEntry, { status: 'replaced', hash: txHash, fees: this.getFeeFields(replacementTx) });
+            this.saveProgressStep(stepIndex, { hashes: [...txHashes] });
+        };
+
+        let receipt;
+        try {
+            receipt = await this.waitForReceipt(tx, txHashes, label, { abi, onReplaced });
+        } catch (error) {
+            this.recordJournalFailure(journalEntry, error);
+            this.saveProgressStep(stepIndex, { status: error.receipt ? 'reverted' : (error.txStatus || 'failed') });
+            throw error;
+        } finally {
+            settle();
+        }
+
+        this.nonceManager.confirm(tx.nonce);
+        this.recordJournal(journalEntry, {
+            status: 'confirmed',
+            hash: receipt.transactionHash,
+            gasUsed: receipt.gasUsed,
+            contract: receipt.contractAddress || journalEntry?.contract || null
+        });
+        this.saveProgressStep(stepIndex, { status: 'confirmed' });
+        return receipt;
+    }
+
+    /**
+     * Sign and broadcast a transaction built by buildTransaction, then wait for its receipt
+     * @param {Object} tx - Transaction object
+     * @param {string} label - Human readable description for logging
+     * @param {Object} [options] - Extra context for the send
+     * @param {Array} [options.abi] - Contract ABI, used to decode revert reasons
+     * @returns {Promise<Object>} - Transaction receipt
+     */
+    async sendPreparedTransaction(tx, label = 'transaction', { abi = [] } = {}) {
+        let receipt;
+        try {
+            receipt = await this.sendAndAwaitTransaction(tx, label, abi);
+        } catch (error) {
+            this.recordResult(tx, label, error.receipt || null, error);
+            throw error;
+        }
+        this.recordResult(tx, label, receipt);
+        return receipt;
+    }
+
+    // The send behind sendPreparedTransaction: plan, resume or broadcast, then await the receipt
+    async sendAndAwaitTransaction(tx, label, abi) {
+        if (this.dryRun) {
+            return await this.planTransaction(tx, label, abi);
+        }
+
+        // An interrupted run may already have sent this step, in which case the new nonce is not needed
+        const stepIndex = this.stepIndex++;
+        let resumedReceipt;
+        try {
+            resumedReceipt = await this.resumeProgressStep(stepIndex, tx, label, abi);
+        } catch (error) {
+            this.releaseNonce(tx.nonce);
+            throw error;
+        }
+        if (resumedReceipt) {
+            this.releaseNonce(tx.nonce);
+            return resumedReceipt;
+        }
+
+        // Transactions already broadcast are still awaited, but no new ones go out
+        if (isShutdownRequested()) {
+            this.releaseNonce(tx.nonce);
+            const error = new Error(`Not sending ${label}, shutting down`);
+            error.shutdown = true;
+            throw error;
+        }
+
+        let budgetReservation;
+        try {
+            budgetReservation = this.reserveBudget(tx, label);
+        } catch (error) {
+            this.releaseNonce(tx.nonce);
+            throw error;
+        }
+
+        const journalEntry = this.createJournalEntry(tx, label, abi);
+        let txHash;
+
+        try {
+            // Sign the transaction
+            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Signing transaction for ${label}...`));
+            const signedTx = await this.signTransaction(tx);
+
+            // Journal and save progress before sending so a crash mid-send still leaves a trace
+            this.recordJournal(journalEntry, { status: 'pending' });
+            this.saveProgressStep(stepIndex, {
+                runId: this.progress && this.progress.runId,
+                label: label,
+                ...this.getCallIdentity(tx),
+                nonce: Number(tx.nonce),
+                hashes: [signedTx.transactionHash],
+                journalId: journalEntry ? journalEntry.id : null,
+                status: 'pending'
+            });
+
+            // Send the transaction
+            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Sending ${label} transaction...`));
+            txHash = await this.broadcastTransaction(signedTx);
+            console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Transaction sent: ${txHash}`));
+        } catch (error) {
+            // Nothing reached the network, so the nonce must not be left as a gap
+            this.releaseNonce(tx.nonce);
+            this.releaseBudget(budgetReservation);
+            this.recordJournal(journalEntry, { status: 'failed', error: error.message });
+            throw error;
+        }
+
+        this.recordJournal(journalEntry, { status: 'sent', hash: txHash });
+        this.saveProgressStep(stepIndex, { status: 'sent' });
+
+        let receipt;
+        try {
+            receipt = await this.awaitSentTransaction(tx, [txHash], label, { abi, journalEntry, stepIndex });
+        } catch (error) {
+            // Reverted transactions still pay for their gas; dropped ones cost nothing.
+            // A stuck transaction may still be mined, so its reservation is kept.
+            if (error.receipt) {
+                this.settleBudget(budgetReservation, tx, error.receipt);
+            } else if (error.txStatus === 'dropped') {
+                this.releaseBudget(budgetReservation);
+            }
+            throw error;
+        }
+
+        this.settleBudget(budgetReservation, tx, receipt);
+        return receipt;
+    }
+
+    /**
+     * Cancel a pending transaction by sending a zero-value self-transfer with the same nonce
+     * @param {number|null} nonce - Nonce to cancel; defaults to the oldest pending nonce
+     * @returns {Promise<Object|null>} - Receipt of the cancellation, or null if nothing was pending
+     */
+    async cancelTransaction(nonce = null) {
+        const minedNonce = BigInt(await this.web3.eth.getTransactionCount(this.account.address, 'latest'));
+        const pendingNonce = BigInt(await this.web3.eth.getTransactionCount(this.account.address, 'pending'));
+
+        if (nonce === null || nonce === undefined) {
+            if (pendingNonce <= minedNonce) {
+                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ No pending transactions to cancel`));
+                return null;
+            }
+            nonce = minedNonce;
+        }
+
+        if (BigInt(nonce) < minedNonce) {
+            console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Nonce ${nonce} is already mined, nothing to cancel`));
+            return null;
+        }
+
+        const label = `cancellation of nonce ${nonce}`;
+        const settings = this.getPendingSettings();
+
+        // Escalate fees until the node accepts the replacement
+        let cancelTx = {
+            from: this.account.address,
+            to: this.account.address,
+            value: '0',
+            data: '0x',
+            nonce: Number(nonce),
+            gas: 21000,
+            chainId: getActiveNetwork().chainId,
+            ...(await this.getFeeData(1))
+        };
+
+        const journalEntry = this.createJournalEntry(cancelTx, label);
+
+        for (let attempt = 1; attempt <= settings.maxReplacements + 1; attempt++) {
+            if (attempt > 1) {
+                cancelTx = await this.bumpTransactionFees(cancelTx, attempt);
+            }
+
+            let txHash;
+            try {
+                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Sending ${label} (attempt ${attempt}/${settings.maxReplacements + 1})...`));
+                const signedTx = await this.signTransaction(cancelTx);
+                txHash = await this.broadcastTransaction(signedTx);
+                console.log(chalk.cyan(`${getTimestamp(this.walletNum)} ℹ Transaction sent: ${txHash}`));
+            } catch (error) {
+                if (!/underpriced|already known/i.test(error.message)) {
+                    this.recordJournal(journalEntry, { status: 'failed', fees: this.getFeeFields(cancelTx), error: error.message });
+                    throw error;
+                }
+                console.log(chalk.yellow(`${getTimestamp(this.walletNum)} ⚠ Cancellation rejected: ${error.message}, raising fees...`));
+                continue;
+            }
+
+            this.recordJournal(journalEntry, { status: 'sent', hash: txHash, fees: this.getFeeFields(cancelTx) });
+
+            return await this.awaitSentTransaction(cancelTx, [txHash], label, { journalEntry });
+        }
+
+        throw new Error(`Could not replace nonce ${nonce} after ${settings.maxReplacements + 1} attempts`);
+    }
+
+    /**
+     * Build, sign, send and await a transaction
+     * @param {Object} params - Transaction parameters (see buildTransaction)
+     * @param {string} label - Human readable description for logging
+     * @returns {Promise<Object>} - Transaction receipt
+     */
+    async sendTransaction(params, label = 'transaction') {
+        const tx = await this.buildTransaction(params);
+        return await this.sendPreparedTransaction(tx, label, { abi: params.abi });
+    }
+}
+
+module.exports = TransactionManager;
\ No newline at end of file
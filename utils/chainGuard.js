@@ -0,0 +1,103 @@
+const chalk = require('chalk');
+const { HttpProvider, Web3 } = require('web3');
+const constants = require('./constants');
+const { getTimestamp } = require('./delayUtils');
+
+// Chain IDs of networks where transactions cost real money
+const MAINNET_CHAIN_IDS = {
+    1: 'Ethereum Mainnet',
+    10: 'OP Mainnet',
+    56: 'BNB Smart Chain',
+    100: 'Gnosis',
+    137: 'Polygon PoS',
+    250: 'Fantom Opera',
+    324: 'zkSync Era',
+    1101: 'Polygon zkEVM',
+    5000: 'Mantle',
+    8453: 'Base',
+    42161: 'Arbitrum One',
+    42220: 'Celo',
+    43114: 'Avalanche C-Chain',
+    59144: 'Linea',
+    81457: 'Blast',
+    534352: 'Scroll'
+};
+
+/**
+ * Ask one endpoint for its chain ID and genesis block hash
+ * @param {string} url - RPC endpoint
+ * @returns {Promise<Object>} - { chainId, genesisHash }
+ */
+async function getChainIdentity(url) {
+    const signal = AbortSignal.timeout(constants.RPC.REQUEST_TIMEOUT_SECONDS * 1000);
+    const web3 = new Web3(new HttpProvider(url, { providerOptions: { signal } }));
+    const chainId = Number(await web3.eth.getChainId());
+    const genesis = await web3.eth.getBlock(0);
+    return { chainId, genesisHash: genesis.hash.toLowerCase() };
+}
+
+/**
+ * Check that the RPC endpoints serve the chain the network profile describes.
+ * Every endpoint must report the profile's chain ID and, when the profile pins one,
+ * its genesis hash. Known mainnets are refused unless explicitly allowed.
+ * @param {Object} network - Active network profile
+ * @param {Object} [options]
+ * @param {boolean} [options.allowMainnet] - Allow running against a known mainnet chain ID
+ * @returns {Promise<Object>} - { chainId, genesisHash } reported by the endpoints
+ * @throws {Error} - On a mismatch, a refused mainnet, or when no endpoint answers
+ */
+async function verifyChain(network, { allowMainnet = false } = {}) {
+    const mainnetName = MAINNET_CHAIN_IDS[network.chainId];
+    if (mainnetName && !allowMainnet) {
+        throw new Error(`Network "${network.name}" is ${mainnetName} (chainId ${network.chainId}); refusing to run without --allow-mainnet`);
+    }
+
+    let identity = null;
+
+    for (const url of network.rpcUrls) {
+        let endpointIdentity;
+        try {
+            endpointIdentity = await getChainIdentity(url);
+        } catch (error) {
+            // An unreachable endpoint is the RPC pool's problem, not a wrong chain
+            console.log(chalk.yellow(`${getTimestamp()} ⚠ Could not check chain of ${url}: ${error.message}`));
+            continue;
+        }
+
+        if (endpointIdentity.chainId !== network.chainId) {
+            const served = MAINNET_CHAIN_IDS[endpointIdentity.chainId] ? ` (${MAINNET_CHAIN_IDS[endpointIdentity.chainId]})` : '';
+            throw new Error(`${url} serves chainId ${endpointIdentity.chainId}${served} but network "${network.name}" expects ${network.chainId}`);
+        }
+
+        if (network.genesisHash && endpointIdentity.genesisHash !== network.genesisHash.toLowerCase()) {
+            throw new Error(`${url} has genesis block ${endpointIdentity.genesisHash} but network "${network.name}" expects ${network.genesisHash}`);
+        }
+
+        // Endpoints of one network must agree with each other even if the profile pins no genesis hash
+        if (identity && endpointIdentity.genesisHash !== identity.genesisHash) {
+            throw new Error(`${url} has genesis block ${endpointIdentity.genesisHash} but other endpoints of "${network.name}" have ${identity.genesisHash}`);
+        }
+
+        identity = endpointIdentity;
+    }
+
+    if (!identity) {
+        throw new Error(`None of the RPC endpoints of "${network.name}" could be reached`);
+    }
+
+    if (mainnetName) {
+        console.log(chalk.red.bold(`${getTimestamp()} ⚠ Running against ${mainnetName} (chainId ${network.chainId}), transactions spend real funds`));
+    }
+
+    if (!network.genesisHash) {
+        console.log(chalk.cyan(`${getTimestamp()} ℹ Genesis hash ${identity.genesisHash}, set genesis_hash in the "${network.name}" profile to pin it`));
+    }
+
+    console.log(chalk.green(`${getTimestamp()} ✓ Chain check passed: chainId ${identity.chainId}`));
+    return identity;
+}
+
+module.exports = {
+    MAINNET_CHAIN_IDS,
+    verifyChain
+};
\ No newline at end of file
@@ -9,6 +9,14 @@ module.exports = {
       CURRENCY_SYMBOL: "ZCX"    // Updated currency symbol
     },
     
+    // RPC endpoint health checks and failover
+    RPC: {
+      HEALTH_CHECK_INTERVAL_SECONDS: 30,  // Interval between block height / latency / chainId probes
+      REQUEST_TIMEOUT_SECONDS: 15,        // Requests slower than this fail over to another endpoint
+      MAX_BLOCK_LAG: 5,                   // Blocks an endpoint may trail the highest one before it is skipped
+      MAX_LATENCY_MS: 5000                // Probe latency above which an endpoint is skipped
+    },
+    
     // Faucet information
     FAUCET: {
       FAUCET_API_URL: "https://faucet.zenchain.io/api",  // Updated faucet URL
@@ -23,6 +31,10 @@ module.exports = {
       MIN_GWEI: 0.0001,
       MAX_GWEI: 200,
       DEFAULT_GAS: 150000,
+      FEE_MODE: "legacy",          // "legacy", "eip1559" or "auto"
+      FEE_HISTORY_BLOCKS: 10,      // Blocks sampled with eth_feeHistory
+      FEE_HISTORY_PERCENTILE: 50,  // Priority fee percentile taken from each block
+      BASE_FEE_MULTIPLIER: 2       // Headroom over the next block's base fee
     },
     
     // Retry and timeout settings
@@ -34,6 +46,64 @@ module.exports = {
       MEMPOOL_RETRY_MULTIPLIER: 3
     },
     
+    // Pending transaction monitoring
+    PENDING_TX: {
+      TIMEOUT_SECONDS: 180,        // Time without a receipt before a transaction counts as stuck
+      POLL_INTERVAL_SECONDS: 3,    // Interval between receipt checks
+      MAX_REPLACEMENTS: 3          // Same-nonce fee bumps before giving up
+    },
+    
+    // Transaction journal
+    JOURNAL: {
+      FILE: "data/transactions.jsonl"  // Append-only JSONL log of every sent transaction
+    },
+    
+    // Cycle progress, used to resume an interrupted cycle
+    PROGRESS: {
+      FILE: "data/progress.json"
+    },
+    
+    // Report written at the end of every cycle
+    REPORT: {
+      FORMAT: "json",              // "json", "markdown" or "html"
+      DIRECTORY: "data/reports"    // One file per cycle, named after its start time
+    },
+    
+    // Encrypted wallet keystores (Web3 Secret Storage V3), used instead of pk.txt when enabled
+    KEYSTORE: {
+      DIR: "keystore",
+      PASSPHRASE_ENV: "KEYSTORE_PASSPHRASE"  // Environment variable read before prompting for the passphrase
+    },
+    
+    // Optional wallet manifest with labels, tags and per-wallet operations (JSON or CSV)
+    WALLETS: {
+      MANIFEST: "wallets.json"
+    },
+    
+    // Custom operations, loaded from this directory and run when listed in operations_to_run
+    PLUGINS: {
+      DIRECTORY: "plugins"
+    },
+    
+    // Defaults for steps of the pipelines defined in config.json
+    PIPELINES: {
+      RETRY_ATTEMPTS: 1,       // Attempts per step unless the step sets retry.attempts
+      RETRY_DELAY_SECONDS: 10  // Wait between attempts unless the step sets retry.delay_seconds
+    },
+    
+    // Wallets processed at the same time; each worker runs one wallet's operations at a time
+    WORKERS: {
+      CONCURRENCY: 1,
+      OUTPUT: "prefix"  // "prefix" tags every line with its wallet, "buffer" prints each wallet's output when it finishes
+    },
+    
+    // Transaction signing: "local" keeps keys in this process, "remote" asks a Clef-compatible signer
+    SIGNER: {
+      TYPE: "local",
+      URL: "http://127.0.0.1:8550",
+      TIMEOUT_SECONDS: 300  // Remote signers may wait for a human to approve each transaction
+    },
+    
     // Token transfer
     TRANSFER: {
       AMOUNT_PERCENTAGE: 90
@@ -417,5 +487,29 @@ module.exports = {
     DELAY: {
       MIN_SECONDS: 2,
       MAX_SECONDS: 10
+    },
+    
+    // Process exit codes of the command-line interface
+    EXIT_CODES: {
+      SUCCESS: 0,
+      ERROR: 1,               // The command failed
+      USAGE: 2,               // Unknown command or invalid arguments
+      OPERATIONS_FAILED: 3,   // The run finished but at least one operation failed
+      CHAIN_CHECK_FAILED: 4,  // The RPC is unreachable, serves another chain, or a mainnet without --allow-mainnet
+      INTERRUPTED: 5          // Stopped by SIGINT/SIGTERM before all operations ran
+    },
+    
+    // Graceful shutdown on SIGINT/SIGTERM
+    SHUTDOWN: {
+      TIMEOUT_SECONDS: 120    // How long to wait for receipts of already-broadcast transactions
+    },
+    
+    // When "run" starts a new cycle, unless "schedule" in config.json says otherwise
+    SCHEDULE: {
+      INTERVAL_HOURS: 8,                  // Hours from the end of one cycle to the start of the next
+      MISSED_RUNS: "run",                 // "run" catches up on a missed run at once, "skip" waits for the next one
+      GRACE_SECONDS: 300,                 // A run this late still counts as on time
+      LOG_INTERVAL_MINUTES: 60,           // How often to log the time left while waiting
+      STATE_FILE: "data/schedule.json"    // When the last cycle ran, so restarts keep the schedule
     }
   };
\ No newline at end of file
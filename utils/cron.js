@@ -0,0 +1,159 @@
+// Standard five-field cron expressions: minute hour day-of-month month day-of-week, in local time
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *'
+};
+
+// Look no further than this for the next match, e.g. "0 0 31 2 *" never matches
+const MAX_SEARCH_DAYS = 366 * 5;
+
+// Parse one value of a field, accepting month and weekday names
+function parseValue(value, field, expression) {
+    const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+    const number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) : Number(value);
+
+    if (!Number.isInteger(number) || number < field.min || number > field.max) {
+        throw new Error(`Invalid ${field.name} "${value}" in cron expression "${expression}"`);
+    }
+    return number;
+}
+
+// Expand one field ("*", "*/15", "1-5", "mon-fri", "0,30") into the set of values it allows
+function parseField(text, field, expression) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        if (!Number.isInteger(step) || step < 1) {
+            throw new Error(`Invalid step "${stepText}" in cron expression "${expression}"`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            const [from, to] = range.split('-');
+            start = parseValue(from, field, expression);
+            end = parseValue(to, field, expression);
+        } else {
+            start = parseValue(range, field, expression);
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (start > end) {
+            throw new Error(`Invalid range "${range}" in cron expression "${expression}"`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields or a macro such as @daily
+ * @returns {Object} - Allowed values per field
+ * @throws {Error} - If the expression is malformed
+ */
+function parseCron(expression) {
+    const expanded = MACROS[expression.trim().toLowerCase()] || expression.trim();
+    const parts = expanded.split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Cron expression "${expression}" must have 5 fields (minute hour day-of-month month day-of-week)`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index], expression));
+
+    // 7 is Sunday too
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+    }
+
+    return {
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        // Like cron, when both day fields are restricted a day matching either one runs
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+}
+
+// Whether the schedule runs on the day of a date
+function matchesDay(schedule, date) {
+    const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+    const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Next time a cron expression matches, strictly after a given time
+ * @param {string|Object} expression - Cron expression, or one parsed with parseCron
+ * @param {Date} after - Time to search from
+ * @returns {Date}
+ * @throws {Error} - If the expression never matches
+ */
+function getNextCronTime(expression, after) {
+    const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    while (date.getTime() <= limit) {
+        if (!schedule.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!matchesDay(schedule, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!schedule.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+
+    throw new Error(`Cron expression "${typeof expression === 'string' ? expression : 'given'}" never matches`);
+}
+
+module.exports = {
+    parseCron,
+    getNextCronTime
+};
\ No newline at end of file
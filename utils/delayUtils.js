@@ -1,5 +1,18 @@
 const chalk = require('chalk');
 const constants = require('./constants');
+const { sleep } = require('./shutdown');
+
+// Labels from the wallet manifest, shown next to the wallet number in log prefixes
+const walletLabels = new Map();
+
+// Remember a wallet's label for every later log line; null clears it
+function setWalletLabel(walletNum, label) {
+    if (label) {
+        walletLabels.set(walletNum, label);
+    } else {
+        walletLabels.delete(walletNum);
+    }
+}
 
 /**
  * Get a timestamp string for logging
@@ -10,7 +23,8 @@ function getTimestamp(walletNum = null) {
     const now = new Date();
     const timestamp = now.toLocaleTimeString('en-US', { hour12: false });
     if (walletNum !== null) {
-        return `[${timestamp} - Wallet ${walletNum}]`;
+        const label = walletLabels.get(walletNum);
+        return `[${timestamp} - Wallet ${walletNum}${label ? ` (${label})` : ''}]`;
     }
     return `[${timestamp}]`;
 }
@@ -20,21 +34,20 @@ function getTimestamp(walletNum = null) {
  * @param {Object} config - The configuration object
  * @param {number} walletNum - The wallet number for logging
  * @param {string} operationName - The name of the operation (for logging)
- * @returns {Promise<void>}
+ * @returns {Promise<boolean>} - False if cut short by a shutdown or the delay failed
  */
 async function addRandomDelay(config, walletNum, operationName = 'next transaction') {
     try {
-        // Get min and max delay from config or use defaults
-        const minDelay = config?.delay?.min_seconds || constants.DELAY.MIN_SECONDS;
-        const maxDelay = config?.delay?.max_seconds || constants.DELAY.MAX_SECONDS;
+        // Get min and max delay from config or use defaults (0 disables the delay)
+        const minDelay = config?.delay?.min_seconds ?? constants.DELAY.MIN_SECONDS;
+        const maxDelay = config?.delay?.max_seconds ?? constants.DELAY.MAX_SECONDS;
         
         // Generate random delay within the specified range
         const delay = Math.floor(Math.random() * (maxDelay - minDelay + 1)) + minDelay;
         
         console.log(chalk.yellow(`${getTimestamp(walletNum)} ⌛ Waiting ${delay} seconds before ${operationName}...`));
-        await new Promise(resolve => setTimeout(resolve, delay * 1000));
-        
-        return true;
+        // Cut short by a shutdown, since nothing is sent after it anyway
+        return await sleep(delay * 1000);
     } catch (error) {
         console.log(chalk.red(`${getTimestamp(walletNum)} ✗ Error in delay function: ${error.message}`));
         // Continue execution even if delay fails
@@ -44,5 +57,6 @@ async function addRandomDelay(config, walletNum, operationName = 'next transacti
 
 module.exports = {
     addRandomDelay,
-    getTimestamp
+    getTimestamp,
+    setWalletLabel
 };
\ No newline at end of file
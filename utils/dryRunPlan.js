@@ -0,0 +1,88 @@
+// Transactions planned during a dry run, in the order they would have been sent
+const plannedTransactions = [];
+
+// Contract addresses that only exist in the dry run
+const simulatedContracts = new Set();
+
+/**
+ * Record a transaction that was built and simulated instead of being sent
+ * @param {Object} entry - Planned transaction details
+ * @param {number|null} entry.walletNum - Wallet number for grouping
+ * @param {string} entry.address - Sender address
+ * @param {string} entry.label - Human readable description
+ * @param {Object} entry.tx - Built transaction (nonce, fees, gas limit)
+ * @param {bigint} entry.maxCost - Worst-case fee cost in wei
+ * @param {string|null} entry.contractAddress - Address a deployment would create
+ * @param {string|null} entry.error - Revert reason if the simulation failed, or the budget error
+ * @param {boolean} entry.overBudget - Whether the transaction was skipped for exceeding a spend budget
+ */
+function recordPlannedTransaction({ walletNum, address, label, tx, maxCost, contractAddress = null, error = null, overBudget = false }) {
+    plannedTransactions.push({
+        walletNum,
+        address,
+        label,
+        to: tx.to || null,
+        nonce: Number(tx.nonce),
+        value: BigInt(tx.value || 0),
+        gas: BigInt(tx.gas),
+        maxFeePerGas: BigInt(tx.maxFeePerGas || tx.gasPrice || 0),
+        maxCost,
+        contractAddress,
+        // Gas for calls into a contract that was never deployed can only be estimated roughly
+        approximate: Boolean(tx.to && simulatedContracts.has(tx.to.toLowerCase())),
+        error,
+        overBudget
+    });
+
+    if (contractAddress && !error) {
+        simulatedContracts.add(contractAddress.toLowerCase());
+    }
+}
+
+// All planned transactions so far
+function getPlannedTransactions() {
+    return [...plannedTransactions];
+}
+
+/**
+ * Group planned transactions per wallet with gas and cost totals
+ * @returns {Array<Object>} - { walletNum, address, transactions, totalGas, totalCost, failed, overBudget }
+ */
+function summarizePlan() {
+    const wallets = new Map();
+
+    for (const entry of plannedTransactions) {
+        const key = entry.address.toLowerCase();
+        if (!wallets.has(key)) {
+            wallets.set(key, {
+                walletNum: entry.walletNum,
+                address: entry.address,
+                transactions: [],
+                totalGas: BigInt(0),
+                totalCost: BigInt(0),
+                failed: 0,
+                overBudget: 0
+            });
+        }
+
+        const wallet = wallets.get(key);
+        wallet.transactions.push(entry);
+
+        if (entry.overBudget) {
+            wallet.overBudget++;
+        } else if (entry.error) {
+            wallet.failed++;
+        } else {
+            wallet.totalGas += entry.gas;
+            wallet.totalCost += entry.maxCost;
+        }
+    }
+
+    return [...wallets.values()];
+}
+
+module.exports = {
+    recordPlannedTransaction,
+    getPlannedTransactions,
+    summarizePlan
+};
\ No newline at end of file
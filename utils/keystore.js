@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const { Web3 } = require('web3');
+const constants = require('./constants');
+const { registerSecret, MIN_SECRET_LENGTH } = require('./redact');
+
+// Keystore files are named wallet-<number>-<address>.json so they load in wallet order
+const KEYSTORE_FILE_PATTERN = /^wallet-(\d+)-(0x[0-9a-f]{40})\.json$/i;
+
+// Used only for keystore encryption, never connected to a network
+const web3 = new Web3();
+
+// Directory holding the wallet keystores, from "keystore" in config.json
+function getKeystoreDir(config = {}) {
+    return path.resolve((config.keystore && config.keystore.dir) || constants.KEYSTORE.DIR);
+}
+
+/**
+ * Read a passphrase without echoing it to the terminal
+ * @param {string} question - Prompt to show
+ * @returns {Promise<string>}
+ */
+function promptHidden(question) {
+    return new Promise((resolve, reject) => {
+        if (!process.stdin.isTTY) {
+            reject(new Error(`No terminal to ask for the keystore passphrase, set ${constants.KEYSTORE.PASSPHRASE_ENV} instead`));
+            return;
+        }
+
+        const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+        process.stdout.write(question);
+
+        // Swallow the echo of every typed character
+        rl._writeToOutput = () => {};
+
+        rl.question('', answer => {
+            rl.close();
+            process.stdout.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+// Shorter passphrases could not be redacted from logs, so they are refused
+function checkPassphraseLength(passphrase) {
+    if (passphrase.length < MIN_SECRET_LENGTH) {
+        throw new Error(`The keystore passphrase must be at least ${MIN_SECRET_LENGTH} characters long`);
+    }
+}
+
+/**
+ * Get the keystore passphrase from the environment, or ask for it on the terminal
+ * @param {Object} [options]
+ * @param {boolean} [options.confirm] - Ask twice, for passphrases that are about to encrypt keys
+ * @returns {Promise<string>}
+ */
+async function getPassphrase({ confirm = false } = {}) {
+    const fromEnv = process.env[constants.KEYSTORE.PASSPHRASE_ENV];
+    if (fromEnv) {
+        checkPassphraseLength(fromEnv);
+        registerSecret(fromEnv);
+        return fromEnv;
+    }
+
+    const passphrase = await promptHidden('Keystore passphrase: ');
+    checkPassphraseLength(passphrase);
+    registerSecret(passphrase);
+
+    if (confirm && await promptHidden('Repeat passphrase: ') !== passphrase) {
+        throw new Error('Passphrases do not match');
+    }
+
+    return passphrase;
+}
+
+// Address a keystore file belongs to, read from its name; null if it is not a keystore file name
+function getKeystoreAddress(fileName) {
+    const match = path.basename(fileName).match(KEYSTORE_FILE_PATTERN);
+    return match ? match[2].toLowerCase() : null;
+}
+
+// Keystore files in a directory, in wallet order; none if the directory does not exist
+async function listKeystoreFiles(dir) {
+    const names = await fs.readdir(dir).catch(error => {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    });
+
+    return names
+        .map(name => ({ name, match: name.match(KEYSTORE_FILE_PATTERN) }))
+        .filter(entry => entry.match)
+        .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+        .map(entry => ({ file: path.join(dir, entry.name), walletNum: Number(entry.match[1]), address: entry.match[2].toLowerCase() }));
+}
+
+/**
+ * Decrypt every keystore in the configured directory
+ * @param {Object} config - Root configuration object
+ * @param {string} passphrase - Passphrase the keystores were encrypted with
+ * @returns {Promise<string[]>} - Private keys in wallet order
+ * @throws {Error} - If there are no keystores or one does not decrypt
+ */
+async function loadKeystores(config, passphrase) {
+    const dir = getKeystoreDir(config);
+    const files = await listKeystoreFiles(dir);
+
+    if (files.length === 0) {
+        throw new Error(`No keystore files found in ${dir}, run "node index.js import" first`);
+    }
+
+    const privateKeys = [];
+    for (const { file } of files) {
+        const keystore = JSON.parse(await fs.readFile(file, 'utf8'));
+        try {
+            const account = await web3.eth.accounts.decrypt(keystore, passphrase);
+            registerSecret(account.privateKey);
+            privateKeys.push(account.privateKey);
+        } catch (error) {
+            throw new Error(`Could not decrypt ${path.basename(file)}: ${error.message}`);
+        }
+    }
+
+    return privateKeys;
+}
+
+/**
+ * Encrypt private keys into keystore files, skipping wallets that already have one
+ * @param {Object} config - Root configuration object
+ * @param {string[]} privateKeys - Private keys in wallet order
+ * @param {string} passphrase - Passphrase to encrypt with
+ * @returns {Promise<Object>} - { written, skipped, dir }
+ */
+async function importPrivateKeys(config, privateKeys, passphrase) {
+    const dir = getKeystoreDir(config);
+    await fs.mkdir(dir, { recursive: true });
+
+    const existing = await listKeystoreFiles(dir);
+    const knownAddresses = new Set(existing.map(entry => entry.address));
+    let nextWalletNum = existing.length > 0 ? existing[existing.length - 1].walletNum + 1 : 1;
+
+    const written = [];
+    let skipped = 0;
+
+    for (const privateKey of privateKeys) {
+        const account = web3.eth.accounts.privateKeyToAccount(privateKey.startsWith('0x') ? privateKey : '0x' + privateKey);
+        if (knownAddresses.has(account.address.toLowerCase())) {
+            skipped++;
+            continue;
+        }
+
+        const keystore = await web3.eth.accounts.encrypt(account.privateKey, passphrase);
+        const name = `wallet-${String(nextWalletNum).padStart(3, '0')}-${account.address.toLowerCase()}.json`;
+
+        // Owner-only, the file is only as safe as its passphrase
+        await fs.writeFile(path.join(dir, name), JSON.stringify(keystore, null, 2), { mode: 0o600 });
+
+        knownAddresses.add(account.address.toLowerCase());
+        written.push(account.address);
+        nextWalletNum++;
+    }
+
+    return { written, skipped, dir };
+}
+
+module.exports = {
+    getKeystoreDir,
+    getKeystoreAddress,
+    getPassphrase,
+    loadKeystores,
+    importPrivateKeys
+};
\ No newline at end of file
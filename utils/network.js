@@ -0,0 +1,121 @@
+const constants = require('./constants');
+
+// Profile used when neither the CLI, the environment nor config.json picks one
+const DEFAULT_NETWORK = 'zenchain-testnet';
+
+// Environment variable that selects the network profile
+const NETWORK_ENV_VAR = 'NETWORK_PROFILE';
+
+// Profile selected with selectNetwork(), null until then
+let activeNetwork = null;
+
+// Built-in profile from constants.NETWORK, used when config.json defines no profiles
+function getDefaultProfile() {
+    return {
+        name: DEFAULT_NETWORK,
+        displayName: constants.NETWORK.NAME,
+        chainId: constants.NETWORK.CHAIN_ID,
+        rpcUrls: [constants.NETWORK.RPC_URL],
+        explorer: {
+            tx: `${constants.NETWORK.EXPLORER_URL}/tx/{hash}`,
+            address: `${constants.NETWORK.EXPLORER_URL}/address/{address}`
+        },
+        currency: constants.NETWORK.CURRENCY_SYMBOL,
+        feeMode: null,
+        genesisHash: null
+    };
+}
+
+/**
+ * Work out which profile to use: --network flag, then the NETWORK_PROFILE environment
+ * variable, then "network" in config.json
+ * @param {Object} config - Root configuration object
+ * @param {string} [cliName] - Value of the --network flag
+ * @returns {string} - Profile name
+ */
+function resolveNetworkName(config = {}, cliName = undefined) {
+    return cliName || process.env[NETWORK_ENV_VAR] || config.network || DEFAULT_NETWORK;
+}
+
+/**
+ * Turn a profile from config.json into the shape the rest of the tool reads
+ * @param {string} name - Profile name
+ * @param {Object} profile - Profile as written in config.json
+ * @returns {Object} - { name, displayName, chainId, rpcUrls, explorer, currency, feeMode, genesisHash }
+ */
+function normalizeProfile(name, profile) {
+    if (!Number.isInteger(profile.chain_id)) {
+        throw new Error(`Network "${name}" needs an integer chain_id`);
+    }
+    if (!Array.isArray(profile.rpc_urls) || profile.rpc_urls.length === 0) {
+        throw new Error(`Network "${name}" needs at least one entry in rpc_urls`);
+    }
+
+    const explorer = profile.explorer || {};
+    return {
+        name: name,
+        displayName: profile.name || name,
+        chainId: profile.chain_id,
+        rpcUrls: profile.rpc_urls,
+        explorer: {
+            tx: explorer.tx_url || null,
+            address: explorer.address_url || null
+        },
+        currency: profile.currency || 'ETH',
+        feeMode: profile.fee_mode || null,
+        genesisHash: profile.genesis_hash || null
+    };
+}
+
+/**
+ * Select the active network profile for this process
+ * @param {Object} config - Root configuration object
+ * @param {string} [cliName] - Value of the --network flag
+ * @returns {Object} - The selected profile
+ * @throws {Error} - If the profile does not exist or is incomplete
+ */
+function selectNetwork(config = {}, cliName = undefined) {
+    const name = resolveNetworkName(config, cliName);
+    const profiles = config.networks || {};
+
+    if (profiles[name]) {
+        activeNetwork = normalizeProfile(name, profiles[name]);
+    } else if (name === DEFAULT_NETWORK) {
+        activeNetwork = getDefaultProfile();
+    } else {
+        const known = [...new Set([DEFAULT_NETWORK, ...Object.keys(profiles)])].join(', ');
+        throw new Error(`Unknown network "${name}", expected one of: ${known}`);
+    }
+
+    return activeNetwork;
+}
+
+// The active profile, or the built-in Zenchain testnet profile if none was selected
+function getActiveNetwork() {
+    return activeNetwork || getDefaultProfile();
+}
+
+// Fill a {placeholder} explorer template, falling back to the bare value when the network has no explorer
+function fillExplorerTemplate(template, placeholder, value) {
+    return template ? template.replace(`{${placeholder}}`, value) : value;
+}
+
+// Explorer link for a transaction on the active network
+function getTxUrl(txHash) {
+    return fillExplorerTemplate(getActiveNetwork().explorer.tx, 'hash', txHash);
+}
+
+// Explorer link for an address or contract on the active network
+function getAddressUrl(address) {
+    return fillExplorerTemplate(getActiveNetwork().explorer.address, 'address', address);
+}
+
+module.exports = {
+    DEFAULT_NETWORK,
+    NETWORK_ENV_VAR,
+    resolveNetworkName,
+    selectNetwork,
+    getActiveNetwork,
+    getTxUrl,
+    getAddressUrl
+};
\ No newline at end of file
@@ -0,0 +1,88 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const chalk = require('chalk');
+const { getTimestamp } = require('./delayUtils');
+
+// Result of the operation running in the current async context, so transaction managers
+// created deep inside a manager report into it without being handed anything
+const currentResult = new AsyncLocalStorage();
+
+/**
+ * Run one operation and collect what it did
+ * @param {Object} meta - { operation, walletNum, address, walletLabel }
+ * @param {Function} fn - The operation; resolves to true (succeeded), false (failed) or null (skipped).
+ *   An operation that throws counts as failed with the error's message, so the cycle goes on.
+ * @returns {Promise<Object>} - { operation, walletNum, address, walletLabel, status, startedAt, durationMs,
+ *   transactions, contracts, gasUsed, cost, errors }; gasUsed and cost (in wei) are BigInts
+ */
+async function collectOperationResult({ operation, walletNum, address, walletLabel = null }, fn) {
+    const result = {
+        operation,
+        walletNum,
+        address,
+        walletLabel,
+        status: null,
+        startedAt: new Date().toISOString(),
+        durationMs: 0,
+        transactions: [],
+        contracts: [],
+        gasUsed: BigInt(0),
+        cost: BigInt(0),
+        errors: []
+    };
+
+    const startTime = Date.now();
+    try {
+        const success = await currentResult.run(result, fn);
+        result.status = success === null ? 'skipped' : success ? 'succeeded' : 'failed';
+        return result;
+    } catch (error) {
+        console.log(chalk.red(`${getTimestamp(walletNum)} ✗ Error in ${operation}: ${error.message}`));
+        result.status = 'failed';
+        result.errors.push(error.message || String(error));
+        return result;
+    } finally {
+        result.durationMs = Date.now() - startTime;
+    }
+}
+
+/**
+ * Add a transaction to the result of the running operation; does nothing outside one
+ * @param {Object} transaction
+ * @param {string} transaction.label - Human readable description
+ * @param {string|null} transaction.hash - Hash, null if it never reached the network
+ * @param {string} transaction.status - "confirmed", "planned" (dry run), "reverted", "dropped", "stuck" or "failed"
+ * @param {bigint|null} transaction.gasUsed - Gas used, or estimated for a dry run
+ * @param {bigint|null} transaction.cost - Fee paid in wei, or the maximum for a dry run
+ * @param {string|null} transaction.contractAddress - Address of a deployed contract
+ * @param {string|null} transaction.error - Why it failed
+ */
+function recordTransactionResult({ label, hash = null, status, gasUsed = null, cost = null, contractAddress = null, error = null }) {
+    const result = currentResult.getStore();
+    if (!result) {
+        return;
+    }
+
+    result.transactions.push({ label, hash, status, gasUsed, cost, contractAddress, error });
+    result.gasUsed += gasUsed === null ? BigInt(0) : BigInt(gasUsed);
+    result.cost += cost === null ? BigInt(0) : BigInt(cost);
+    if (contractAddress) {
+        result.contracts.push(contractAddress);
+    }
+    if (error) {
+        result.errors.push(error);
+    }
+}
+
+// Add an error that stopped the running operation outside of a transaction
+function recordOperationError(error) {
+    const result = currentResult.getStore();
+    if (result) {
+        result.errors.push(error.message || String(error));
+    }
+}
+
+module.exports = {
+    collectOperationResult,
+    recordTransactionResult,
+    recordOperationError
+};
\ No newline at end of file
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const constants = require('./constants');
+const { getTimestamp } = require('./delayUtils');
+const TransactionManager = require('./TransactionManager');
+
+// A plugin is a module in the plugins directory (a .js file, or a folder with an index.js) exporting:
+//   name          - Operation name, used in operations_to_run and the wallet manifest
+//   description   - Optional one-line summary
+//   configSchema  - Optional settings, { key: { type, default, required, description } }, read from plugins.settings.<name>
+//   execute(context) - Async; returns true on success, false on failure, null when skipped (undefined counts as success)
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const SETTING_TYPES = ['string', 'number', 'boolean', 'array', 'object'];
+
+// Modules already loaded, per plugins directory
+const loadedDirectories = new Map();
+
+// Type of a setting value as the schema names it
+function getSettingType(value) {
+    return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+
+// Check the exports of one plugin module
+function validatePlugin(plugin, file) {
+    if (!plugin || typeof plugin.name !== 'string' || !NAME_PATTERN.test(plugin.name)) {
+        throw new Error(`Plugin ${file} must export a "name" made of lowercase letters, digits and underscores`);
+    }
+    if (typeof plugin.execute !== 'function') {
+        throw new Error(`Plugin ${plugin.name} (${file}) must export an execute(context) function`);
+    }
+
+    const schema = plugin.configSchema || {};
+    for (const [key, setting] of Object.entries(schema)) {
+        if (!setting || !SETTING_TYPES.includes(setting.type)) {
+            throw new Error(`Plugin ${plugin.name} setting "${key}" needs a type, one of ${SETTING_TYPES.join(', ')}`);
+        }
+        if (setting.default !== undefined && getSettingType(setting.default) !== setting.type) {
+            throw new Error(`Plugin ${plugin.name} setting "${key}" has a default that is not a ${setting.type}`);
+        }
+    }
+
+    return {
+        name: plugin.name,
+        description: plugin.description || '',
+        configSchema: { enabled: { type: 'boolean', default: true, description: 'Run this plugin when it is listed' }, ...schema },
+        execute: plugin.execute,
+        file
+    };
+}
+
+// Load every plugin module in a directory once
+function loadDirectory(directory) {
+    if (loadedDirectories.has(directory)) {
+        return loadedDirectories.get(directory);
+    }
+
+    const plugins = [];
+    if (fs.existsSync(directory)) {
+        for (const entry of fs.readdirSync(directory, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name))) {
+            const file = path.join(directory, entry.name);
+            const isModule = entry.isFile() ? entry.name.endsWith('.js') : entry.isDirectory() && fs.existsSync(path.join(file, 'index.js'));
+            if (isModule) {
+                plugins.push(validatePlugin(require(file), file));
+            }
+        }
+    }
+
+    loadedDirectories.set(directory, plugins);
+    return plugins;
+}
+
+/**
+ * Apply a plugin's schema to its settings from config.json
+ * @param {Object} plugin - Loaded plugin
+ * @param {Object} config - Root configuration object
+ * @returns {Object} - Settings with defaults filled in
+ * @throws {Error} - If a setting is missing, unknown or of the wrong type
+ */
+function resolvePluginSettings(plugin, config = {}) {
+    const given = ((config.plugins || {}).settings || {})[plugin.name] || {};
+    const settings = {};
+
+    const unknown = Object.keys(given).filter(key => !Object.hasOwn(plugin.configSchema, key));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown setting(s) ${unknown.join(', ')} for plugin ${plugin.name}, expected ${Object.keys(plugin.configSchema).join(', ')}`);
+    }
+
+    for (const [key, setting] of Object.entries(plugin.configSchema)) {
+        const value = given[key] ?? setting.default;
+        if (value === undefined) {
+            if (setting.required) {
+                throw new Error(`Plugin ${plugin.name} needs the setting plugins.settings.${plugin.name}.${key}`);
+            }
+            continue;
+        }
+        if (getSettingType(value) !== setting.type) {
+            throw new Error(`Plugin ${plugin.name} setting "${key}" must be a ${setting.type}, got ${getSettingType(value)}`);
+        }
+        settings[key] = value;
+    }
+
+    return settings;
+}
+
+/**
+ * Plugins in the configured directory, with their settings resolved
+ * @param {Object} config - Root configuration object
+ * @param {string[]} [reservedNames] - Names taken by built-in operations
+ * @returns {Array<Object>} - { name, description, configSchema, execute, file, settings }
+ * @throws {Error} - If a plugin is malformed, its name is taken or its settings are invalid
+ */
+function loadPlugins(config = {}, reservedNames = []) {
+    const directory = path.resolve((config.plugins || {}).directory || constants.PLUGINS.DIRECTORY);
+    const plugins = loadDirectory(directory);
+
+    const seen = new Set(reservedNames);
+    return plugins.map(plugin => {
+        if (seen.has(plugin.name)) {
+            throw new Error(`Plugin ${plugin.file} uses the name "${plugin.name}", which is already taken`);
+        }
+        seen.add(plugin.name);
+        return { ...plugin, settings: resolvePluginSettings(plugin, config) };
+    });
+}
+
+// Log lines in the format of the rest of the tool, prefixed with the wallet
+function createLogger(walletNum) {
+    return {
+        info: message => console.log(chalk.cyan(`${getTimestamp(walletNum)} ℹ ${message}`)),
+        success: message => console.log(chalk.green(`${getTimestamp(walletNum)} ✓ ${message}`)),
+        warn: message => console.log(chalk.yellow(`${getTimestamp(walletNum)} ⚠ ${message}`)),
+        error: message => console.log(chalk.red(`${getTimestamp(walletNum)} ✗ ${message}`))
+    };
+}
+
+/**
+ * Everything a plugin's execute() gets for one wallet
+ * @param {Object} plugin - Plugin from loadPlugins
+ * @param {Object} config - Root configuration object
+ * @param {Object} wallet - Wallet from the wallet manifest ({ walletNum, label, tags })
+ * @param {Object} connection - The wallet's { web3, signer } (see createWalletConnection)
+ * @returns {Object} - { name, settings, config, wallet, signer, web3, txManager, logger, dryRun }
+ */
+function createPluginContext(plugin, config, wallet, connection) {
+    // Journaled under the plugin's name; honours dry runs, spend budgets and the shared nonces
+    const txManager = new TransactionManager(connection.web3, connection.signer, config, { operation: plugin.name });
+    txManager.setWalletNum(wallet.walletNum);
+
+    return {
+        name: plugin.name,
+        settings: plugin.settings,
+        config,
+        wallet: { number: wallet.walletNum, address: connection.signer.address, label: wallet.label || null, tags: wallet.tags || [] },
+        signer: connection.signer,
+        web3: connection.web3,
+        txManager,
+        logger: createLogger(wallet.walletNum),
+        dryRun: Boolean(config.dry_run)
+    };
+}
+
+module.exports = {
+    loadPlugins,
+    createPluginContext
+};
\ No newline at end of file
@@ -0,0 +1,104 @@
+const util = require('util');
+
+// Replacement for anything scrubbed
+const REDACTED = '[REDACTED]';
+
+// Secrets shorter than this are not registered, they would match ordinary text
+const MIN_SECRET_LENGTH = 8;
+
+// Hex blobs longer than this (signed raw transactions, encrypted key material) are shortened
+const MAX_HEX_LENGTH = 256;
+
+// Exact secrets seen at runtime: private keys, the keystore passphrase, API keys
+const secrets = new Set();
+
+// Patterns scrubbed even when the secret was never registered
+const PATTERNS = [
+    // 32 bytes of hex without a 0x prefix, the way private keys sit in pk.txt.
+    // Hashes always carry the prefix, so they are left alone.
+    { pattern: /(?<![0-9a-fA-Fx])[0-9a-fA-F]{64}(?![0-9a-fA-F])/g, replace: () => REDACTED },
+
+    // Values of fields named like secrets, in JSON ("privateKey": "...") or key=value form
+    {
+        pattern: /(["']?(?:private_?key|secret_?key|passphrase|password|captcha_api_key|api_?key|client_?key)["']?\s*[:=]\s*["']?)([^"',\s}&]+)/gi,
+        replace: (match, name) => `${name}${REDACTED}`
+    },
+
+    // Signed payloads and other long hex blobs keep only their first bytes
+    {
+        pattern: new RegExp(`0x[0-9a-fA-F]{${MAX_HEX_LENGTH},}`, 'g'),
+        replace: match => `${match.slice(0, 10)}…[${(match.length - 2) / 2} bytes redacted]`
+    }
+];
+
+// Escape a string for use inside a regular expression
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Remember a secret so every later log line, error and report has it scrubbed.
+ * Hex secrets are matched with and without 0x, in any case.
+ * @param {string} secret - Private key, passphrase or API key
+ */
+function registerSecret(secret) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+        return;
+    }
+    secrets.add(/^(0x)?[0-9a-fA-F]+$/.test(secret) ? secret.replace(/^0x/, '').toLowerCase() : secret);
+}
+
+/**
+ * Scrub secrets from a string
+ * @param {string} text - Text about to be printed or persisted
+ * @returns {string}
+ */
+function redact(text) {
+    if (typeof text !== 'string' || text.length === 0) {
+        return text;
+    }
+
+    let result = text;
+    for (const secret of secrets) {
+        result = result.replace(new RegExp(escapeRegExp(secret), 'gi'), REDACTED);
+    }
+    for (const { pattern, replace } of PATTERNS) {
+        result = result.replace(pattern, replace);
+    }
+    return result;
+}
+
+// Scrub any value by formatting it the way console.log would
+function redactValue(value) {
+    return redact(typeof value === 'string' ? value : util.inspect(value, { depth: 4 }));
+}
+
+// Wrap a stream's write so every chunk passes through redact()
+function wrapStream(stream) {
+    const write = stream.write.bind(stream);
+    stream.write = (chunk, ...args) => write(typeof chunk === 'string' ? redact(chunk) : chunk, ...args);
+}
+
+let installed = false;
+
+/**
+ * Scrub everything written to stdout and stderr, which covers console output,
+ * spinners and uncaught error reports. Safe to call more than once.
+ */
+function installRedaction() {
+    if (installed) {
+        return;
+    }
+    installed = true;
+    wrapStream(process.stdout);
+    wrapStream(process.stderr);
+}
+
+module.exports = {
+    REDACTED,
+    MIN_SECRET_LENGTH,
+    registerSecret,
+    redact,
+    redactValue,
+    installRedaction
+};
\ No newline at end of file
@@ -0,0 +1,156 @@
+// Selectors of the two errors the Solidity compiler emits itself
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Panic codes as documented by Solidity
+const PANIC_CODES = {
+    0x00: 'generic compiler panic',
+    0x01: 'assertion failed',
+    0x11: 'arithmetic overflow or underflow',
+    0x12: 'division or modulo by zero',
+    0x21: 'invalid enum value',
+    0x22: 'invalid storage byte array encoding',
+    0x31: 'pop on empty array',
+    0x32: 'array index out of bounds',
+    0x41: 'out of memory',
+    0x51: 'call to uninitialized internal function'
+};
+
+/**
+ * Find the revert data returned by the node inside a (possibly nested) web3 error
+ * @param {Error} error - Error thrown by web3
+ * @returns {string|null} - Hex revert data, or null if the error carries none
+ */
+function extractRevertData(error) {
+    const seen = new Set();
+    const queue = [error];
+
+    while (queue.length > 0) {
+        const current = queue.shift();
+        if (!current || typeof current !== 'object' || seen.has(current)) {
+            continue;
+        }
+        seen.add(current);
+
+        if (typeof current.data === 'string' && /^0x([0-9a-fA-F]{2})*$/.test(current.data)) {
+            return current.data;
+        }
+
+        // web3 wraps the RPC error in cause/innerError, some providers use error or data objects
+        queue.push(current.cause, current.innerError, current.error, current.data);
+    }
+
+    return null;
+}
+
+// Format a decoded ABI value for display
+function formatValue(value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(formatValue).join(', ')}]`;
+    }
+    return String(value);
+}
+
+/**
+ * Decode revert data into a readable reason
+ * @param {Object} web3 - Web3 instance, used for ABI decoding
+ * @param {string} data - Hex revert data
+ * @param {Array} abi - Contract ABI, searched for custom errors
+ * @returns {string} - Human readable revert reason
+ */
+function decodeRevertData(web3, data, abi = []) {
+    if (!data || data === '0x') {
+        return 'reverted without a reason';
+    }
+
+    const selector = data.slice(0, 10).toLowerCase();
+    const encodedArgs = '0x' + data.slice(10);
+
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            return web3.eth.abi.decodeParameter('string', encodedArgs);
+        }
+
+        if (selector === PANIC_SELECTOR) {
+            const code = Number(web3.eth.abi.decodeParameter('uint256', encodedArgs));
+            const description = PANIC_CODES[code] || 'unknown panic';
+            return `Panic(0x${code.toString(16).padStart(2, '0')}): ${description}`;
+        }
+
+        // Custom error selectors are derived like function selectors, which web3 only computes for functions
+        const errorItem = (abi || []).find(item =>
+            item.type === 'error' && web3.eth.abi.encodeFunctionSignature({ ...item, type: 'function' }).toLowerCase() === selector
+        );
+
+        if (errorItem) {
+            const decoded = web3.eth.abi.decodeParameters(errorItem.inputs, encodedArgs);
+            const args = errorItem.inputs.map((input, index) => formatValue(decoded[index]));
+            return `${errorItem.name}(${args.join(', ')})`;
+        }
+    } catch (error) {
+        return `undecodable revert data ${data}`;
+    }
+
+    return `unknown custom error ${selector}`;
+}
+
+/**
+ * Replay a transaction with eth_call and decode why it reverts
+ * @param {Object} web3 - Web3 instance connected to the network
+ * @param {Object} tx - Transaction to replay (from, to, data, value)
+ * @param {Array} abi - Contract ABI, used to decode custom errors
+ * @param {string|number|bigint} blockNumber - Block whose resulting state to replay on; for a mined transaction,
+ *   the parent of the block it landed in, the state that block started from
+ * @returns {Promise<string|null>} - Revert reason, or null if the call no longer reverts or fails for another reason
+ */
+async function getRevertReason(web3, tx, abi = [], blockNumber = 'latest') {
+    const callObject = {
+        from: tx.from,
+        data: tx.data,
+        value: tx.value
+    };
+
+    if (tx.to) {
+        callObject.to = tx.to;
+    }
+
+    try {
+        await web3.eth.call(callObject, blockNumber);
+        return null;
+    } catch (error) {
+        return decodeError(web3, error, abi);
+    }
+}
+
+/**
+ * Turn a web3 error into a revert reason
+ * @param {Object} web3 - Web3 instance, used for ABI decoding
+ * @param {Error} error - Error thrown by web3
+ * @param {Array} abi - Contract ABI, used to decode custom errors
+ * @returns {string|null} - Revert reason, or null if the error is not a revert (e.g. a network failure)
+ */
+function decodeError(web3, error, abi = []) {
+    const data = extractRevertData(error);
+    if (data !== null) {
+        return decodeRevertData(web3, data, abi);
+    }
+
+    // Nodes that return no data usually still put the reason in the innermost message
+    let innermost = error;
+    while (innermost && (innermost.cause || innermost.innerError)) {
+        innermost = innermost.cause || innermost.innerError;
+    }
+    const message = (innermost && innermost.message) || error.message || '';
+    return /revert/i.test(message) ? message : null;
+}
+
+module.exports = {
+    PANIC_CODES,
+    extractRevertData,
+    decodeRevertData,
+    decodeError,
+    getRevertReason
+};
\ No newline at end of file
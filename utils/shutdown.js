@@ -0,0 +1,124 @@
+const constants = require('./constants');
+
+// Shutdown state shared by everything that sends or waits
+const state = {
+    requested: false,
+    reason: null,
+    exitCode: null
+};
+
+// Sleeps to cut short once shutdown is requested
+const sleepers = new Set();
+
+// Broadcast transactions whose receipts are still awaited
+const inFlight = new Set();
+
+// Callbacks given to installShutdownHandlers
+let handlers = null;
+let timeoutSeconds = constants.SHUTDOWN.TIMEOUT_SECONDS;
+let timeoutTimer = null;
+
+// Whether no new operations or transactions should be started
+function isShutdownRequested() {
+    return state.requested;
+}
+
+// Why and with which exit code the process is shutting down
+function getShutdownState() {
+    return { ...state };
+}
+
+/**
+ * Stop starting new work: sleeps return early, new sends are refused and in-flight
+ * transactions get until the shutdown timeout to be mined
+ * @param {string} reason - Signal name or other cause, for logging
+ * @param {number|null} [exitCode] - Exit code to end with, or null to decide from the results
+ * @returns {boolean} - False if a shutdown was already requested
+ */
+function requestShutdown(reason, exitCode = null) {
+    if (state.requested) {
+        return false;
+    }
+    state.requested = true;
+    state.reason = reason;
+    state.exitCode = exitCode;
+
+    for (const wake of sleepers) {
+        wake();
+    }
+
+    if (handlers) {
+        handlers.onRequest(reason, [...inFlight]);
+
+        // Don't let a stuck transaction hold the process forever; unref so a finished run exits at once
+        timeoutTimer = setTimeout(() => handlers.onTimeout([...inFlight]), timeoutSeconds * 1000);
+        timeoutTimer.unref();
+    }
+    return true;
+}
+
+/**
+ * Wait, or less if a shutdown is requested meanwhile
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<boolean>} - True if the full time passed, false if cut short by a shutdown
+ */
+function sleep(ms) {
+    if (state.requested) {
+        return Promise.resolve(false);
+    }
+    return new Promise(resolve => {
+        const wake = () => {
+            clearTimeout(timer);
+            sleepers.delete(wake);
+            resolve(false);
+        };
+        const timer = setTimeout(() => {
+            sleepers.delete(wake);
+            resolve(true);
+        }, ms);
+        sleepers.add(wake);
+    });
+}
+
+/**
+ * Register a broadcast transaction whose receipt is being awaited
+ * @param {Object} transaction - { hash, label, walletNum }
+ * @returns {Function} - Call once the transaction settled
+ */
+function trackInFlight(transaction) {
+    inFlight.add(transaction);
+    return () => inFlight.delete(transaction);
+}
+
+// Use the shutdown timeout from the "shutdown" section of config.json
+function configureShutdown(config = {}) {
+    timeoutSeconds = (config.shutdown || {}).timeout_seconds ?? constants.SHUTDOWN.TIMEOUT_SECONDS;
+}
+
+/**
+ * Handle SIGINT and SIGTERM: the first one requests a graceful shutdown, a second one forces the exit
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onRequest - (reason, inFlight) when a shutdown starts
+ * @param {Function} callbacks.onTimeout - (inFlight) when in-flight transactions outlast the timeout
+ * @param {Function} callbacks.onForce - (signal) on a second signal
+ */
+function installShutdownHandlers(callbacks) {
+    handlers = callbacks;
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, () => {
+            if (!requestShutdown(signal)) {
+                handlers.onForce(signal);
+            }
+        });
+    }
+}
+
+module.exports = {
+    isShutdownRequested,
+    getShutdownState,
+    requestShutdown,
+    sleep,
+    trackInFlight,
+    configureShutdown,
+    installShutdownHandlers
+};
\ No newline at end of file
@@ -0,0 +1,149 @@
+const { HttpProvider, Web3, utils } = require('web3');
+const constants = require('./constants');
+const { registerSecret } = require('./redact');
+
+// Used only to derive addresses from keys, never connected to a network
+const offlineWeb3 = new Web3();
+
+// Transaction fields a Clef-style signer expects as hex quantities
+const QUANTITY_FIELDS = ['nonce', 'gas', 'gasPrice', 'maxFeePerGas', 'maxPriorityFeePerGas', 'value', 'chainId'];
+
+// Keys of local signers, outside the objects so they never show up when one is logged or serialized
+const privateKeys = new WeakMap();
+
+// Signs with a private key held in this process
+class LocalSigner {
+    /**
+     * @param {string} privateKey - Wallet private key, with or without the 0x prefix
+     */
+    constructor(privateKey) {
+        if (!privateKey) {
+            throw new Error('A private key or an injected signer is required');
+        }
+        registerSecret(privateKey);
+
+        const key = privateKey.startsWith('0x') ? privateKey : '0x' + privateKey;
+        const account = offlineWeb3.eth.accounts.privateKeyToAccount(key);
+
+        this.type = 'local';
+        this.address = account.address;
+        privateKeys.set(this, key);
+    }
+
+    /**
+     * Sign a fully built transaction
+     * @param {Object} tx - Transaction with nonce, gas, fees and chainId set
+     * @param {Object} web3 - Web3 instance of the wallet's connection, used for chain context
+     * @returns {Promise<Object>} - { rawTransaction, transactionHash }
+     */
+    async signTransaction(tx, web3) {
+        const { rawTransaction, transactionHash } = await web3.eth.accounts.signTransaction(tx, privateKeys.get(this));
+        return { rawTransaction, transactionHash };
+    }
+}
+
+/**
+ * Signs through a separate signer process speaking Clef's external API
+ * (account_list, account_signTransaction), so keys never enter this process.
+ */
+class RemoteSigner {
+    /**
+     * @param {string} url - JSON-RPC endpoint of the signer
+     * @param {string} address - Account the signer holds the key for
+     * @param {Object} [options]
+     * @param {number} [options.timeoutSeconds] - How long to wait for each request, including manual approval
+     */
+    constructor(url, address, options = {}) {
+        this.type = 'remote';
+        this.url = url;
+        this.address = utils.toChecksumAddress(address);
+        this.timeoutSeconds = options.timeoutSeconds || constants.SIGNER.TIMEOUT_SECONDS;
+    }
+
+    /**
+     * Send one JSON-RPC request to a signer
+     * @param {string} url - JSON-RPC endpoint of the signer
+     * @param {string} method - Signer API method
+     * @param {Array} params - Method parameters
+     * @param {number} timeoutSeconds - Request timeout
+     * @returns {Promise<*>} - Result of the call
+     */
+    static async request(url, method, params, timeoutSeconds) {
+        const signal = AbortSignal.timeout(timeoutSeconds * 1000);
+        const web3 = new Web3(new HttpProvider(url, { providerOptions: { signal } }));
+        try {
+            return await web3.requestManager.send({ method, params });
+        } catch (error) {
+            throw new Error(`Signer at ${url} failed ${method}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Create a remote signer for every account the signer holds
+     * @param {Object} config - Root configuration object
+     * @returns {Promise<RemoteSigner[]>}
+     */
+    static async listSigners(config = {}) {
+        const { url, timeoutSeconds } = getSignerSettings(config);
+        const addresses = await RemoteSigner.request(url, 'account_list', [], timeoutSeconds);
+
+        if (!Array.isArray(addresses) || addresses.length === 0) {
+            throw new Error(`Signer at ${url} has no accounts`);
+        }
+
+        return addresses.map(address => new RemoteSigner(url, address, { timeoutSeconds }));
+    }
+
+    // Convert a built transaction to the signer's argument format
+    formatTransaction(tx) {
+        const args = { from: this.address };
+
+        if (tx.to) {
+            args.to = utils.toChecksumAddress(tx.to);
+        }
+        for (const field of QUANTITY_FIELDS) {
+            if (tx[field] !== undefined && tx[field] !== null) {
+                args[field] = utils.numberToHex(tx[field]);
+            }
+        }
+        // Clef reads calldata from "input", older versions from "data"
+        args.input = tx.data || '0x';
+        args.data = args.input;
+
+        return args;
+    }
+
+    /**
+     * Ask the remote signer to sign a fully built transaction
+     * @param {Object} tx - Transaction with nonce, gas, fees and chainId set
+     * @returns {Promise<Object>} - { rawTransaction, transactionHash }
+     */
+    async signTransaction(tx) {
+        const result = await RemoteSigner.request(this.url, 'account_signTransaction', [this.formatTransaction(tx)], this.timeoutSeconds);
+
+        if (!result || !result.raw) {
+            throw new Error(`Signer at ${this.url} returned no signed transaction`);
+        }
+
+        return {
+            rawTransaction: result.raw,
+            transactionHash: (result.tx && result.tx.hash) || utils.keccak256(result.raw)
+        };
+    }
+}
+
+// Signer settings from "signer" in config.json, falling back to constants
+function getSignerSettings(config = {}) {
+    const signerConfig = config.signer || {};
+    return {
+        type: signerConfig.type || constants.SIGNER.TYPE,
+        url: signerConfig.url || constants.SIGNER.URL,
+        timeoutSeconds: signerConfig.timeout_seconds || constants.SIGNER.TIMEOUT_SECONDS
+    };
+}
+
+module.exports = {
+    LocalSigner,
+    RemoteSigner,
+    getSignerSettings
+};
\ No newline at end of file
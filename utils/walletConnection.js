@@ -0,0 +1,27 @@
+const { Web3 } = require('web3');
+const RpcPool = require('./RpcPool');
+const { LocalSigner } = require('./signers');
+
+/**
+ * Work out the Web3 instance and signer a manager uses for one wallet.
+ * Injected ones are used as is; otherwise a local signer is created from the private key
+ * and requests go through the RPC pool, pinned to one endpoint for the wallet.
+ * index.js creates one connection per wallet and hands it to every manager,
+ * so they share nonces and the endpoint.
+ * @param {Object} config - Root configuration object
+ * @param {string|null} privateKey - Wallet private key, may be null when a signer is injected
+ * @param {Object} [options]
+ * @param {Object} [options.web3] - Web3 instance to send through
+ * @param {Object} [options.provider] - EIP-1193 provider to build the Web3 instance on
+ * @param {Object} [options.signer] - Signer to sign with (address + signTransaction), see utils/signers.js
+ * @returns {Object} - { web3, signer }
+ */
+function createWalletConnection(config, privateKey, options = {}) {
+    const signer = options.signer || new LocalSigner(privateKey);
+    const web3 = options.web3 || new Web3(options.provider || RpcPool.fromConfig(config).getProvider(signer.address));
+    return { web3, signer };
+}
+
+module.exports = {
+    createWalletConnection
+};
\ No newline at end of file
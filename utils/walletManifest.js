@@ -0,0 +1,192 @@
+const fs = require('fs').promises;
+const path = require('path');
+const constants = require('./constants');
+const { getKeystoreAddress } = require('./keystore');
+
+// The wallet manifest gives wallets a label, tags and their own list of operations.
+// Entries are matched to the loaded wallets by "address", by "keystore" (a keystore
+// file name, which carries the address) or by "wallet" (position in pk.txt, the
+// keystore directory or the remote signer's account list). Wallets without an entry
+// keep running every enabled operation.
+//
+// JSON: [{ "wallet": 1, "label": "deployer", "tags": ["nft", "erc20"], "operations": ["nft", "erc20"] }]
+// CSV:  wallet,address,keystore,label,tags,operations
+//       1,,,deployer,nft;erc20,nft;erc20
+
+// Split a list field given as an array, or as a string separated by ";", "|" or spaces
+function parseList(value) {
+    if (Array.isArray(value)) {
+        return value.map(item => String(item).trim()).filter(item => item);
+    }
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    return String(value).split(/[;|\s]+/).map(item => item.trim()).filter(item => item);
+}
+
+// Parse a manifest CSV with a header row; list columns use ";" between items
+function parseCsv(content) {
+    const rows = content
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => line.split(',').map(cell => cell.trim().replace(/^"(.*)"$/, '$1')));
+
+    if (rows.length === 0) {
+        return [];
+    }
+
+    const [header, ...records] = rows;
+    return records.map(cells => Object.fromEntries(header.map((column, index) => [column.toLowerCase(), cells[index] || ''])));
+}
+
+// Validate one manifest entry and bring it into a single shape
+function normalizeEntry(entry, index) {
+    const position = `Wallet manifest entry ${index + 1}`;
+
+    const walletNum = entry.wallet !== undefined && entry.wallet !== '' ? Number(entry.wallet) : null;
+    if (walletNum !== null && (!Number.isInteger(walletNum) || walletNum < 1)) {
+        throw new Error(`${position}: "wallet" must be a wallet number, got "${entry.wallet}"`);
+    }
+
+    let address = entry.address ? String(entry.address).toLowerCase() : null;
+    if (address && !/^0x[0-9a-f]{40}$/.test(address)) {
+        throw new Error(`${position}: "${entry.address}" is not an address`);
+    }
+
+    if (entry.keystore) {
+        const keystoreAddress = getKeystoreAddress(entry.keystore);
+        if (!keystoreAddress) {
+            throw new Error(`${position}: "${entry.keystore}" is not a keystore file name (wallet-NNN-0x<address>.json)`);
+        }
+        if (address && address !== keystoreAddress) {
+            throw new Error(`${position}: address ${entry.address} does not match keystore ${entry.keystore}`);
+        }
+        address = keystoreAddress;
+    }
+
+    if (walletNum === null && !address) {
+        throw new Error(`${position}: needs a "wallet" number, an "address" or a "keystore"`);
+    }
+
+    const operations = parseList(entry.operations);
+
+    return {
+        walletNum,
+        address,
+        keystore: entry.keystore || null,
+        label: entry.label ? String(entry.label).trim() : null,
+        tags: parseList(entry.tags),
+        // No list means every enabled operation
+        operations: operations.length > 0 ? operations : null
+    };
+}
+
+/**
+ * Load the wallet manifest named in config.json ("wallets.manifest")
+ * @param {Object} config - Root configuration object
+ * @returns {Promise<Object[]|null>} - Normalized entries, or null if there is no manifest file
+ * @throws {Error} - If the manifest cannot be parsed or an entry is invalid
+ */
+async function loadManifest(config = {}) {
+    const file = (config.wallets && config.wallets.manifest) || constants.WALLETS.MANIFEST;
+
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return null;
+        }
+        throw error;
+    }
+
+    let entries;
+    if (path.extname(file).toLowerCase() === '.csv') {
+        entries = parseCsv(content);
+    } else {
+        try {
+            const parsed = JSON.parse(content);
+            entries = Array.isArray(parsed) ? parsed : parsed.wallets;
+        } catch (error) {
+            throw new Error(`Could not parse ${file}: ${error.message}`);
+        }
+    }
+
+    if (!Array.isArray(entries)) {
+        throw new Error(`${file} must hold a list of wallets`);
+    }
+
+    return entries.map(normalizeEntry);
+}
+
+/**
+ * Pair every loaded wallet with its manifest entry
+ * @param {Object[]} signers - Signers in wallet order
+ * @param {Object[]|null} manifest - Entries from loadManifest
+ * @returns {Object} - { wallets: [{ walletNum, signer, address, label, tags, operations }], unmatched: entries matching no wallet }
+ */
+function resolveWallets(signers, manifest) {
+    const entries = manifest || [];
+    const matched = new Set();
+
+    const wallets = signers.map((signer, index) => {
+        const walletNum = index + 1;
+        const address = signer.address.toLowerCase();
+        const entry = entries.find(candidate => candidate.address ? candidate.address === address : candidate.walletNum === walletNum);
+
+        if (entry) {
+            matched.add(entry);
+        }
+
+        return {
+            walletNum,
+            signer,
+            address: signer.address,
+            label: entry ? entry.label : null,
+            tags: entry ? entry.tags : [],
+            operations: entry ? entry.operations : null
+        };
+    });
+
+    return { wallets, unmatched: entries.filter(entry => !matched.has(entry)) };
+}
+
+/**
+ * Keep the wallets matching every given filter; each filter takes a comma separated list
+ * @param {Object[]} wallets - Wallets from resolveWallets
+ * @param {Object} [filters]
+ * @param {string} [filters.wallet] - Wallet numbers, e.g. "3" or "1,4"
+ * @param {string} [filters.label] - Labels
+ * @param {string} [filters.tag] - Tags, a wallet needs at least one of them
+ * @returns {Object[]}
+ */
+function selectWallets(wallets, { wallet, label, tag } = {}) {
+    const split = value => String(value).split(',').map(item => item.trim().toLowerCase()).filter(item => item);
+
+    let selected = wallets;
+
+    if (wallet !== undefined) {
+        const walletNums = split(wallet).map(Number);
+        if (walletNums.some(num => !Number.isInteger(num) || num < 1)) {
+            throw new Error(`Invalid --wallet "${wallet}", expected wallet numbers such as 3 or 1,4`);
+        }
+        selected = selected.filter(entry => walletNums.includes(entry.walletNum));
+    }
+    if (label !== undefined) {
+        const labels = split(label);
+        selected = selected.filter(entry => entry.label && labels.includes(entry.label.toLowerCase()));
+    }
+    if (tag !== undefined) {
+        const tags = split(tag);
+        selected = selected.filter(entry => entry.tags.some(entryTag => tags.includes(entryTag.toLowerCase())));
+    }
+
+    return selected;
+}
+
+module.exports = {
+    loadManifest,
+    resolveWallets,
+    selectWallets
+};
\ No newline at end of file
@@ -0,0 +1,96 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const ora = require('ora');
+const { getTimestamp } = require('./delayUtils');
+
+const OUTPUT_MODES = ['prefix', 'buffer'];
+
+// Output settings of the wallet whose code is running, across awaits
+const context = new AsyncLocalStorage();
+
+// Streams already routed through the context
+const wrappedStreams = new WeakSet();
+
+// Leading color codes and the timestamp prefix of a log line
+const LINE_START = /^((?:\s|\u001b\[[0-9;]*m)*)(\[\d{2}:\d{2}:\d{2}(?: - Wallet (\d+)[^\]]*)?\])?/;
+
+// Make sure each line of a chunk carries the wallet's own log prefix
+function prefixLines(output, chunk) {
+    return chunk.replace(/^(.*)$/gm, line => {
+        if (!line.trim()) {
+            return line;
+        }
+        return line.replace(LINE_START, (match, start, stamp, walletNum) => {
+            if (stamp && Number(walletNum) === output.walletNum) {
+                return match;
+            }
+            // Untagged lines, and lines with a bare timestamp, get the wallet's prefix instead
+            return `${start}${getTimestamp(output.walletNum)}${stamp ? '' : ' '}`;
+        });
+    });
+}
+
+function wrapStream(stream) {
+    const write = stream.write.bind(stream);
+    stream.write = (chunk, ...args) => {
+        const output = context.getStore();
+        if (!output || typeof chunk !== 'string') {
+            return write(chunk, ...args);
+        }
+        if (output.mode === 'buffer') {
+            output.buffer.push({ write, chunk });
+            return true;
+        }
+        return write(prefixLines(output, chunk), ...args);
+    };
+}
+
+// Route stdout and stderr through the wallet output context; safe to call more than once
+function installWalletOutput(streams = [process.stdout, process.stderr]) {
+    for (const stream of streams) {
+        if (!wrappedStreams.has(stream)) {
+            wrappedStreams.add(stream);
+            wrapStream(stream);
+        }
+    }
+}
+
+/**
+ * Run one wallet's work so its output can't garble the output of wallets running alongside it
+ * @param {number} walletNum - Wallet number used for line prefixes
+ * @param {string|null} mode - "prefix", "buffer", or null to leave output untouched
+ * @param {Function} fn - Async function doing the work
+ * @returns {Promise<*>} - What fn returns
+ */
+async function runWithWalletOutput(walletNum, mode, fn) {
+    if (!mode) {
+        return await fn();
+    }
+    installWalletOutput();
+
+    const output = { walletNum, mode, buffer: [] };
+    try {
+        return await context.run(output, fn);
+    } finally {
+        // Print a buffered wallet in one piece, even when it failed
+        for (const { write, chunk } of output.buffer) {
+            write(chunk);
+        }
+    }
+}
+
+/**
+ * Spinner that falls back to plain lines while wallets run in parallel,
+ * as animated spinners of several wallets would overwrite each other
+ * @param {string} text - Spinner text
+ * @returns {Object} - ora spinner
+ */
+function createSpinner(text) {
+    return context.getStore() ? ora({ text, isEnabled: false }) : ora(text);
+}
+
+module.exports = {
+    OUTPUT_MODES,
+    installWalletOutput,
+    runWithWalletOutput,
+    createSpinner
+};
\ No newline at end of file
@@ -0,0 +1,58 @@
+const constants = require('./constants');
+const { OUTPUT_MODES } = require('./walletOutput');
+
+/**
+ * Worker settings from the "workers" section of config.json, falling back to constants
+ * @param {Object} config - Root configuration object
+ * @returns {Object} - { concurrency, output }
+ * @throws {Error} - If a setting is invalid
+ */
+function getWorkerSettings(config = {}) {
+    const workersConfig = config.workers || {};
+    const concurrency = workersConfig.concurrency ?? constants.WORKERS.CONCURRENCY;
+    const output = workersConfig.output || constants.WORKERS.OUTPUT;
+
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new Error(`workers.concurrency must be a whole number of at least 1, got ${concurrency}`);
+    }
+    if (!OUTPUT_MODES.includes(output)) {
+        throw new Error(`Invalid workers.output "${output}", expected ${OUTPUT_MODES.join(' or ')}`);
+    }
+    return { concurrency, output };
+}
+
+/**
+ * Run a handler for every item with at most `concurrency` handlers running at once.
+ * Items are started in order; after a handler throws no further items are started,
+ * the running ones are waited for and the first error is rethrown.
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of handlers running at once
+ * @param {Function} handler - Async function called with (item, index)
+ * @returns {Promise<void>}
+ */
+async function runWorkerPool(items, concurrency, handler) {
+    let next = 0;
+    let failure = null;
+
+    const worker = async () => {
+        while (next < items.length && !failure) {
+            const index = next++;
+            try {
+                await handler(items[index], index);
+            } catch (error) {
+                failure = failure || { error };
+            }
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+    if (failure) {
+        throw failure.error;
+    }
+}
+
+module.exports = {
+    getWorkerSettings,
+    runWorkerPool
+};
\ No newline at end of file